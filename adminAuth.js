@@ -0,0 +1,307 @@
+// adminAuth.js
+// Named admin accounts + cookie sessions for server.js.
+//
+//  - Accounts live in adminUsers.json: { users: [{ username, salt, hash, ... }] }
+//    Passwords are hashed with scrypt and a per-user random salt.
+//  - Sessions live in adminSessions.json keyed by a SHA-256 of the cookie token,
+//    so a leaked sessions file can't be replayed as cookies.
+//  - Accounts are created/reset with the CLI: node manageAdmins.js
+//  - Each account has a role; ROLE_PERMISSIONS says what it may change.
+//    Accounts from before roles existed (no role at all) count as owners – they
+//    had full access. A role that isn't one of ROLES gets no permissions.
+
+const crypto = require("crypto");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const USERS_PATH = process.env.ADMIN_USERS_PATH
+  ? path.resolve(process.env.ADMIN_USERS_PATH)
+  : path.join(__dirname, "adminUsers.json");
+
+const SESSIONS_PATH = process.env.ADMIN_SESSIONS_PATH
+  ? path.resolve(process.env.ADMIN_SESSIONS_PATH)
+  : path.join(__dirname, "adminSessions.json");
+
+const SESSION_COOKIE = "adminSession";
+const SESSION_TTL_MS = (Number(process.env.ADMIN_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+
+/* ===================== ROLES ===================== */
+
+//  quantity – change stock quantities
+//  pricing  – change pricing overrides / prices
+//  catalog  – add items, rename, change game/set/urls
+//  delete   – remove items
+//  restore  – restore backups
+//  users    – manage admin accounts
+const ROLE_PERMISSIONS = {
+  clerk: ["quantity"],
+  pricer: ["quantity", "pricing"],
+  owner: ["quantity", "pricing", "catalog", "delete", "restore", "users", "notifications"],
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLE = "owner";
+
+function normalizeRole(v) {
+  const r = String(v || "").trim().toLowerCase();
+  return ROLES.includes(r) ? r : null;
+}
+
+// Unknown (or corrupted) roles fail closed
+function permissionsFor(role) {
+  const r = normalizeRole(role);
+  return r ? ROLE_PERMISSIONS[r].slice() : [];
+}
+
+function hasPermission(user, permission) {
+  return !!user && permissionsFor(user.role).includes(permission);
+}
+
+/* ===================== USERS ===================== */
+
+function normalizeUsername(v) {
+  return String(v || "").trim().toLowerCase();
+}
+
+function isValidUsername(v) {
+  return /^[a-z0-9._-]{2,32}$/.test(normalizeUsername(v));
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString("hex");
+  return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+  if (!user || !user.salt || !user.hash) return false;
+  const expected = Buffer.from(user.hash, "hex");
+  const actual = crypto.scryptSync(String(password), user.salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function loadUsers() {
+  const data = readJsonFile(USERS_PATH, { users: [] });
+  return Array.isArray(data.users) ? data.users : [];
+}
+
+function saveUsers(users) {
+  writeJsonFile(USERS_PATH, { users });
+}
+
+function findUser(username) {
+  const name = normalizeUsername(username);
+  return loadUsers().find((u) => u.username === name) || null;
+}
+
+// Stored role: owner for accounts from before roles, null when it isn't one of ROLES
+function roleOf(user) {
+  if (user.role === undefined || user.role === null) return DEFAULT_ROLE;
+  return normalizeRole(user.role);
+}
+
+function publicUser(user) {
+  return {
+    username: user.username,
+    role: roleOf(user),
+    createdAt: user.createdAt || null,
+    updatedAt: user.updatedAt || null,
+  };
+}
+
+function listUsers() {
+  return loadUsers().map(publicUser);
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+function validateRole(role) {
+  const r = normalizeRole(role);
+  if (!r) throw new Error(`Role must be one of: ${ROLES.join(", ")}.`);
+  return r;
+}
+
+function createUser(username, password, role = DEFAULT_ROLE) {
+  const name = normalizeUsername(username);
+  if (!isValidUsername(name)) {
+    throw new Error("Username must be 2–32 characters: letters, numbers, dot, dash or underscore.");
+  }
+  validatePassword(password);
+  const userRole = validateRole(role);
+
+  const users = loadUsers();
+  if (users.some((u) => u.username === name)) throw new Error(`User "${name}" already exists.`);
+
+  const now = new Date().toISOString();
+  const user = { username: name, role: userRole, ...hashPassword(password), createdAt: now, updatedAt: now };
+  users.push(user);
+  saveUsers(users);
+  return publicUser(user);
+}
+
+function setPassword(username, password) {
+  validatePassword(password);
+
+  const name = normalizeUsername(username);
+  const users = loadUsers();
+  const user = users.find((u) => u.username === name);
+  if (!user) throw new Error(`User "${name}" not found.`);
+
+  Object.assign(user, hashPassword(password), { updatedAt: new Date().toISOString() });
+  saveUsers(users);
+  destroySessionsForUser(name);
+  return publicUser(user);
+}
+
+function setRole(username, role) {
+  const userRole = validateRole(role);
+
+  const name = normalizeUsername(username);
+  const users = loadUsers();
+  const user = users.find((u) => u.username === name);
+  if (!user) throw new Error(`User "${name}" not found.`);
+
+  Object.assign(user, { role: userRole, updatedAt: new Date().toISOString() });
+  saveUsers(users);
+  return publicUser(user);
+}
+
+function removeUser(username) {
+  const name = normalizeUsername(username);
+  const users = loadUsers();
+  const next = users.filter((u) => u.username !== name);
+  if (next.length === users.length) throw new Error(`User "${name}" not found.`);
+
+  saveUsers(next);
+  destroySessionsForUser(name);
+}
+
+// Returns the public user on success, null otherwise.
+function authenticate(username, password) {
+  const user = findUser(username);
+  if (!user) {
+    // Burn the same time as a real check so usernames can't be probed by timing
+    hashPassword(password);
+    return null;
+  }
+  return verifyPassword(password, user) ? publicUser(user) : null;
+}
+
+/* ===================== SESSIONS ===================== */
+
+function tokenDigest(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function loadSessions() {
+  const data = readJsonFile(SESSIONS_PATH, { sessions: {} });
+  const sessions = data && data.sessions && typeof data.sessions === "object" ? data.sessions : {};
+
+  // Drop expired sessions whenever we look at them
+  const now = Date.now();
+  for (const [key, s] of Object.entries(sessions)) {
+    if (!s || Date.parse(s.expiresAt) <= now) delete sessions[key];
+  }
+  return sessions;
+}
+
+function saveSessions(sessions) {
+  writeJsonFile(SESSIONS_PATH, { sessions });
+}
+
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+  const sessions = loadSessions();
+  sessions[tokenDigest(token)] = { username: normalizeUsername(username), createdAt: new Date().toISOString(), expiresAt };
+  saveSessions(sessions);
+
+  return { token, expiresAt };
+}
+
+// Returns { username, role, expiresAt } for a live session whose account still exists.
+function getSession(token) {
+  if (!token) return null;
+  const session = loadSessions()[tokenDigest(token)];
+  if (!session) return null;
+
+  const user = findUser(session.username);
+  if (!user) return null;
+  return { ...publicUser(user), expiresAt: session.expiresAt };
+}
+
+function destroySession(token) {
+  if (!token) return;
+  const sessions = loadSessions();
+  delete sessions[tokenDigest(token)];
+  saveSessions(sessions);
+}
+
+function destroySessionsForUser(username) {
+  const name = normalizeUsername(username);
+  const sessions = loadSessions();
+  for (const [key, s] of Object.entries(sessions)) {
+    if (s.username === name) delete sessions[key];
+  }
+  saveSessions(sessions);
+}
+
+/* ===================== COOKIES ===================== */
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (!key) continue;
+    try {
+      out[key] = decodeURIComponent(value);
+    } catch {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function sessionCookie(token, { secure, maxAgeMs }) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+  ];
+  if (secure) parts.push("Secure");
+  return parts.join("; ");
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  MIN_PASSWORD_LENGTH,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+  listUsers,
+  createUser,
+  setPassword,
+  setRole,
+  removeUser,
+  authenticate,
+  createSession,
+  getSession,
+  destroySession,
+  getSessionToken,
+  sessionCookie,
+};
@@ -0,0 +1,65 @@
+// auditLog.js
+// Append-only audit trail for inventory.json writes.
+//
+// One JSON object per line (auditLog.jsonl next to inventory.json):
+//   { at, source, actor, action, tcgPlayerId, name, changes: { field: { from, to } } }
+// inventoryStore.writeInventoryFile appends entries for every save; nothing in
+// here ever rewrites or truncates the file.
+
+const path = require("path");
+const { appendJsonLines, readJsonLines, parseDateBound } = require("./jsonLines");
+
+const AUDIT_LOG_FILE = "auditLog.jsonl";
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 2000;
+
+function auditLogPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), AUDIT_LOG_FILE);
+}
+
+function appendAuditEntries(logPath, entries) {
+  appendJsonLines(logPath, entries);
+}
+
+/**
+ * Newest-first entries, filtered by:
+ *  product – tcgPlayerId (exact) or a piece of the product name
+ *  source  – e.g. "admin", "updatePrices", "pullInventory"
+ *  from/to – ISO timestamps or YYYY-MM-DD (inclusive, UTC days)
+ */
+function readAuditEntries(logPath, filters = {}) {
+  const product = String(filters.product || "").trim().toLowerCase();
+  const source = String(filters.source || "").trim();
+  const from = parseDateBound(filters.from, false);
+  const to = parseDateBound(filters.to, true);
+
+  let limit = Number(filters.limit);
+  if (!Number.isFinite(limit) || limit <= 0) limit = DEFAULT_LIMIT;
+  limit = Math.min(MAX_LIMIT, Math.trunc(limit));
+
+  const matches = readJsonLines(logPath).filter((e) => {
+    if (product) {
+      const id = String(e.tcgPlayerId || "").toLowerCase();
+      const name = String(e.name || "").toLowerCase();
+      if (id !== product && !name.includes(product)) return false;
+    }
+    if (source && e.source !== source) return false;
+
+    if (from !== null || to !== null) {
+      const t = Date.parse(e.at);
+      if (Number.isNaN(t)) return false;
+      if (from !== null && t < from) return false;
+      if (to !== null && t > to) return false;
+    }
+    return true;
+  });
+
+  matches.reverse();
+  return { total: matches.length, entries: matches.slice(0, limit) };
+}
+
+module.exports = {
+  auditLogPathFor,
+  appendAuditEntries,
+  readAuditEntries,
+};
@@ -0,0 +1,124 @@
+// costBasis.js
+// Cost and unrealized margin from an item's acquisition lots.
+//
+// Cost uses the weighted average unit cost over all lots (what we paid per
+// box on average), applied to the quantity currently in stock:
+//   marginVsMarket = (marketPrice - avgUnitCost) × quantity
+//   marginVsList   = (yourPrice   - avgUnitCost) × quantity
+// Items without lots have no cost basis and are left out of the totals.
+
+const { detectGame } = require("./inventoryQuery");
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function priceOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+// { units, totalCost, avgUnitCost } or null when the item has no lots
+function lotSummary(item) {
+  const lots = item && Array.isArray(item.lots) ? item.lots : [];
+  let units = 0;
+  let totalCost = 0;
+  for (const lot of lots) {
+    units += lot.quantity;
+    totalCost += lot.quantity * lot.unitCost;
+  }
+  if (units <= 0) return null;
+  return { units, totalCost: roundMoney(totalCost), avgUnitCost: roundMoney(totalCost / units) };
+}
+
+// Margin for one item in stock; null without a cost basis.
+function itemMargin(item) {
+  const summary = lotSummary(item);
+  if (!summary) return null;
+
+  const qty = item.quantity ?? 0;
+  const marketPrice = priceOrNull(item.marketPrice);
+  const yourPrice = priceOrNull(item.yourPrice);
+  const cost = summary.avgUnitCost * qty;
+
+  return {
+    ...summary,
+    quantity: qty,
+    cost: roundMoney(cost),
+    marketValue: marketPrice === null ? null : roundMoney(marketPrice * qty),
+    listValue: yourPrice === null ? null : roundMoney(yourPrice * qty),
+    marginVsMarket: marketPrice === null ? null : roundMoney((marketPrice - summary.avgUnitCost) * qty),
+    marginVsList: yourPrice === null ? null : roundMoney((yourPrice - summary.avgUnitCost) * qty),
+    belowCost: yourPrice !== null && yourPrice < summary.avgUnitCost,
+  };
+}
+
+function emptyGroup(extra) {
+  return { ...extra, items: 0, units: 0, cost: 0, marketValue: 0, listValue: 0, marginVsMarket: 0, marginVsList: 0 };
+}
+
+function addToGroup(group, m) {
+  group.items += 1;
+  group.units += m.quantity;
+  group.cost += m.cost;
+  // Missing prices count as zero value, i.e. no margin for that item
+  group.marketValue += m.marketValue || 0;
+  group.listValue += m.listValue || 0;
+  group.marginVsMarket += m.marketValue === null ? -m.cost : m.marginVsMarket;
+  group.marginVsList += m.listValue === null ? -m.cost : m.marginVsList;
+}
+
+function finishGroup(group) {
+  const out = { ...group };
+  for (const k of ["cost", "marketValue", "listValue", "marginVsMarket", "marginVsList"]) out[k] = roundMoney(out[k]);
+  out.marginPctVsMarket = out.cost > 0 ? roundMoney((out.marginVsMarket / out.cost) * 100) : null;
+  out.marginPctVsList = out.cost > 0 ? roundMoney((out.marginVsList / out.cost) * 100) : null;
+  return out;
+}
+
+/**
+ * Margin report for items in stock that have lots:
+ *   { totals, groups: [{ game, setName, ... }], items: [{ tcgPlayerId, name, ... }],
+ *     belowCost: [...items priced under their average cost], withoutCost }
+ */
+function marginReport(items) {
+  const totals = emptyGroup({});
+  const groups = new Map();
+  const rows = [];
+  let withoutCost = 0;
+
+  for (const item of items || []) {
+    if ((item.quantity ?? 0) <= 0) continue;
+    const m = itemMargin(item);
+    if (!m) {
+      withoutCost++;
+      continue;
+    }
+
+    const game = detectGame(item);
+    const setName = item.setName || "Unknown set";
+    const key = `${game}\u0000${setName.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, emptyGroup({ game, setName }));
+
+    addToGroup(groups.get(key), m);
+    addToGroup(totals, m);
+    rows.push({ tcgPlayerId: item.tcgPlayerId || null, name: item.name, game, setName, ...m });
+  }
+
+  const groupList = Array.from(groups.values())
+    .map(finishGroup)
+    .sort((a, b) => a.game.localeCompare(b.game) || a.setName.localeCompare(b.setName));
+
+  return {
+    totals: finishGroup(totals),
+    groups: groupList,
+    items: rows,
+    belowCost: rows.filter((r) => r.belowCost),
+    withoutCost,
+  };
+}
+
+module.exports = {
+  lotSummary,
+  itemMargin,
+  marginReport,
+};
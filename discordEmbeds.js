@@ -0,0 +1,199 @@
+// discordEmbeds.js
+// Discord webhook payloads with one embed per product (image, TCGplayer link,
+// our price, market price, quantity) for the restock, price and stock alerts.
+//
+// Products are grouped by game (detectGame, same as the storefront) and packed
+// into as many messages as Discord's limits need – 10 embeds and 6000
+// characters per message – so nothing gets truncated away. Each returned
+// payload goes through the notification queue as its own message, in order.
+
+const { detectGame } = require("./inventoryQuery");
+
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARS_PER_MESSAGE = 6000;
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+// Display order, label and embed colour per game
+const GAME_STYLES = {
+  pokemon: { label: "Pokémon", color: 0xfacc15 },
+  mtg: { label: "Magic: The Gathering", color: 0xf97316 },
+  other: { label: "Other", color: 0x64748b },
+};
+const GAME_ORDER = Object.keys(GAME_STYLES);
+
+function truncate(s, max) {
+  const str = String(s || "");
+  return str.length > max ? str.slice(0, max - 1) + "…" : str;
+}
+
+function formatMoney(v) {
+  return typeof v === "number" && Number.isFinite(v) ? `$${v.toFixed(2)}` : "—";
+}
+
+function isHttpUrl(v) {
+  return typeof v === "string" && /^https?:\/\//i.test(v);
+}
+
+// Characters Discord counts towards the 6000 limit
+function embedLength(embed) {
+  let n = (embed.title || "").length + (embed.description || "").length;
+  if (embed.footer) n += (embed.footer.text || "").length;
+  for (const f of embed.fields || []) n += f.name.length + f.value.length;
+  return n;
+}
+
+/**
+ * One product embed. extra: { description, fields } for alert-specific bits.
+ */
+function productEmbed(item, game, { description, fields = [] } = {}) {
+  const idPart = item.tcgPlayerId ? ` [${item.tcgPlayerId}]` : "";
+  const embed = {
+    title: truncate(`${item.name || "Unnamed product"}${idPart}`, MAX_TITLE_LENGTH),
+    color: GAME_STYLES[game].color,
+    fields: [
+      { name: "Price", value: formatMoney(item.yourPrice), inline: true },
+      { name: "Market", value: formatMoney(item.marketPrice), inline: true },
+      { name: "Qty", value: String(item.quantity ?? 0), inline: true },
+      ...fields,
+    ],
+  };
+  if (description) embed.description = truncate(description, MAX_DESCRIPTION_LENGTH);
+  if (item.setName) embed.footer = { text: truncate(item.setName, 2048) };
+  if (isHttpUrl(item.tcgPlayerUrl)) embed.url = item.tcgPlayerUrl;
+  if (isHttpUrl(item.imageUrl)) embed.thumbnail = { url: item.imageUrl };
+  return embed;
+}
+
+/**
+ * entries: [{ item, embed }] → webhook payloads ({ content, embeds }), grouped
+ * by game in GAME_ORDER. header(gameLabel, count, part, parts) gives each
+ * message's text.
+ */
+function packByGame(entries, header) {
+  const byGame = new Map();
+  for (const { item, embed } of entries) {
+    const game = detectGame(item);
+    if (!byGame.has(game)) byGame.set(game, []);
+    byGame.get(game).push(embed(game));
+  }
+
+  const payloads = [];
+  for (const game of GAME_ORDER) {
+    const embeds = byGame.get(game);
+    if (!embeds) continue;
+
+    const chunks = [];
+    let current = [];
+    let chars = 0;
+    for (const e of embeds) {
+      const len = embedLength(e);
+      if (current.length && (current.length >= MAX_EMBEDS_PER_MESSAGE || chars + len > MAX_EMBED_CHARS_PER_MESSAGE)) {
+        chunks.push(current);
+        current = [];
+        chars = 0;
+      }
+      current.push(e);
+      chars += len;
+    }
+    if (current.length) chunks.push(current);
+
+    chunks.forEach((chunk, i) => {
+      payloads.push({ content: header(GAME_STYLES[game].label, embeds.length, i + 1, chunks.length), embeds: chunk });
+    });
+  }
+  return payloads;
+}
+
+function partSuffix(part, parts) {
+  return parts > 1 ? ` (${part}/${parts})` : "";
+}
+
+// restocks: [{ item, delta, newQty, oldQty }] from server.js
+function restockMessages(restocks) {
+  const entries = restocks.map(({ item, delta, newQty }) => ({
+    item,
+    embed: (game) => productEmbed({ ...item, quantity: newQty }, game, { description: `Restocked **+${delta}**` }),
+  }));
+  return packByGame(
+    entries,
+    (label, count, part, parts) =>
+      `📦 Stock updated – ${label}: ${count} item${count === 1 ? "" : "s"}${partSuffix(part, parts)}`
+  );
+}
+
+// updates: [{ item, pricing }] from updatePrices.js (item already repriced;
+// pricing is the pricingRules.priceItem result)
+function priceUpdateMessages(updates) {
+  const entries = updates.map(({ item, pricing }) => ({
+    item,
+    embed: (game) =>
+      productEmbed(item, game, {
+        description:
+          pricing.source === "lock"
+            ? `Price locked${item.priceLockedUntil ? ` until ${item.priceLockedUntil.slice(0, 10)}` : ""}`
+            : `Priced at ${pricing.percent}% of market · ${pricing.label}`,
+      }),
+  }));
+  return packByGame(
+    entries,
+    (label, count, part, parts) =>
+      `📈 Price update – ${label}: ${count} item${count === 1 ? "" : "s"} repriced${partSuffix(part, parts)}`
+  );
+}
+
+// Embeds for stockAlerts.js entries ({ item, available, threshold }); Qty shows
+// what customers can still buy.
+function stockEntries(entries, describe) {
+  return entries.map(({ item, available, threshold }) => ({
+    item,
+    embed: (game) => productEmbed({ ...item, quantity: available }, game, { description: describe(available, threshold) }),
+  }));
+}
+
+const describeLow = (available, threshold) => `Only **${available}** left (alert at ${threshold} or fewer)`;
+const describeSoldOut = () => "**Sold out** – no longer listed on the storefront";
+
+function plural(count) {
+  return `${count} item${count === 1 ? "" : "s"}`;
+}
+
+// Items that just dropped to low stock / sold out
+function stockAlertMessages({ lowStock, soldOut }) {
+  return [
+    ...packByGame(
+      stockEntries(soldOut, describeSoldOut),
+      (label, count, part, parts) => `🚫 Sold out – ${label}: ${plural(count)}${partSuffix(part, parts)}`
+    ),
+    ...packByGame(
+      stockEntries(lowStock, describeLow),
+      (label, count, part, parts) => `⚠️ Low stock – ${label}: ${plural(count)}${partSuffix(part, parts)}`
+    ),
+  ];
+}
+
+// Daily digest of everything at or below its threshold
+function lowStockDigestMessages({ lowStock, soldOut }) {
+  const date = new Date().toISOString().slice(0, 10);
+  return [
+    ...packByGame(
+      stockEntries(lowStock, describeLow),
+      (label, count, part, parts) =>
+        `🗒️ Low-stock digest ${date} – ${label}: ${plural(count)} running low${partSuffix(part, parts)}`
+    ),
+    ...packByGame(
+      stockEntries(soldOut, describeSoldOut),
+      (label, count, part, parts) =>
+        `🗒️ Low-stock digest ${date} – ${label}: ${plural(count)} sold out${partSuffix(part, parts)}`
+    ),
+  ];
+}
+
+module.exports = {
+  MAX_EMBEDS_PER_MESSAGE,
+  productEmbed,
+  restockMessages,
+  priceUpdateMessages,
+  stockAlertMessages,
+  lowStockDigestMessages,
+};
@@ -0,0 +1,157 @@
+// holds.js
+// Customer hold requests from the storefront ("please hold this box for me").
+//
+// holds.json (next to inventory.json): { holds: [{ id, tcgPlayerId, productName,
+//   customerName, contact, quantity, status, createdAt, expiresAt, ... }] }
+//
+// Lifecycle:
+//   pending   – submitted by a customer, waiting for an admin
+//   approved  – soft-reserved: the quantity is taken off the public stock count
+//   picked_up – customer collected it (server.js takes it out of inventory)
+//   expired   – timed out after HOLD_EXPIRY_DAYS, or expired by an admin
+// Pending and approved holds expire once expiresAt passes (server.js runs
+// expireOverdueHolds every minute); the clock restarts when a hold is approved.
+
+const crypto = require("crypto");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const HOLDS_FILE = "holds.json";
+const HOLD_EXPIRY_DAYS = Number(process.env.HOLD_EXPIRY_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HOLD_STATUSES = ["pending", "approved", "picked_up", "expired"];
+const OPEN_STATUSES = ["pending", "approved"];
+
+// Which status each admin action moves to, and from where
+const TRANSITIONS = {
+  approve: { from: ["pending"], to: "approved" },
+  pickup: { from: ["approved"], to: "picked_up" },
+  expire: { from: OPEN_STATUSES, to: "expired" },
+};
+
+const MAX_TEXT_LENGTH = 80;
+
+function holdsPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), HOLDS_FILE);
+}
+
+function expiresAtFrom(t) {
+  return new Date(t + HOLD_EXPIRY_DAYS * DAY_MS).toISOString();
+}
+
+function loadHolds(holdsPath) {
+  const data = readJsonFile(holdsPath, { holds: [] });
+  return data && Array.isArray(data.holds) ? data.holds : [];
+}
+
+function saveHolds(holdsPath, holds) {
+  writeJsonFile(holdsPath, { holds });
+}
+
+// Newest first, optionally only one status
+function listHolds(holdsPath, { status } = {}) {
+  const holds = loadHolds(holdsPath);
+  const filtered = status ? holds.filter((h) => h.status === status) : holds;
+  return filtered.slice().sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+function getHold(holdsPath, id) {
+  return loadHolds(holdsPath).find((h) => h.id === id) || null;
+}
+
+// tcgPlayerId -> quantity held by approved holds
+function reservedQuantities(holdsPath) {
+  const out = new Map();
+  for (const h of loadHolds(holdsPath)) {
+    if (h.status !== "approved") continue;
+    out.set(h.tcgPlayerId, (out.get(h.tcgPlayerId) || 0) + h.quantity);
+  }
+  return out;
+}
+
+function cleanText(v, label) {
+  const s = String(v || "").trim();
+  if (!s) throw new Error(`${label} is required.`);
+  if (s.length > MAX_TEXT_LENGTH) throw new Error(`${label} must be at most ${MAX_TEXT_LENGTH} characters.`);
+  return s;
+}
+
+/**
+ * Stores a new pending hold. Stock checks are the caller's job (they need the
+ * inventory); this validates the customer's fields.
+ */
+function createHold(holdsPath, { tcgPlayerId, productName, customerName, contact, quantity, ip }) {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) throw new Error("Quantity must be a whole number of at least 1.");
+
+  const now = Date.now();
+  const hold = {
+    id: crypto.randomBytes(8).toString("hex"),
+    tcgPlayerId: String(tcgPlayerId || "").trim(),
+    productName: productName || null,
+    customerName: cleanText(customerName, "Name"),
+    contact: cleanText(contact, "Contact"),
+    quantity: qty,
+    status: "pending",
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresAtFrom(now),
+    ip: ip || null,
+  };
+
+  const holds = loadHolds(holdsPath);
+  holds.push(hold);
+  saveHolds(holdsPath, holds);
+  return hold;
+}
+
+// Expires every open hold past its expiresAt. Returns the holds it expired
+// (empty when nothing was due, and then nothing is written).
+function expireOverdueHolds(holdsPath, now = Date.now()) {
+  const holds = loadHolds(holdsPath);
+  const expired = holds.filter((h) => OPEN_STATUSES.includes(h.status) && Date.parse(h.expiresAt) <= now);
+  if (!expired.length) return [];
+
+  for (const h of expired) {
+    Object.assign(h, { status: "expired", closedAt: new Date(now).toISOString(), closedBy: null });
+  }
+  saveHolds(holdsPath, holds);
+  return expired;
+}
+
+// Applies an admin action (approve / pickup / expire). Throws on a bad move.
+function updateHoldStatus(holdsPath, id, action, actor) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown action "${action}".`);
+
+  const holds = loadHolds(holdsPath);
+  const hold = holds.find((h) => h.id === id);
+  if (!hold) throw new Error("Hold not found.");
+  if (!transition.from.includes(hold.status)) {
+    throw new Error(`Can't ${action} a hold that is ${hold.status.replace("_", " ")}.`);
+  }
+
+  const now = Date.now();
+  hold.status = transition.to;
+  if (transition.to === "approved") {
+    Object.assign(hold, { approvedAt: new Date(now).toISOString(), approvedBy: actor || null, expiresAt: expiresAtFrom(now) });
+  } else {
+    Object.assign(hold, { closedAt: new Date(now).toISOString(), closedBy: actor || null });
+  }
+
+  saveHolds(holdsPath, holds);
+  return hold;
+}
+
+module.exports = {
+  HOLD_EXPIRY_DAYS,
+  HOLD_STATUSES,
+  OPEN_STATUSES,
+  holdsPathFor,
+  listHolds,
+  getHold,
+  reservedQuantities,
+  createHold,
+  updateHoldStatus,
+  expireOverdueHolds,
+};
@@ -0,0 +1,49 @@
+// importToSqlite.js - copy inventory.json and its backups into inventory.sqlite
+//
+// Usage:
+//   node importToSqlite.js            (refuses if the database already has data)
+//   node importToSqlite.js --force    (replaces whatever the database holds)
+//
+// Backups become SQLite snapshots (same names, so the admin backup browser
+// and restore keep working). Afterwards start the server with
+// INVENTORY_STORAGE=sqlite. inventory.json itself is left untouched.
+
+require("dotenv").config();
+const path = require("path");
+
+const { MAX_BACKUPS } = require("./inventoryStore");
+const { SNAPSHOT_NAME_RE, readInventoryJsonFile, sqlitePathFor, storageFor } = require("./inventoryStorage");
+
+const INVENTORY_PATH = path.join(__dirname, "inventory.json");
+
+function main() {
+  const force = process.argv.includes("--force");
+
+  const json = storageFor(INVENTORY_PATH, { kind: "json", maxBackups: MAX_BACKUPS });
+  const sqlite = storageFor(INVENTORY_PATH, { kind: "sqlite", maxBackups: MAX_BACKUPS });
+
+  if (!sqlite.isEmpty() && !force) {
+    throw new Error(`${sqlite.dbPath} already has inventory data. Re-run with --force to replace it.`);
+  }
+
+  const current = readInventoryJsonFile(INVENTORY_PATH);
+
+  // Oldest first so snapshot order matches the backups
+  const snapshots = json
+    .listSnapshots()
+    .filter((b) => SNAPSHOT_NAME_RE.test(b.name))
+    .reverse()
+    .map((b) => ({ ...json.readSnapshot(b.name), name: b.name, createdAt: b.createdAt }));
+
+  sqlite.importAll({ current, snapshots });
+
+  console.log(`✔ Imported ${current.items.length} items and ${snapshots.length} backups into ${sqlitePathFor(INVENTORY_PATH)}`);
+  console.log("  Start the server with INVENTORY_STORAGE=sqlite to use it.");
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,215 @@
+// inventoryConflicts.js
+// Optimistic concurrency for admin inventory saves.
+//
+// The inventory "version" is the updatedAt that writeInventoryFile stamps.
+// admin.js sends back the version it loaded (If-Match). When that version is
+// stale we do a three-way compare between the snapshot the client loaded
+// (base), what is on disk now (theirs) and what the client sent (yours):
+//  - fields only the server changed are merged into the save
+//  - items added on the server are kept, items removed on the server stay removed
+//  - anything both sides changed differently is reported as a conflict (409)
+
+const { itemKey } = require("./inventoryStore");
+
+// Fields an admin save actually writes (see POST /api/inventory in server.js).
+const MERGE_FIELDS = [
+  "name",
+  "quantity",
+  "game",
+  "pricingPercent",
+  "lowStockThreshold",
+  "maxPriceChangePercent",
+  "lockedPrice",
+  "priceLockedUntil",
+];
+
+// An empty name/game in a save row means "keep what's there"; a null in the
+// optional fields (pricingPercent, lowStockThreshold, ...) is a real value
+// ("use the default" / no lock).
+const KEEP_IF_EMPTY = new Set(["name", "game"]);
+
+function indexItems(items) {
+  const map = new Map();
+  for (const item of items || []) {
+    const key = itemKey(item);
+    if (key && !map.has(key)) map.set(key, item);
+  }
+  return map;
+}
+
+function sameValue(a, b) {
+  const x = a === undefined || a === "" ? null : a;
+  const y = b === undefined || b === "" ? null : b;
+  return x === y;
+}
+
+// What the save row wants for a field; missing fields keep the base value.
+function yoursValue(row, base, field) {
+  const v = row[field];
+  if (v === undefined || (KEEP_IF_EMPTY.has(field) && (v === null || v === ""))) {
+    return base ? base[field] : null;
+  }
+  return v;
+}
+
+function pickFields(item, fields) {
+  const out = { tcgPlayerId: item.tcgPlayerId || null };
+  for (const f of fields) out[f] = item[f] === undefined ? null : item[f];
+  return out;
+}
+
+function describe(kind, item, fields, theirs) {
+  return {
+    kind,
+    tcgPlayerId: item.tcgPlayerId || null,
+    name: item.name || (theirs && theirs.name) || "Unnamed product",
+    fields,
+    theirs: theirs || null,
+  };
+}
+
+/**
+ * Reconcile a stale save.
+ *  baseItems    – items at the version the client loaded (null if that backup was pruned)
+ *  currentItems – items on disk now
+ *  rows         – parsed save rows ({ name, tcgPlayerId, quantity, game, pricingPercent?, lowStockThreshold?,
+ *                  maxPriceChangePercent?, lockedPrice?, priceLockedUntil? })
+ *
+ * Returns { conflicts, rows } where rows is the merged payload to save (or to
+ * hand back to the client so it can resolve the conflicts and retry).
+ */
+function reconcileSave({ baseItems, currentItems, rows, fields = MERGE_FIELDS }) {
+  const currentByKey = indexItems(currentItems);
+  const conflicts = [];
+  const merged = [];
+  const seen = new Set();
+
+  // Without the base snapshot we can't tell whose change is whose, so every
+  // difference from what's on disk is treated as a conflict.
+  if (!baseItems) {
+    for (const row of rows) {
+      const key = itemKey(row);
+      if (!key) continue;
+      seen.add(key);
+
+      const cur = currentByKey.get(key);
+      if (!cur) {
+        merged.push(row);
+        continue;
+      }
+
+      const diffs = [];
+      for (const f of fields) {
+        const y = yoursValue(row, cur, f);
+        if (!sameValue(y, cur[f])) diffs.push({ field: f, base: null, theirs: cur[f] ?? null, yours: y });
+      }
+      if (diffs.length) conflicts.push(describe("changed", row, diffs, cur));
+      merged.push({ ...cur, ...row });
+    }
+
+    for (const [key, cur] of currentByKey) {
+      if (seen.has(key)) continue;
+      conflicts.push(describe("addedOnServer", cur, [], cur));
+    }
+
+    return { conflicts, rows: merged };
+  }
+
+  const baseByKey = indexItems(baseItems);
+
+  for (const row of rows) {
+    const key = itemKey(row);
+    if (!key) continue;
+    seen.add(key);
+
+    const base = baseByKey.get(key);
+    const cur = currentByKey.get(key);
+
+    // New row on your side (or added on both sides – the save matches it up)
+    if (!base) {
+      merged.push(cur ? { ...cur, ...row } : row);
+      continue;
+    }
+
+    // Removed on the server while you had it open
+    if (!cur) {
+      const edited = fields
+        .filter((f) => !sameValue(yoursValue(row, base, f), base[f]))
+        .map((f) => ({ field: f, base: base[f] ?? null, theirs: null, yours: yoursValue(row, base, f) }));
+      if (edited.length) {
+        conflicts.push(describe("removedOnServer", row, edited, null));
+        merged.push(row);
+      }
+      continue;
+    }
+
+    const next = { ...cur, ...row };
+    const diffs = [];
+    for (const f of fields) {
+      const b = base[f];
+      const t = cur[f];
+      const y = yoursValue(row, base, f);
+      const theirsChanged = !sameValue(b, t);
+      const yoursChanged = !sameValue(b, y);
+
+      if (theirsChanged && !yoursChanged) next[f] = t;
+      else if (theirsChanged && yoursChanged && !sameValue(y, t)) {
+        diffs.push({ field: f, base: b ?? null, theirs: t ?? null, yours: y });
+      }
+    }
+
+    if (diffs.length) conflicts.push(describe("changed", row, diffs, cur));
+    merged.push(next);
+  }
+
+  for (const [key, cur] of currentByKey) {
+    if (seen.has(key)) continue;
+
+    const base = baseByKey.get(key);
+    // Added on the server – you never saw it, so keep it.
+    if (!base) {
+      merged.push(pickFields(cur, ["name", ...fields]));
+      continue;
+    }
+
+    // You removed it, but the server changed it in the meantime.
+    const changed = fields
+      .filter((f) => !sameValue(base[f], cur[f]))
+      .map((f) => ({ field: f, base: base[f] ?? null, theirs: cur[f] ?? null, yours: null }));
+    if (changed.length) conflicts.push(describe("removedByYou", cur, changed, cur));
+  }
+
+  return { conflicts, rows: merged };
+}
+
+/**
+ * Single-item variant for the per-item routes: a stale write conflicts when the
+ * item changed on the server since the client's version (or that version is gone).
+ * submitted is the write's body (null for a delete); without the base snapshot a
+ * write that leaves the current item as it is isn't a conflict.
+ */
+function findItemConflict({ baseItems, currentItems, tcgPlayerId, submitted = null, fields = MERGE_FIELDS }) {
+  const key = itemKey({ tcgPlayerId });
+  const cur = indexItems(currentItems).get(key) || null;
+
+  if (!baseItems) {
+    if (cur && submitted && fields.every((f) => sameValue(yoursValue(submitted, cur, f), cur[f]))) return null;
+    return describe("changed", cur || { tcgPlayerId }, [], cur);
+  }
+
+  const base = indexItems(baseItems).get(key) || null;
+  if (!base && !cur) return null;
+  if (!base) return describe("addedOnServer", cur, [], cur);
+  if (!cur) return describe("removedOnServer", base, [], null);
+
+  const diffs = fields
+    .filter((f) => !sameValue(base[f], cur[f]))
+    .map((f) => ({ field: f, base: base[f] ?? null, theirs: cur[f] ?? null, yours: null }));
+  return diffs.length ? describe("changed", cur, diffs, cur) : null;
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  reconcileSave,
+  findItemConflict,
+};
@@ -0,0 +1,147 @@
+// inventoryMigrations.js
+// Ordered schema migrations for inventory data (live store and backups).
+//
+// Each migration upgrades raw items from version - 1 to version and runs
+// BEFORE normalization, so it can still see keys that normalizeItem would
+// drop (renamed or retired fields) and carry them over into the new shape.
+//
+// Adding one:
+//  1) append { version: N + 1, description, migrateItem(item) } below
+//     (migrateItem gets a copy of one raw item and returns the upgraded item,
+//     or null to drop it)
+//  2) bump SCHEMA_VERSION in inventoryStore.js (and ALLOWED_ITEM_KEYS if the
+//     item shape changed)
+//  3) dry-run it against the real data: node migrateInventory.js
+//
+// inventoryStore.js applies these on every read; the live store is rewritten
+// once at the new version, after a pre-migration copy is kept.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Bare item array → { schemaVersion, updatedAt, items } (item fields unchanged)",
+    migrateItem: (item) => item,
+  },
+  {
+    version: 2,
+    description: "Optional per-item pricingPercent override (existing items keep the default pricing)",
+    migrateItem: (item) => item,
+  },
+  {
+    version: 3,
+    description:
+      "Cost lots, low-stock threshold, pricingRule, price guard limit and price locks " +
+      "(existing prices get the label of the 90% / item override pricing that set them)",
+    migrateItem: (item) => {
+      // Before pricing rules, yourPrice came from the item's pricingPercent or the flat 90%
+      const percent = ["", null, undefined].includes(item.pricingPercent) ? NaN : Number(item.pricingPercent);
+      if (!item.pricingRule && typeof item.yourPrice === "number") {
+        item.pricingRule = Number.isFinite(percent) ? `Item override (${percent}%)` : "Default (90%)";
+      }
+      // The other new fields start unset (no lots, the global threshold and
+      // guard limit, no lock); drop anything that isn't their shape yet
+      if (item.lots !== undefined && !Array.isArray(item.lots)) delete item.lots;
+      if (item.lockedPrice === undefined || item.lockedPrice === null) delete item.priceLockedUntil;
+      return item;
+    },
+  },
+];
+
+// Registry sanity: versions must run 1, 2, 3, … with no gaps.
+MIGRATIONS.forEach((m, i) => {
+  if (m.version !== i + 1 || typeof m.migrateItem !== "function") {
+    throw new Error(`inventoryMigrations: migration #${i + 1} is out of order or missing migrateItem`);
+  }
+});
+
+const LATEST_VERSION = MIGRATIONS.length;
+
+function pendingMigrations(fromVersion, toVersion = LATEST_VERSION) {
+  const from = Number(fromVersion) || 0;
+  return MIGRATIONS.filter((m) => m.version > from && m.version <= toVersion);
+}
+
+function copyItem(item) {
+  return item && typeof item === "object" ? JSON.parse(JSON.stringify(item)) : item;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Per-migration tally of what happened to the items
+function emptyStep(m) {
+  return {
+    version: m.version,
+    description: m.description,
+    changedItems: 0,
+    droppedItems: 0,
+    fieldsAdded: {},
+    fieldsRemoved: {},
+    fieldsChanged: {},
+  };
+}
+
+function tallyItem(step, before, after) {
+  if (after === null || after === undefined) {
+    step.droppedItems++;
+    return;
+  }
+
+  const src = before && typeof before === "object" ? before : {};
+  const dst = after && typeof after === "object" ? after : {};
+  let changed = false;
+  const bump = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+    changed = true;
+  };
+
+  for (const k of Object.keys(dst)) {
+    if (!(k in src)) bump(step.fieldsAdded, k);
+    else if (!sameValue(src[k], dst[k])) bump(step.fieldsChanged, k);
+  }
+  for (const k of Object.keys(src)) {
+    if (!(k in dst)) bump(step.fieldsRemoved, k);
+  }
+  if (changed) step.changedItems++;
+}
+
+/**
+ * Runs the pending migrations on raw { meta, items } and returns
+ *   { meta, items, fromVersion, toVersion, steps }
+ * steps has one tally per migration that ran (empty when already current).
+ * Input is not modified. Data newer than toVersion is returned as is.
+ */
+function migrateInventory({ meta, items }, toVersion = LATEST_VERSION) {
+  const fromVersion = Number(meta && meta.schemaVersion) || 0;
+  let current = Array.isArray(items) ? items : [];
+  const steps = [];
+
+  for (const m of pendingMigrations(fromVersion, toVersion)) {
+    const step = emptyStep(m);
+    const next = [];
+    for (const item of current) {
+      const upgraded = m.migrateItem(copyItem(item));
+      tallyItem(step, item, upgraded);
+      if (upgraded !== null && upgraded !== undefined) next.push(upgraded);
+    }
+    current = next;
+    steps.push(step);
+  }
+
+  const version = steps.length ? steps[steps.length - 1].version : fromVersion;
+  return {
+    meta: { ...(meta || {}), schemaVersion: version },
+    items: current,
+    fromVersion,
+    toVersion: version,
+    steps,
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  pendingMigrations,
+  migrateInventory,
+};
@@ -0,0 +1,142 @@
+// inventoryQuery.js
+// Filtering / sorting / paging for the public GET /api/inventory.
+//
+// Query parameters (all optional):
+//   game      – pokemon | mtg | other
+//   set       – set name (case-insensitive, exact)
+//   q         – text search in name and set name
+//   minPrice  – lowest yourPrice to include
+//   maxPrice  – highest yourPrice to include
+//   sort      – set-az (default) | name-az | price-low-high | price-high-low | updated-newest
+//   limit     – page size (max MAX_LIMIT)
+//   offset    – items to skip
+//
+// Sort keys match the storefront (public/main.js) and game detection is the
+// same code (public/gameDetection.js), so a filtered API call lists the same
+// products the page would.
+
+const { GAMES, normalizeGame, detectGame } = require("./public/gameDetection");
+
+const SORT_KEYS = ["set-az", "name-az", "price-low-high", "price-high-low", "updated-newest"];
+const MAX_LIMIT = 500;
+
+function parseNumberParam(v, name, errors) {
+  if (v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Validates req.query. Returns { error } or { filters }.
+ * filters.paged is true when the caller asked for limit/offset.
+ */
+function parseInventoryQuery(query = {}) {
+  const errors = [];
+  const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+  const game = first(query.game) ? normalizeGame(first(query.game)) : null;
+  if (game && !GAMES.includes(game)) errors.push(`game must be one of: ${GAMES.join(", ")}`);
+
+  const sort = String(first(query.sort) || "set-az").trim().toLowerCase();
+  if (!SORT_KEYS.includes(sort)) errors.push(`sort must be one of: ${SORT_KEYS.join(", ")}`);
+
+  const minPrice = parseNumberParam(first(query.minPrice), "minPrice", errors);
+  const maxPrice = parseNumberParam(first(query.maxPrice), "maxPrice", errors);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    errors.push("minPrice must not be greater than maxPrice");
+  }
+
+  const limit = parseNumberParam(first(query.limit), "limit", errors);
+  const offset = parseNumberParam(first(query.offset), "offset", errors);
+
+  if (errors.length) return { error: errors.join("; ") };
+
+  return {
+    filters: {
+      game,
+      set: String(first(query.set) || "").trim().toLowerCase(),
+      text: String(first(query.q) || "").trim().toLowerCase(),
+      minPrice,
+      maxPrice,
+      sort,
+      paged: limit !== null || offset !== null,
+      limit: limit === null ? MAX_LIMIT : Math.min(MAX_LIMIT, Math.trunc(limit)),
+      offset: offset === null ? 0 : Math.trunc(offset),
+    },
+  };
+}
+
+function compareText(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+// Missing values always sort last
+function compareNullable(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return direction * (a - b);
+}
+
+function comparatorFor(sortKey) {
+  const getSet = (i) => (i.setName || "").toLowerCase();
+  const getName = (i) => (i.name || "").toLowerCase();
+  const getYourPrice = (i) => (typeof i.yourPrice === "number" ? i.yourPrice : null);
+  const getUpdated = (i) => {
+    const t = Date.parse(i.lastUpdated);
+    return Number.isNaN(t) ? null : t;
+  };
+
+  switch (sortKey) {
+    case "name-az":
+      return (a, b) => compareText(getName(a), getName(b));
+    case "price-low-high":
+      return (a, b) => compareNullable(getYourPrice(a), getYourPrice(b), 1);
+    case "price-high-low":
+      return (a, b) => compareNullable(getYourPrice(a), getYourPrice(b), -1);
+    case "updated-newest":
+      return (a, b) => compareNullable(getUpdated(a), getUpdated(b), -1);
+    case "set-az":
+    default:
+      return (a, b) => compareText(getSet(a), getSet(b)) || compareText(getName(a), getName(b));
+  }
+}
+
+// Returns { total, items } – total is the match count before paging.
+function queryInventory(items, filters) {
+  const matches = items.filter((item) => {
+    if (filters.game && detectGame(item) !== filters.game) return false;
+    if (filters.set && (item.setName || "").trim().toLowerCase() !== filters.set) return false;
+
+    if (filters.text) {
+      const name = (item.name || "").toLowerCase();
+      const setName = (item.setName || "").toLowerCase();
+      if (!name.includes(filters.text) && !setName.includes(filters.text)) return false;
+    }
+
+    if (filters.minPrice !== null || filters.maxPrice !== null) {
+      if (typeof item.yourPrice !== "number") return false;
+      if (filters.minPrice !== null && item.yourPrice < filters.minPrice) return false;
+      if (filters.maxPrice !== null && item.yourPrice > filters.maxPrice) return false;
+    }
+    return true;
+  });
+
+  matches.sort(comparatorFor(filters.sort));
+
+  const page = filters.paged ? matches.slice(filters.offset, filters.offset + filters.limit) : matches;
+  return { total: matches.length, items: page };
+}
+
+module.exports = {
+  SORT_KEYS,
+  detectGame,
+  parseInventoryQuery,
+  queryInventory,
+};
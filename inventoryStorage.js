@@ -0,0 +1,272 @@
+// inventoryStorage.js
+// Storage adapters behind inventoryStore.js. inventoryStore does the schema /
+// normalization / audit work; an adapter only stores and snapshots.
+//
+// Adapter interface (all synchronous, items are raw – inventoryStore normalizes):
+//   read()                      → { meta: { schemaVersion, updatedAt }, items }
+//   write(payload)              → snapshot the current contents (JSON: every save;
+//                                 SQLite: see sqliteStorage.js), then store
+//                                 payload { schemaVersion, updatedAt, totalItems, items }.
+//                                 May return { before, after }: the old and new
+//                                 versions of only the items that changed.
+//   version()                   → cheap token that changes with every write, or null
+//   findItem(tcgPlayerId)       → item or null
+//   listSnapshots()             → [{ name, createdAt, meta, totalItems }] newest first
+//   readSnapshot(name)          → { meta, items } or null
+//   findSnapshotByVersion(v)    → { meta, items } of the snapshot whose updatedAt is v, or null
+//   preserveCopy(label)         → copy the store as it is now, outside the snapshot rotation
+//                                 (never pruned; used before schema migrations). Returns the
+//                                 path written, or null if there was nothing to copy.
+//
+// Pick one with INVENTORY_STORAGE:
+//   json   (default) – inventory.json + backups/inventory-<stamp>.json
+//   sqlite           – inventory.sqlite next to inventory.json (sqliteStorage.js)
+//                      Import existing data first: node importToSqlite.js
+
+const fs = require("fs");
+const path = require("path");
+
+const EMPTY_META = { schemaVersion: 0, updatedAt: null };
+// inventory-YYYYMMDD-HHMMSS-mmm[-n].json (older backups have no -mmm part)
+const SNAPSHOT_NAME_RE = /^inventory-\d{8}-\d{6}(-\d{3}(-\d+)?)?\.json$/;
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+// Accepts either [ ...items ] or { schemaVersion, updatedAt, items: [...] }
+function parseInventoryJson(raw) {
+  const parsed = JSON.parse(raw);
+  if (Array.isArray(parsed)) return { meta: { ...EMPTY_META }, items: parsed };
+
+  if (parsed && Array.isArray(parsed.items)) {
+    const meta = {
+      schemaVersion: Number(parsed.schemaVersion) || 0,
+      updatedAt: isNonEmptyString(parsed.updatedAt) ? parsed.updatedAt : null,
+    };
+    return { meta, items: parsed.items };
+  }
+
+  return { meta: { ...EMPTY_META }, items: [] };
+}
+
+function readInventoryJsonFile(filePath) {
+  try {
+    return parseInventoryJson(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (!err || err.code !== "ENOENT") {
+      console.error("Error reading inventory file:", err.message || err);
+    }
+    return { meta: { ...EMPTY_META }, items: [] };
+  }
+}
+
+// Local-time stamp used in snapshot names: YYYYMMDD-HHMMSS
+function timestampForFilename(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const yyyy = date.getFullYear();
+  const mm = pad(date.getMonth() + 1);
+  const dd = pad(date.getDate());
+  const hh = pad(date.getHours());
+  const mi = pad(date.getMinutes());
+  const ss = pad(date.getSeconds());
+  return `${yyyy}${mm}${dd}-${hh}${mi}${ss}`;
+}
+
+// Snapshots are how a stale If-Match finds its base version, so two saves
+// must never share a name: milliseconds, plus a counter for saves within the
+// same millisecond in this process.
+let lastSnapshotStamp = null;
+let snapshotSeq = 0;
+
+function snapshotNameFor(date = new Date()) {
+  const stamp = `${timestampForFilename(date)}-${String(date.getMilliseconds()).padStart(3, "0")}`;
+  snapshotSeq = stamp === lastSnapshotStamp ? snapshotSeq + 1 : 0;
+  lastSnapshotStamp = stamp;
+  return `inventory-${stamp}${snapshotSeq ? `-${snapshotSeq}` : ""}.json`;
+}
+
+// backups/pre-migration-<label>-<stamp>.<ext>; doesn't start with "inventory-",
+// so backup listing and pruning leave it alone.
+function preservedCopyPathFor(storePath, label, ext) {
+  const safe = String(label || "copy").replace(/[^a-z0-9-]+/gi, "-");
+  return path.join(path.dirname(storePath), "backups", `pre-migration-${safe}-${timestampForFilename()}${ext}`);
+}
+
+/* ===================== JSON FILE ===================== */
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function backupsDirFor(filePath) {
+  return path.join(path.dirname(filePath), "backups");
+}
+
+function listBackupFiles(backupsDir) {
+  if (!fs.existsSync(backupsDir)) return [];
+  return fs
+    .readdirSync(backupsDir)
+    .filter((f) => f.startsWith("inventory-") && f.endsWith(".json"))
+    .map((f) => {
+      const full = path.join(backupsDir, f);
+      let stat = null;
+      try {
+        stat = fs.statSync(full);
+      } catch {
+        stat = null;
+      }
+      return { file: f, full, mtimeMs: stat ? stat.mtimeMs : 0 };
+    })
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+function pruneBackups(backupsDir, maxKeep) {
+  const backups = listBackupFiles(backupsDir);
+  if (backups.length <= maxKeep) return;
+
+  for (const b of backups.slice(maxKeep)) {
+    try {
+      fs.unlinkSync(b.full);
+    } catch (err) {
+      console.warn("Failed to delete old backup:", b.full, err.message || err);
+    }
+  }
+}
+
+function atomicWriteFileSync(filePath, dataUtf8) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+  const tmp = path.join(dir, `${base}.tmp-${process.pid}-${Date.now()}`);
+
+  fs.writeFileSync(tmp, dataUtf8, "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+function createJsonStorage(filePath, { maxBackups }) {
+  const backupsDir = backupsDirFor(filePath);
+
+  function makeBackupIfExists() {
+    try {
+      if (!fs.existsSync(filePath)) return;
+      ensureDir(backupsDir);
+      // COPYFILE_EXCL: another process (updatePrices.js) may have taken the name
+      for (let attempt = 0; ; attempt++) {
+        try {
+          fs.copyFileSync(filePath, path.join(backupsDir, snapshotNameFor()), fs.constants.COPYFILE_EXCL);
+          break;
+        } catch (err) {
+          if (!err || err.code !== "EEXIST" || attempt >= 100) throw err;
+        }
+      }
+      pruneBackups(backupsDir, maxBackups);
+    } catch (err) {
+      console.warn("Backup failed (continuing anyway):", err.message || err);
+    }
+  }
+
+  return {
+    kind: "json",
+
+    read() {
+      return readInventoryJsonFile(filePath);
+    },
+
+    write(payload) {
+      makeBackupIfExists();
+      atomicWriteFileSync(filePath, JSON.stringify(payload, null, 2));
+    },
+
+    // A write renames a new file into place, so the inode changes too
+    version() {
+      try {
+        const stat = fs.statSync(filePath);
+        return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+      } catch {
+        return null;
+      }
+    },
+
+    findItem(tcgPlayerId) {
+      const id = String(tcgPlayerId || "").trim();
+      return this.read().items.find((i) => i && String(i.tcgPlayerId || "").trim() === id) || null;
+    },
+
+    listSnapshots() {
+      return listBackupFiles(backupsDir).map((b) => {
+        const snap = readInventoryJsonFile(b.full);
+        return {
+          name: b.file,
+          createdAt: new Date(b.mtimeMs).toISOString(),
+          meta: snap.meta,
+          totalItems: snap.items.length,
+        };
+      });
+    },
+
+    readSnapshot(name) {
+      const found = listBackupFiles(backupsDir).find((b) => b.file === name);
+      return found ? readInventoryJsonFile(found.full) : null;
+    },
+
+    findSnapshotByVersion(version) {
+      for (const b of listBackupFiles(backupsDir)) {
+        const snap = readInventoryJsonFile(b.full);
+        if (snap.meta.updatedAt === version) return snap;
+      }
+      return null;
+    },
+
+    preserveCopy(label) {
+      if (!fs.existsSync(filePath)) return null;
+      const dest = preservedCopyPathFor(filePath, label, ".json");
+      ensureDir(path.dirname(dest));
+      fs.copyFileSync(filePath, dest);
+      return dest;
+    },
+  };
+}
+
+/* ===================== FACTORY ===================== */
+
+const STORAGE_KIND = String(process.env.INVENTORY_STORAGE || "json").trim().toLowerCase();
+const adapters = new Map();
+
+// SQLite lives next to the JSON file: inventory.json → inventory.sqlite
+function sqlitePathFor(filePath) {
+  if (process.env.INVENTORY_DB_PATH) return path.resolve(process.env.INVENTORY_DB_PATH);
+  const parsed = path.parse(filePath);
+  return path.join(parsed.dir, `${parsed.name}.sqlite`);
+}
+
+// One adapter per inventory path (SQLite keeps its connection open).
+function storageFor(filePath, options = {}) {
+  const kind = options.kind || STORAGE_KIND;
+  const key = `${kind}:${path.resolve(filePath)}`;
+  if (adapters.has(key)) return adapters.get(key);
+
+  let adapter;
+  if (kind === "sqlite") {
+    // Loaded lazily so JSON setups don't need the native module
+    const { createSqliteStorage } = require("./sqliteStorage");
+    adapter = createSqliteStorage(sqlitePathFor(filePath), options);
+  } else if (kind === "json") {
+    adapter = createJsonStorage(filePath, options);
+  } else {
+    throw new Error(`Unknown INVENTORY_STORAGE "${kind}" (use json or sqlite).`);
+  }
+
+  adapters.set(key, adapter);
+  return adapter;
+}
+
+module.exports = {
+  SNAPSHOT_NAME_RE,
+  snapshotNameFor,
+  preservedCopyPathFor,
+  readInventoryJsonFile,
+  sqlitePathFor,
+  storageFor,
+};
@@ -8,10 +8,18 @@
 //  - Adds per-item pricing override: pricingPercent (e.g., 90 for 90%)
 //  - If pricingPercent is null/missing, default pricing logic applies elsewhere.
 
-const fs = require("fs");
-const path = require("path");
+const { auditLogPathFor, appendAuditEntries } = require("./auditLog");
+const { customFieldNames, normalizeCustomFields } = require("./itemFields");
+const { LATEST_VERSION, migrateInventory } = require("./inventoryMigrations");
+const { SNAPSHOT_NAME_RE, storageFor } = require("./inventoryStorage");
 
-const SCHEMA_VERSION = 2;
+const SCHEMA_VERSION = 3;
+
+if (LATEST_VERSION !== SCHEMA_VERSION) {
+  throw new Error(
+    `inventoryStore: SCHEMA_VERSION ${SCHEMA_VERSION} has no matching migration (latest is v${LATEST_VERSION})`
+  );
+}
 
 // If you want more/less backups, change this:
 const MAX_BACKUPS = 30;
@@ -30,8 +38,32 @@ const ALLOWED_ITEM_KEYS = new Set([
   "imageUrl",
   "game",
   "pricingPercent", // ✅ NEW (optional override; number like 90)
+  "lots", // acquisition lots (cost basis)
+  "lowStockThreshold", // optional per-item override of LOW_STOCK_THRESHOLD (stockAlerts.js)
+  "pricingRule", // what set yourPrice (pricingRules.js label), written by updatePrices.js
+  "maxPriceChangePercent", // optional per-item price guard limit (priceReviews.js)
+  "lockedPrice", // fixed yourPrice while the lock is active (see isPriceLocked)
+  "priceLockedUntil", // optional lock expiry (ISO); no expiry when missing
 ]);
 
+// Extra per-item fields (language, condition, SKU, ...) come from the registry
+// in itemFields.js / itemFields.json and are normalized alongside the built-in
+// keys. They can't reuse a built-in key (checked once, at startup).
+for (const name of customFieldNames()) {
+  if (ALLOWED_ITEM_KEYS.has(name)) {
+    throw new Error(`itemFields: "${name}" is a built-in item field and can't be redefined`);
+  }
+}
+const CUSTOM_ITEM_KEYS = new Set(customFieldNames());
+
+function isAllowedItemKey(key) {
+  return ALLOWED_ITEM_KEYS.has(key) || CUSTOM_ITEM_KEYS.has(key);
+}
+
+const MAX_LOT_SOURCE_LENGTH = 80;
+const MAX_PRICING_RULE_LENGTH = 120;
+const PRICE_LOCK_LABEL = "Price lock";
+
 function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
 }
@@ -85,6 +117,54 @@ function toPricingPercentOrNull(v) {
   return Math.round(clamped * 100) / 100;
 }
 
+// lowStockThreshold: whole number ≥ 0; null/empty => null (use the global one)
+function toThresholdOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return null;
+  return Math.min(Math.trunc(n), 100000);
+}
+
+// maxPriceChangePercent: above 0, at most 1000; null/empty => null (use the run's limit)
+function toChangeLimitOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return Math.min(Math.round(n * 10) / 10, 1000);
+}
+
+// Price locks fix yourPrice for negotiated prices and promos. normalizeItem
+// enforces them, so every write path (admin saves, updatePrices.js, restores,
+// price reviews) keeps the locked price while the lock is active; once it
+// expires the next price update reprices the item as usual.
+// An active lock: lockedPrice set and priceLockedUntil (if any) still ahead
+function isPriceLocked(item, now = Date.now()) {
+  if (!item || typeof item.lockedPrice !== "number") return false;
+  return !item.priceLockedUntil || Date.parse(item.priceLockedUntil) > now;
+}
+
+// One acquisition lot (cost basis; margins come from lots in costBasis.js and
+// they're never shown publicly). null when it has no usable quantity or cost.
+function normalizeLot(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const quantity = toInt(raw.quantity, 0);
+  const unitCost = toMoney(raw.unitCost);
+  if (quantity <= 0 || unitCost === null || unitCost < 0) return null;
+
+  const lot = { quantity, unitCost };
+  const date = toSafeString(raw.date);
+  if (date && !Number.isNaN(new Date(date).getTime())) lot.date = date.slice(0, 10);
+  const source = toSafeString(raw.source);
+  if (source) lot.source = source.slice(0, MAX_LOT_SOURCE_LENGTH);
+  return lot;
+}
+
+function normalizeLots(v) {
+  if (!Array.isArray(v)) return [];
+  return v.map(normalizeLot).filter(Boolean);
+}
+
 function normalizeItem(raw) {
   const src = raw && typeof raw === "object" ? raw : {};
   const out = {};
@@ -119,9 +199,38 @@ function normalizeItem(raw) {
   const pricingPercent = toPricingPercentOrNull(src.pricingPercent);
   if (pricingPercent !== null) out.pricingPercent = pricingPercent;
 
+  const lots = normalizeLots(src.lots);
+  if (lots.length) out.lots = lots;
+
+  const lowStockThreshold = toThresholdOrNull(src.lowStockThreshold);
+  if (lowStockThreshold !== null) out.lowStockThreshold = lowStockThreshold;
+
+  const maxPriceChangePercent = toChangeLimitOrNull(src.maxPriceChangePercent);
+  if (maxPriceChangePercent !== null) out.maxPriceChangePercent = maxPriceChangePercent;
+
+  const pricingRule = toSafeString(src.pricingRule);
+  if (pricingRule) out.pricingRule = pricingRule.slice(0, MAX_PRICING_RULE_LENGTH);
+
+  const lockedPrice = toMoney(src.lockedPrice);
+  if (lockedPrice !== null && lockedPrice > 0) {
+    out.lockedPrice = lockedPrice;
+    const priceLockedUntil = toIsoOrNull(src.priceLockedUntil);
+    if (priceLockedUntil) out.priceLockedUntil = priceLockedUntil;
+  }
+  // While the lock is active it is our price, whoever wrote the item
+  if (isPriceLocked(out)) {
+    out.yourPrice = out.lockedPrice;
+    out.pricingRule = PRICE_LOCK_LABEL;
+  } else if (out.pricingRule === PRICE_LOCK_LABEL) {
+    // Expired or removed lock: no rule has priced it yet (updatePrices.js sets the next label)
+    delete out.pricingRule;
+  }
+
+  Object.assign(out, normalizeCustomFields(src));
+
   // Ensure we didn't accidentally include other keys
   for (const k of Object.keys(out)) {
-    if (!ALLOWED_ITEM_KEYS.has(k)) delete out[k];
+    if (!isAllowedItemKey(k)) delete out[k];
   }
 
   return out;
@@ -136,138 +245,309 @@ function normalizeItems(items) {
   return normalized;
 }
 
+// Where items and snapshots live is up to the adapter from inventoryStorage.js
+// (INVENTORY_STORAGE=json, the default, or sqlite). Callers keep passing the
+// inventory.json path; it identifies the store either way.
+function storage(filePath) {
+  return storageFor(filePath, { maxBackups: MAX_BACKUPS });
+}
+
+// Raw { meta, items } from the store (or a backup) → current schema, normalized.
+// Older data goes through the ordered migrations in inventoryMigrations.js
+// first (node migrateInventory.js for a dry run).
+function upgradeSnapshot(snap) {
+  const migrated = migrateInventory(snap, SCHEMA_VERSION);
+  return { meta: migrated.meta, items: normalizeItems(migrated.items) };
+}
+
+// Live store behind SCHEMA_VERSION: keep a copy of it as it is, then write
+// the upgraded items back (same updatedAt, so open admin pages stay in sync).
+function persistMigration(filePath, raw, upgraded) {
+  const from = Number(raw.meta.schemaVersion) || 0;
+  const store = storage(filePath);
+  const copy = store.preserveCopy(`v${from}-to-v${SCHEMA_VERSION}`);
+
+  store.write({
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: raw.meta.updatedAt || new Date().toISOString(),
+    totalItems: upgraded.items.length,
+    items: upgraded.items,
+  });
+  console.log(
+    `Inventory migrated from schema v${from} to v${SCHEMA_VERSION}` + (copy ? ` (pre-migration copy: ${copy})` : "")
+  );
+}
+
 function readInventoryFile(filePath) {
   try {
-    const raw = fs.readFileSync(filePath, "utf8");
-    const parsed = JSON.parse(raw);
-
-    // Accept either:
-    //  - [ ...items ]
-    //  - { schemaVersion, updatedAt, items: [ ... ] }
-    if (Array.isArray(parsed)) {
-      return { meta: { schemaVersion: 0, updatedAt: null }, items: normalizeItems(parsed) };
-    }
+    const raw = storage(filePath).read();
+    const upgraded = upgradeSnapshot(raw);
 
-    if (parsed && Array.isArray(parsed.items)) {
-      const meta = {
-        schemaVersion: Number(parsed.schemaVersion) || 0,
-        updatedAt: isNonEmptyString(parsed.updatedAt) ? parsed.updatedAt : null,
-      };
-      return { meta, items: normalizeItems(parsed.items) };
+    const hasData = raw.meta.updatedAt || raw.items.length > 0;
+    if (hasData && (Number(raw.meta.schemaVersion) || 0) < SCHEMA_VERSION) {
+      try {
+        persistMigration(filePath, raw, upgraded);
+        return readInventoryFile(filePath);
+      } catch (err) {
+        // Still serve the upgraded data; the next read tries again
+        console.error("Inventory migration write failed:", err.message || err);
+      }
     }
 
-    return { meta: { schemaVersion: 0, updatedAt: null }, items: [] };
+    return upgraded;
   } catch (err) {
-    if (err && err.code === "ENOENT") {
-      return { meta: { schemaVersion: 0, updatedAt: null }, items: [] };
-    }
-    console.error("Error reading inventory file:", err.message || err);
+    console.error("Error reading inventory:", err.message || err);
     return { meta: { schemaVersion: 0, updatedAt: null }, items: [] };
   }
 }
 
-function ensureDir(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
+// Parsed inventory per store, shared until the store's version() token moves
+// (a write from this process or another one, e.g. updatePrices.js).
+const inventoryCache = new Map();
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
   }
+  return value;
 }
 
-function timestampForFilename(date = new Date()) {
-  const pad = (n) => String(n).padStart(2, "0");
-  const yyyy = date.getFullYear();
-  const mm = pad(date.getMonth() + 1);
-  const dd = pad(date.getDate());
-  const hh = pad(date.getHours());
-  const mi = pad(date.getMinutes());
-  const ss = pad(date.getSeconds());
-  return `${yyyy}${mm}${dd}-${hh}${mi}${ss}`;
-}
-
-function listBackups(backupsDir) {
-  if (!fs.existsSync(backupsDir)) return [];
-  return fs
-    .readdirSync(backupsDir)
-    .filter((f) => f.startsWith("inventory-") && f.endsWith(".json"))
-    .map((f) => {
-      const full = path.join(backupsDir, f);
-      let stat = null;
-      try {
-        stat = fs.statSync(full);
-      } catch {
-        stat = null;
-      }
-      return { file: f, full, mtimeMs: stat ? stat.mtimeMs : 0 };
-    })
-    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+// Read-only { meta, items } for hot read paths (storefront list, live stream).
+// Frozen because every caller shares it; use readInventoryFile to edit.
+function loadInventoryView(filePath) {
+  const token = storage(filePath).version();
+  const cached = inventoryCache.get(filePath);
+  if (token && cached && cached.token === token) return cached.data;
+
+  // Token taken before the read: a write in between only costs one extra read
+  const data = deepFreeze(readInventoryFile(filePath));
+  if (token) inventoryCache.set(filePath, { token, data });
+  else inventoryCache.delete(filePath);
+  return data;
+}
+
+// Every write appends field-level changes to auditLog.jsonl (auditLog.js);
+// options { source, actor } say where the change came from.
+function writeInventoryFile(filePath, items, options = {}) {
+  const store = storage(filePath);
+  // SQLite reports the rows it changed; the JSON file is diffed against the
+  // previous version (usually still cached)
+  const previousItems = store.kind === "sqlite" ? null : loadInventoryView(filePath).items;
+  const normalizedItems = normalizeItems(items);
+  const payload = {
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    totalItems: normalizedItems.length,
+    items: normalizedItems,
+  };
+
+  const changes = store.write(payload);
+  if (changes) recordAudit(filePath, changes.before, changes.after, options, payload.updatedAt);
+  else recordAudit(filePath, previousItems, normalizedItems, options, payload.updatedAt);
+  return payload;
 }
 
-function pruneBackups(backupsDir, maxKeep = MAX_BACKUPS) {
-  const backups = listBackups(backupsDir);
-  if (backups.length <= maxKeep) return;
+function loadInventoryItems(filePath) {
+  return readInventoryFile(filePath).items;
+}
 
-  for (const b of backups.slice(maxKeep)) {
-    try {
-      fs.unlinkSync(b.full);
-    } catch (err) {
-      console.warn("Failed to delete old backup:", b.full, err.message || err);
-    }
+// Stores already brought up to SCHEMA_VERSION in this process
+const checkedStores = new Set();
+
+// One item by tcgPlayerId (indexed lookup with the SQLite store), or null.
+function findInventoryItem(filePath, tcgPlayerId) {
+  if (!checkedStores.has(filePath)) {
+    readInventoryFile(filePath); // runs any pending migration first
+    checkedStores.add(filePath);
   }
+  const item = storage(filePath).findItem(tcgPlayerId);
+  return item ? normalizeItem(item) : null;
 }
 
-function makeBackupIfExists(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) return;
+function saveInventoryItems(filePath, items, options = {}) {
+  return writeInventoryFile(filePath, items, options);
+}
+
+// lastUpdated moves on every price run; the entry's own timestamp covers it.
+const AUDIT_SKIP_KEYS = new Set(["lastUpdated"]);
+
+// Field-level changes between two item lists, one entry per touched item:
+//   { action: "created" | "updated" | "deleted", tcgPlayerId, name, changes }
+function itemFieldChanges(beforeItems, afterItems) {
+  const index = (items) => {
+    const map = new Map();
+    for (const it of items || []) {
+      const key = itemKey(it);
+      if (key && !map.has(key)) map.set(key, it);
+    }
+    return map;
+  };
+  const before = index(beforeItems);
+  const after = index(afterItems);
+  const out = [];
+
+  const fieldChanges = (from, to) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+    for (const k of keys) {
+      if (AUDIT_SKIP_KEYS.has(k)) continue;
+      const a = from && from[k] !== undefined ? from[k] : null;
+      const b = to && to[k] !== undefined ? to[k] : null;
+      const same = a && b && typeof a === "object" ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+      if (!same) changes[k] = { from: a, to: b };
+    }
+    return changes;
+  };
 
-    const backupsDir = path.join(path.dirname(filePath), "backups");
-    ensureDir(backupsDir);
+  for (const [key, next] of after) {
+    const prev = before.get(key) || null;
+    const changes = fieldChanges(prev, next);
+    if (Object.keys(changes).length === 0) continue;
+    out.push({
+      action: prev ? "updated" : "created",
+      tcgPlayerId: next.tcgPlayerId || null,
+      name: next.name || "",
+      changes,
+    });
+  }
 
-    const stamp = timestampForFilename(new Date());
-    const backupPath = path.join(backupsDir, `inventory-${stamp}.json`);
-    fs.copyFileSync(filePath, backupPath);
+  for (const [key, prev] of before) {
+    if (after.has(key)) continue;
+    out.push({
+      action: "deleted",
+      tcgPlayerId: prev.tcgPlayerId || null,
+      name: prev.name || "",
+      changes: fieldChanges(prev, null),
+    });
+  }
 
-    pruneBackups(backupsDir);
+  return out;
+}
+
+function recordAudit(filePath, previousItems, nextItems, options, at) {
+  try {
+    const source = options.source || "unknown";
+    const actor = options.actor || null;
+    const entries = itemFieldChanges(previousItems, nextItems).map((c) => ({ at, source, actor, ...c }));
+    appendAuditEntries(auditLogPathFor(filePath), entries);
   } catch (err) {
-    console.warn("Backup failed (continuing anyway):", err.message || err);
+    console.warn("Audit log write failed (continuing anyway):", err.message || err);
   }
 }
 
-function atomicWriteFileSync(filePath, dataUtf8) {
-  const dir = path.dirname(filePath);
-  const base = path.basename(filePath);
-  const tmp = path.join(dir, `${base}.tmp-${process.pid}-${Date.now()}`);
+// Identity of an item across snapshots: tcgPlayerId, else lowercased name.
+function itemKey(item) {
+  if (!item) return null;
+  const id = item.tcgPlayerId ? String(item.tcgPlayerId).trim() : "";
+  if (id) return `id:${id}`;
+  const name = item.name ? String(item.name).trim().toLowerCase() : "";
+  return name ? `name:${name}` : null;
+}
 
-  fs.writeFileSync(tmp, dataUtf8, "utf8");
-  fs.renameSync(tmp, filePath);
+// Version token for optimistic concurrency: the updatedAt stamped by the last write.
+function inventoryVersion(meta) {
+  return (meta && meta.updatedAt) || "0";
 }
 
-function writeInventoryFile(filePath, items) {
-  const normalizedItems = normalizeItems(items);
-  const payload = {
-    schemaVersion: SCHEMA_VERSION,
-    updatedAt: new Date().toISOString(),
-    totalItems: normalizedItems.length,
-    items: normalizedItems,
-  };
+// Items as they were at a given version (the live data or one of the backups).
+// Returns null when that snapshot has already been pruned.
+function loadInventoryAtVersion(filePath, version) {
+  const current = readInventoryFile(filePath);
+  if (inventoryVersion(current.meta) === version) return current.items;
 
-  makeBackupIfExists(filePath);
-  atomicWriteFileSync(filePath, JSON.stringify(payload, null, 2));
-  return payload;
+  const snap = storage(filePath).findSnapshotByVersion(version);
+  return snap ? upgradeSnapshot(snap).items : null;
 }
 
-function loadInventoryItems(filePath) {
-  return readInventoryFile(filePath).items;
+// Backups with enough metadata for the admin backup browser (newest first).
+function listInventoryBackups(filePath) {
+  return storage(filePath)
+    .listSnapshots()
+    .map((b) => ({
+      file: b.name,
+      createdAt: b.createdAt,
+      updatedAt: b.meta.updatedAt,
+      totalItems: b.totalItems,
+    }));
+}
+
+// Reads one backup by name. Only snapshot names (inventory-<stamp>.json) that
+// the store actually has are accepted, so this can't be used to read arbitrary
+// paths. Returns null if missing.
+function readInventoryBackup(filePath, fileName) {
+  const name = String(fileName || "");
+  if (!SNAPSHOT_NAME_RE.test(name)) return null;
+
+  const snap = storage(filePath).readSnapshot(name);
+  return snap ? upgradeSnapshot(snap) : null;
 }
 
-function saveInventoryItems(filePath, items) {
-  return writeInventoryFile(filePath, items);
+// Item-level diff from one snapshot to another.
+function diffInventoryItems(fromItems, toItems) {
+  const index = (items) => {
+    const map = new Map();
+    for (const it of items || []) {
+      const key = itemKey(it);
+      if (key && !map.has(key)) map.set(key, it);
+    }
+    return map;
+  };
+  const from = index(fromItems);
+  const to = index(toItems);
+
+  const summary = (it) => ({ tcgPlayerId: it.tcgPlayerId || null, name: it.name || "" });
+  const out = { added: [], removed: [], quantityChanges: [], priceChanges: [] };
+
+  for (const [key, after] of to) {
+    const before = from.get(key);
+    if (!before) {
+      out.added.push({ ...summary(after), quantity: after.quantity ?? 0 });
+      continue;
+    }
+
+    const qBefore = before.quantity ?? 0;
+    const qAfter = after.quantity ?? 0;
+    if (qBefore !== qAfter) {
+      out.quantityChanges.push({ ...summary(after), from: qBefore, to: qAfter });
+    }
+
+    for (const field of ["marketPrice", "yourPrice"]) {
+      const pBefore = before[field] ?? null;
+      const pAfter = after[field] ?? null;
+      if (pBefore !== pAfter) {
+        out.priceChanges.push({ ...summary(after), field, from: pBefore, to: pAfter });
+      }
+    }
+  }
+
+  for (const [key, before] of from) {
+    if (!to.has(key)) out.removed.push({ ...summary(before), quantity: before.quantity ?? 0 });
+  }
+
+  return out;
 }
 
 module.exports = {
   SCHEMA_VERSION,
+  MAX_BACKUPS,
+  PRICE_LOCK_LABEL,
+  isAllowedItemKey,
+  isPriceLocked,
+  normalizeLot,
   loadInventoryItems,
+  loadInventoryView,
   saveInventoryItems,
+  findInventoryItem,
   readInventoryFile,
   writeInventoryFile,
   normalizeItems,
   normalizeItem,
+  itemKey,
+  itemFieldChanges,
+  inventoryVersion,
+  loadInventoryAtVersion,
+  listInventoryBackups,
+  readInventoryBackup,
+  diffInventoryItems,
 };
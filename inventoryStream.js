@@ -0,0 +1,159 @@
+// inventoryStream.js
+// Server-Sent Events for the storefront (GET /api/inventory/stream): item-level
+// changes to the public inventory, so main.js can patch the grid in place.
+//
+// The stream keeps the last public snapshot (quantities with approved holds
+// taken off, as /api/inventory shows them) while anyone is connected and
+// diffs against it:
+//   - refresh() right after every write server.js makes (and hold changes)
+//   - every STREAM_POLL_MS (default 10s), for writes from other processes
+//     (updatePrices.js, pullInventory.js) and holds that expire on their own
+//
+// One event per batch of changes:
+//   id: <sequence>
+//   event: changes
+//   data: { at, changes: [
+//     { type: "added",   key, item },
+//     { type: "updated", key, item, fields: ["quantity", "yourPrice", ...] },
+//     { type: "removed", key, reason: "sold_out" | "deleted" } ] }
+// key is inventoryStore.itemKey ("id:<tcgPlayerId>" or "name:<lower-case name>").
+// A comment line goes out every 25s so proxies don't drop idle connections.
+
+const { itemKey } = require("./inventoryStore");
+
+const STREAM_POLL_MS = Number(process.env.STREAM_POLL_MS) || 10 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAM_CLIENTS = Number(process.env.MAX_STREAM_CLIENTS) || 200;
+// Browser reconnect delay the stream asks for (EventSource "retry:")
+const CLIENT_RETRY_MS = 5 * 1000;
+
+// key → public item (sold-out items included, with quantity 0)
+function snapshotOf(items) {
+  const out = new Map();
+  for (const item of items || []) {
+    const key = itemKey(item);
+    if (key && !out.has(key)) out.set(key, item);
+  }
+  return out;
+}
+
+function changedFields(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+const isVisible = (item) => Boolean(item) && (item.quantity ?? 0) > 0;
+
+/**
+ * What a storefront showing `before` must change to show `after` (both from
+ * snapshotOf). Only items in stock are on the storefront.
+ */
+function diffPublicInventory(before, after) {
+  const changes = [];
+
+  for (const [key, item] of after) {
+    const prev = before.get(key);
+    if (!isVisible(item)) continue;
+    if (!isVisible(prev)) {
+      changes.push({ type: "added", key, item });
+      continue;
+    }
+    const fields = changedFields(prev, item);
+    if (fields.length) changes.push({ type: "updated", key, item, fields });
+  }
+
+  for (const [key, prev] of before) {
+    if (!isVisible(prev) || isVisible(after.get(key))) continue;
+    changes.push({ type: "removed", key, reason: after.has(key) ? "sold_out" : "deleted" });
+  }
+
+  return changes;
+}
+
+/**
+ * loadPublicItems() → the storefront's items, sold-out ones included.
+ * Returns { handle(req, res), refresh(), clientCount() }.
+ */
+function createInventoryStream(loadPublicItems) {
+  const clients = new Set();
+  let snapshot = null;
+  let sequence = 0;
+  let pollTimer = null;
+  let heartbeatTimer = null;
+
+  function send(res, chunk) {
+    try {
+      res.write(chunk);
+    } catch (err) {
+      console.error("Failed to write to inventory stream:", err.message || err);
+    }
+  }
+
+  function broadcast(chunk) {
+    for (const res of clients) send(res, chunk);
+  }
+
+  function refresh() {
+    if (!clients.size) return 0;
+    let next;
+    try {
+      next = snapshotOf(loadPublicItems());
+    } catch (err) {
+      console.error("Failed to load inventory for the stream:", err.message || err);
+      return 0;
+    }
+
+    const changes = snapshot ? diffPublicInventory(snapshot, next) : [];
+    snapshot = next;
+    if (!changes.length) return 0;
+
+    sequence++;
+    const data = JSON.stringify({ at: new Date().toISOString(), changes });
+    broadcast(`id: ${sequence}\nevent: changes\ndata: ${data}\n\n`);
+    return changes.length;
+  }
+
+  function startTimers() {
+    pollTimer = setInterval(refresh, STREAM_POLL_MS);
+    heartbeatTimer = setInterval(() => broadcast(": ping\n\n"), HEARTBEAT_MS);
+  }
+
+  function stopTimers() {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = heartbeatTimer = null;
+    snapshot = null;
+  }
+
+  function handle(req, res) {
+    if (clients.size >= MAX_STREAM_CLIENTS) {
+      return res.status(503).json({ error: "Too many live connections – try again later" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+    });
+    send(res, `retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    clients.add(res);
+    if (clients.size === 1) {
+      startTimers();
+      refresh(); // first snapshot – nothing to send yet
+    }
+
+    req.on("close", () => {
+      clients.delete(res);
+      if (!clients.size) stopTimers();
+    });
+  }
+
+  return { handle, refresh, clientCount: () => clients.size };
+}
+
+module.exports = {
+  diffPublicInventory,
+  createInventoryStream,
+};
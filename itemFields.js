@@ -0,0 +1,223 @@
+// itemFields.js
+// Custom per-item fields (language, box condition, notes, SKU, location, ...)
+// defined in a config file instead of code.
+//
+// itemFields.json (next to server.js; ITEM_FIELDS_PATH to use another file):
+//   { "fields": [
+//       { "name": "language", "label": "Language", "type": "enum",
+//         "options": ["English", "Japanese"], "visibility": "public" },
+//       { "name": "sku", "type": "string", "maxLength": 40, "pattern": "^[A-Z0-9-]+$" }
+//   ] }
+//
+// Types and their validation options:
+//   string   maxLength (default 200), pattern (the whole value must match)
+//   text     maxLength (default 2000) – free-form notes
+//   number   min, max, integer (true = whole numbers only)
+//   boolean
+//   enum     options (required; values are stored in the option's spelling)
+// visibility: "public" fields are shown on the storefront (/api/inventory);
+// "private" (the default) ones only to admins.
+//
+// Values live on the item under the field name, next to the built-in keys.
+// The file is read once per process – restart the server after editing it.
+// A broken file stops startup rather than silently dropping field values on
+// the next save.
+
+const fs = require("fs");
+const path = require("path");
+
+const FIELDS_PATH = process.env.ITEM_FIELDS_PATH
+  ? path.resolve(process.env.ITEM_FIELDS_PATH)
+  : path.join(__dirname, "itemFields.json");
+
+const FIELD_TYPES = ["string", "text", "number", "boolean", "enum"];
+const VISIBILITIES = ["public", "private"];
+const DEFAULT_MAX_LENGTH = { string: 200, text: 2000 };
+const NAME_RE = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+function configError(message) {
+  return new Error(`${FIELDS_PATH}: ${message}`);
+}
+
+// One field definition from the config → a checked, filled-in definition
+function parseFieldDefinition(raw, index) {
+  if (!raw || typeof raw !== "object") throw configError(`fields[${index}] must be an object`);
+
+  const name = String(raw.name || "").trim();
+  if (!NAME_RE.test(name)) {
+    throw configError(`fields[${index}].name "${name}" must be a letter followed by letters, digits or _`);
+  }
+
+  const type = String(raw.type || "string").trim().toLowerCase();
+  if (!FIELD_TYPES.includes(type)) {
+    throw configError(`field "${name}": type must be one of ${FIELD_TYPES.join(", ")}`);
+  }
+
+  const visibility = String(raw.visibility || "private").trim().toLowerCase();
+  if (!VISIBILITIES.includes(visibility)) {
+    throw configError(`field "${name}": visibility must be public or private`);
+  }
+
+  const field = { name, label: String(raw.label || name).trim(), type, visibility };
+
+  if (type === "string" || type === "text") {
+    const maxLength = raw.maxLength === undefined ? DEFAULT_MAX_LENGTH[type] : Number(raw.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1) throw configError(`field "${name}": bad maxLength`);
+    field.maxLength = maxLength;
+
+    if (raw.pattern !== undefined) {
+      try {
+        field.pattern = new RegExp(`^(?:${raw.pattern})$`);
+      } catch (err) {
+        throw configError(`field "${name}": bad pattern (${err.message})`);
+      }
+      field.patternSource = String(raw.pattern);
+    }
+  }
+
+  if (type === "number") {
+    for (const k of ["min", "max"]) {
+      if (raw[k] === undefined) continue;
+      if (!Number.isFinite(Number(raw[k]))) throw configError(`field "${name}": ${k} must be a number`);
+      field[k] = Number(raw[k]);
+    }
+    field.integer = raw.integer === true;
+  }
+
+  if (type === "enum") {
+    const options = Array.isArray(raw.options) ? raw.options.map((o) => String(o).trim()).filter(Boolean) : [];
+    if (!options.length) throw configError(`field "${name}": enum fields need a non-empty options list`);
+    field.options = Array.from(new Set(options));
+  }
+
+  return field;
+}
+
+function loadItemFields(filePath = FIELDS_PATH) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err && err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw configError(`not valid JSON (${err.message})`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.fields;
+  if (!Array.isArray(list)) throw configError('expected { "fields": [ ... ] }');
+
+  const fields = list.map(parseFieldDefinition);
+  const seen = new Set();
+  for (const f of fields) {
+    if (seen.has(f.name)) throw configError(`field "${f.name}" is defined twice`);
+    seen.add(f.name);
+  }
+  return fields;
+}
+
+let cachedFields = null;
+
+function getItemFields() {
+  if (!cachedFields) cachedFields = loadItemFields();
+  return cachedFields;
+}
+
+function isEmptyInput(v) {
+  return v === null || v === undefined || (typeof v === "string" && v.trim() === "");
+}
+
+/**
+ * Checks one raw value against its field. Returns { value } – null meaning
+ * "no value" – or { error } with a message fit for the admin UI.
+ */
+function checkFieldValue(field, raw) {
+  if (isEmptyInput(raw)) return { value: null };
+  const label = field.label;
+
+  if (field.type === "string" || field.type === "text") {
+    if (typeof raw === "object") return { error: `${label} must be text.` };
+    const s = String(raw).trim();
+    if (s.length > field.maxLength) return { error: `${label} can be at most ${field.maxLength} characters.` };
+    if (field.pattern && !field.pattern.test(s)) return { error: `${label} must match ${field.patternSource}.` };
+    return { value: s };
+  }
+
+  if (field.type === "number") {
+    const n = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw.trim()) : NaN;
+    if (!Number.isFinite(n)) return { error: `${label} must be a number.` };
+    if (field.integer && !Number.isInteger(n)) return { error: `${label} must be a whole number.` };
+    if (field.min !== undefined && n < field.min) return { error: `${label} must be at least ${field.min}.` };
+    if (field.max !== undefined && n > field.max) return { error: `${label} must be at most ${field.max}.` };
+    return { value: n };
+  }
+
+  if (field.type === "boolean") {
+    if (typeof raw === "boolean") return { value: raw };
+    const s = String(raw).trim().toLowerCase();
+    if (["true", "yes", "1", "on"].includes(s)) return { value: true };
+    if (["false", "no", "0", "off"].includes(s)) return { value: false };
+    return { error: `${label} must be yes or no.` };
+  }
+
+  // enum
+  const s = String(raw).trim().toLowerCase();
+  const match = field.options.find((o) => o.toLowerCase() === s);
+  if (!match) return { error: `${label} must be one of: ${field.options.join(", ")}.` };
+  return { value: match };
+}
+
+// Valid custom values of one item ({ name: value }); invalid ones are dropped.
+function normalizeCustomFields(src) {
+  const out = {};
+  for (const field of getItemFields()) {
+    const { value } = checkFieldValue(field, src ? src[field.name] : null);
+    if (value !== null && value !== undefined) out[field.name] = value;
+  }
+  return out;
+}
+
+// Error messages for the custom values an admin write sends (keys it leaves
+// out aren't checked).
+function validateCustomFields(input) {
+  const errors = [];
+  if (!input || typeof input !== "object") return errors;
+  for (const field of getItemFields()) {
+    if (input[field.name] === undefined) continue;
+    const { error } = checkFieldValue(field, input[field.name]);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+function customFieldNames() {
+  return getItemFields().map((f) => f.name);
+}
+
+function privateFieldNames() {
+  return getItemFields()
+    .filter((f) => f.visibility === "private")
+    .map((f) => f.name);
+}
+
+// Definitions as JSON for admin.js (regexes as their source text)
+function describeItemFields() {
+  return getItemFields().map(({ pattern, patternSource, ...f }) => (patternSource ? { ...f, pattern: patternSource } : f));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  loadItemFields,
+  getItemFields,
+  checkFieldValue,
+  normalizeCustomFields,
+  validateCustomFields,
+  customFieldNames,
+  privateFieldNames,
+  describeItemFields,
+};
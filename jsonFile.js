@@ -0,0 +1,34 @@
+// jsonFile.js
+// Small helpers for the JSON side-files (admin users, sessions, ...).
+// Same approach as inventoryStore.js: atomic writes (temp + rename), and a
+// missing or unreadable file falls back to a default instead of throwing.
+
+const fs = require("fs");
+const path = require("path");
+
+function readJsonFile(filePath, fallback) {
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    if (!raw.trim()) return fallback;
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err && err.code !== "ENOENT") {
+      console.error(`Error reading ${path.basename(filePath)}:`, err.message || err);
+    }
+    return fallback;
+  }
+}
+
+function writeJsonFile(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const tmp = path.join(dir, `${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}`);
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+};
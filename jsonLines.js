@@ -0,0 +1,69 @@
+// jsonLines.js
+// Helpers for the append-only JSON Lines logs (auditLog.jsonl, sales.jsonl):
+// one JSON object per line, only ever appended to.
+
+const fs = require("fs");
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    if (err && err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
+
+// Appends entries, one per line. Returns the file's size before the append,
+// which truncateJsonLines takes to undo it.
+function appendJsonLines(filePath, entries) {
+  const offset = fileSize(filePath);
+  if (!entries || entries.length === 0) return offset;
+  const lines = entries.map((e) => JSON.stringify(e)).join("\n") + "\n";
+  fs.appendFileSync(filePath, lines, "utf8");
+  return offset;
+}
+
+// Only for taking back an append that just happened in this process
+function truncateJsonLines(filePath, offset) {
+  fs.truncateSync(filePath, offset);
+}
+
+function readJsonLines(filePath) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err && err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // skip a torn/corrupt line rather than failing the whole read
+    }
+  }
+  return out;
+}
+
+// from/to filter bound → ms, or null when missing or invalid. Plain dates
+// (YYYY-MM-DD) cover the whole UTC day, the same days the sales summaries
+// bucket by; endOfDay picks the last millisecond of it.
+function parseDateBound(v, endOfDay) {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? new Date(`${s}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`)
+    : new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.getTime();
+}
+
+module.exports = {
+  appendJsonLines,
+  truncateJsonLines,
+  readJsonLines,
+  parseDateBound,
+};
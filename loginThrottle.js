@@ -0,0 +1,136 @@
+// loginThrottle.js
+// Failed-login tracking for admin auth, per IP and per account.
+//
+//  - Each failure pushes the next allowed attempt out exponentially
+//    (1s, 2s, 4s, ... capped at BACKOFF_MAX_MS).
+//  - After too many failures the IP/account is locked out for a while; repeat
+//    lockouts double in length (capped at a day).
+//  - Failures older than FAILURE_WINDOW_MS are forgotten.
+//  - State is kept in loginAttempts.json so a restart doesn't reset lockouts.
+
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const STATE_PATH = process.env.LOGIN_THROTTLE_PATH
+  ? path.resolve(process.env.LOGIN_THROTTLE_PATH)
+  : path.join(__dirname, "loginAttempts.json");
+
+const MAX_FAILURES = {
+  account: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  ip: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+};
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+function loadState() {
+  const data = readJsonFile(STATE_PATH, {});
+  const state = {
+    ip: data && typeof data.ip === "object" && data.ip ? data.ip : {},
+    account: data && typeof data.account === "object" && data.account ? data.account : {},
+  };
+
+  // Forget records that are neither locked nor recent
+  const now = Date.now();
+  for (const kind of ["ip", "account"]) {
+    for (const [key, rec] of Object.entries(state[kind])) {
+      const locked = rec && Date.parse(rec.lockedUntil) > now;
+      const recent = rec && now - Date.parse(rec.lastFailureAt) < FAILURE_WINDOW_MS;
+      if (!locked && !recent) delete state[kind][key];
+    }
+  }
+  return state;
+}
+
+function saveState(state) {
+  try {
+    writeJsonFile(STATE_PATH, state);
+  } catch (err) {
+    console.warn("Failed to save login throttle state:", err.message || err);
+  }
+}
+
+function accountKey(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+function keysFor(ip, username) {
+  const keys = [];
+  if (ip) keys.push({ kind: "ip", key: String(ip) });
+  const acct = accountKey(username);
+  if (acct) keys.push({ kind: "account", key: acct });
+  return keys;
+}
+
+// { allowed: true } or { allowed: false, retryAfterMs, lockedOut }
+function checkLoginAllowed(ip, username) {
+  const state = loadState();
+  const now = Date.now();
+  let retryAfterMs = 0;
+  let lockedOut = false;
+
+  for (const { kind, key } of keysFor(ip, username)) {
+    const rec = state[kind][key];
+    if (!rec) continue;
+
+    const lockedUntil = Date.parse(rec.lockedUntil) || 0;
+    const nextAttemptAt = Date.parse(rec.nextAttemptAt) || 0;
+    if (lockedUntil > now) {
+      lockedOut = true;
+      retryAfterMs = Math.max(retryAfterMs, lockedUntil - now);
+    } else if (nextAttemptAt > now) {
+      retryAfterMs = Math.max(retryAfterMs, nextAttemptAt - now);
+    }
+  }
+
+  return retryAfterMs > 0 ? { allowed: false, retryAfterMs, lockedOut } : { allowed: true };
+}
+
+// Records a failed attempt. Returns the lockouts it just triggered:
+// [{ kind: "ip" | "account", key, until, failures }]
+function recordLoginFailure(ip, username) {
+  const state = loadState();
+  const now = Date.now();
+  const newLockouts = [];
+
+  for (const { kind, key } of keysFor(ip, username)) {
+    const rec = state[kind][key] || { failures: 0, lockouts: 0 };
+    rec.failures = (rec.failures || 0) + 1;
+    rec.lastFailureAt = new Date(now).toISOString();
+
+    if (rec.failures >= MAX_FAILURES[kind]) {
+      rec.lockouts = (rec.lockouts || 0) + 1;
+      const duration = Math.min(MAX_LOCKOUT_MS, LOCKOUT_MS * 2 ** (rec.lockouts - 1));
+      rec.lockedUntil = new Date(now + duration).toISOString();
+      rec.nextAttemptAt = rec.lockedUntil;
+      newLockouts.push({ kind, key, until: rec.lockedUntil, failures: rec.failures });
+      rec.failures = 0;
+    } else {
+      const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (rec.failures - 1));
+      rec.nextAttemptAt = new Date(now + delay).toISOString();
+    }
+
+    state[kind][key] = rec;
+  }
+
+  saveState(state);
+  return newLockouts;
+}
+
+// A good login clears the account's failures (the IP's are left to expire).
+function recordLoginSuccess(username) {
+  const state = loadState();
+  const acct = accountKey(username);
+  if (!acct || !state.account[acct]) return;
+
+  delete state.account[acct];
+  saveState(state);
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
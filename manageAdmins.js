@@ -0,0 +1,114 @@
+// manageAdmins.js - create / reset / remove admin accounts for admin.html
+//
+// Usage:
+//   node manageAdmins.js list
+//   node manageAdmins.js create <username> [clerk|pricer|owner]   (default: owner)
+//   node manageAdmins.js reset <username>     (new password, logs them out everywhere)
+//   node manageAdmins.js role <username> <clerk|pricer|owner>
+//   node manageAdmins.js remove <username>
+//
+// The password is prompted for (hidden). For scripted setups you can pass it
+// via ADMIN_NEW_PASSWORD instead.
+
+require("dotenv").config();
+const readline = require("readline");
+
+const {
+  MIN_PASSWORD_LENGTH,
+  ROLES,
+  listUsers,
+  createUser,
+  setPassword,
+  setRole,
+  removeUser,
+} = require("./adminAuth");
+
+function usage() {
+  console.log(
+    "Usage:\n" +
+      "  node manageAdmins.js list\n" +
+      `  node manageAdmins.js create <username> [${ROLES.join("|")}]\n` +
+      "  node manageAdmins.js reset <username>\n" +
+      `  node manageAdmins.js role <username> <${ROLES.join("|")}>\n` +
+      "  node manageAdmins.js remove <username>"
+  );
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Don't echo what's typed
+    rl._writeToOutput = (s) => {
+      if (s.includes(question)) rl.output.write(s);
+    };
+    rl.question(question, (answer) => {
+      rl.output.write("\n");
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function askNewPassword() {
+  if (process.env.ADMIN_NEW_PASSWORD) return process.env.ADMIN_NEW_PASSWORD;
+
+  const first = await promptHidden(`New password (min ${MIN_PASSWORD_LENGTH} chars): `);
+  const second = await promptHidden("Repeat password: ");
+  if (first !== second) throw new Error("Passwords do not match.");
+  return first;
+}
+
+async function main() {
+  const [cmd, username, role] = process.argv.slice(2);
+
+  if (cmd === "list") {
+    const users = listUsers();
+    if (!users.length) console.log("No admin accounts yet.");
+    for (const u of users) {
+      console.log(`• ${u.username} – ${u.role || "unknown role, no access"} (created ${u.createdAt || "?"})`);
+    }
+    return;
+  }
+
+  if (!username || !["create", "reset", "role", "remove"].includes(cmd)) {
+    usage();
+    process.exit(1);
+  }
+
+  // Check the role before asking for a password
+  if ((cmd === "create" && role !== undefined) || cmd === "role") {
+    if (!ROLES.includes(String(role || "").trim().toLowerCase())) {
+      throw new Error(`Unknown role "${role || ""}" – use one of: ${ROLES.join(", ")}.`);
+    }
+  }
+
+  if (cmd === "create") {
+    const password = await askNewPassword();
+    const user = createUser(username, password, role);
+    console.log(`✔ Created admin "${user.username}" (${user.role}).`);
+    return;
+  }
+
+  if (cmd === "reset") {
+    const password = await askNewPassword();
+    const user = setPassword(username, password);
+    console.log(`✔ Password reset for "${user.username}". Existing sessions were logged out.`);
+    return;
+  }
+
+  if (cmd === "role") {
+    const user = setRole(username, role);
+    console.log(`✔ "${user.username}" is now ${user.role}.`);
+    return;
+  }
+
+  if (cmd === "remove") {
+    removeUser(username);
+    console.log(`✔ Removed admin "${username}".`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌", err.message || err);
+  process.exit(1);
+});
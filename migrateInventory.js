@@ -0,0 +1,115 @@
+// migrateInventory.js - report (and optionally run) inventory schema migrations
+//
+// Usage:
+//   node migrateInventory.js                 dry run: live store + every backup
+//   node migrateInventory.js <file.json>     dry run: one inventory/backup file
+//   node migrateInventory.js --apply         migrate the live store now
+//
+// A dry run changes nothing. It lists, per migration, how many items change
+// and which fields are added / removed / changed, then which keys
+// normalization would still drop because they are not in the schema.
+// The server migrates the live store on its own the first time it reads it;
+// --apply just does that up front (keeping the same pre-migration copy).
+
+require("dotenv").config();
+const path = require("path");
+
+const { MIGRATIONS, migrateInventory } = require("./inventoryMigrations");
+const { SCHEMA_VERSION, MAX_BACKUPS, isAllowedItemKey, normalizeItems, readInventoryFile } = require("./inventoryStore");
+const { readInventoryJsonFile, storageFor } = require("./inventoryStorage");
+
+const INVENTORY_PATH = path.join(__dirname, "inventory.json");
+
+function formatCounts(counts) {
+  const entries = Object.entries(counts);
+  if (!entries.length) return "none";
+  return entries.map(([k, n]) => `${k} (${n})`).join(", ");
+}
+
+// What migrating + normalizing one raw { meta, items } would do
+function planFor(raw) {
+  const migrated = migrateInventory(raw, SCHEMA_VERSION);
+
+  const unknownKeys = {};
+  for (const item of migrated.items) {
+    if (!item || typeof item !== "object") continue;
+    for (const k of Object.keys(item)) {
+      if (!isAllowedItemKey(k)) unknownKeys[k] = (unknownKeys[k] || 0) + 1;
+    }
+  }
+  const emptyRows = migrated.items.length - normalizeItems(migrated.items).length;
+
+  return { ...migrated, itemCount: raw.items.length, unknownKeys, emptyRows };
+}
+
+function printPlan(label, plan) {
+  const upToDate = plan.fromVersion >= SCHEMA_VERSION;
+  console.log(`\n${label}: schema v${plan.fromVersion}, ${plan.itemCount} items` + (upToDate ? " – up to date" : ""));
+
+  for (const step of plan.steps) {
+    console.log(`  → v${step.version}: ${step.description}`);
+    if (!step.changedItems && !step.droppedItems) {
+      console.log("      no item changes");
+      continue;
+    }
+    console.log(`      items changed: ${step.changedItems}, dropped: ${step.droppedItems}`);
+    console.log(`      fields added: ${formatCounts(step.fieldsAdded)}`);
+    console.log(`      fields removed: ${formatCounts(step.fieldsRemoved)}`);
+    console.log(`      fields changed: ${formatCounts(step.fieldsChanged)}`);
+  }
+
+  if (Object.keys(plan.unknownKeys).length) {
+    console.log(`  ⚠️ normalization will drop keys not in the schema or itemFields.json: ${formatCounts(plan.unknownKeys)}`);
+  }
+  if (plan.emptyRows) {
+    console.log(`  ⚠️ normalization will drop ${plan.emptyRows} rows with neither name nor tcgPlayerId`);
+  }
+}
+
+function dryRunStore() {
+  const store = storageFor(INVENTORY_PATH, { maxBackups: MAX_BACKUPS });
+  console.log(`Target schema: v${SCHEMA_VERSION} (${MIGRATIONS.length} registered migrations, ${store.kind} storage)`);
+
+  printPlan("Live inventory", planFor(store.read()));
+
+  for (const snap of store.listSnapshots()) {
+    printPlan(`Backup ${snap.name}`, planFor(store.readSnapshot(snap.name)));
+  }
+  console.log("\nDry run only – nothing was changed. Backups are upgraded in memory when read.");
+}
+
+function dryRunFile(file) {
+  console.log(`Target schema: v${SCHEMA_VERSION} (${MIGRATIONS.length} registered migrations)`);
+  printPlan(path.basename(file), planFor(readInventoryJsonFile(path.resolve(file))));
+  console.log("\nDry run only – nothing was changed.");
+}
+
+function apply() {
+  const store = storageFor(INVENTORY_PATH, { maxBackups: MAX_BACKUPS });
+  const before = Number(store.read().meta.schemaVersion) || 0;
+  if (before >= SCHEMA_VERSION) {
+    console.log(`✔ Live inventory is already at schema v${before}.`);
+    return;
+  }
+
+  // readInventoryFile migrates, keeps the pre-migration copy and writes back
+  const { meta, items } = readInventoryFile(INVENTORY_PATH);
+  if (meta.schemaVersion !== SCHEMA_VERSION) throw new Error("Migration did not complete – see the errors above.");
+  console.log(`✔ Live inventory upgraded v${before} → v${meta.schemaVersion} (${items.length} items).`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--apply")) return apply();
+
+  const file = args.find((a) => !a.startsWith("--"));
+  if (file) return dryRunFile(file);
+  return dryRunStore();
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,443 @@
+// notificationQueue.js
+// Persistent outbound webhook queue (Discord alerts and friends).
+//
+// Messages are written to notifications.json (next to inventory.json) before
+// anything is sent, so a 429/5xx from Discord or the process exiting right
+// after (updatePrices.js) doesn't lose them:
+//   { pending: [{ id, kind, url, payload, headers?, attempts, createdAt,
+//                 nextAttemptAt, lastStatus, lastError }],
+//     dead:    [... same, plus deadAt – gave up, kept for the admin view] }
+//
+// Delivery:
+//  - one request at a time, oldest first; a webhook's messages never overtake
+//    each other
+//  - 2xx: done. If Discord says the bucket is empty (X-RateLimit-Remaining: 0)
+//    the next message to that webhook waits X-RateLimit-Reset-After.
+//  - 429: wait Retry-After / retry_after, then try again (not counted as a failure)
+//  - 5xx or network error: exponential backoff, dead-lettered after
+//    NOTIFY_MAX_ATTEMPTS (default 8) tries
+//  - other 4xx (deleted webhook, bad payload): dead-lettered right away
+//
+// server.js runs a worker that keeps the queue moving; one-shot scripts call
+// flushNotifications() before exiting and leave anything undelivered queued.
+// Both processes may share the file: every change re-reads it first, under
+// notifications.json.lock. Before posting, a process claims the entry
+// (claimedBy / claimedUntil in the file) and others skip it until the claim
+// is released or runs out, so an entry is never sent twice.
+
+const crypto = require("crypto");
+const fsp = require("fs/promises");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const QUEUE_FILE = "notifications.json";
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 8;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_DEAD = 200;
+const IDLE_POLL_MS = 30 * 1000;
+// A claim outlives the request it covers; an older one is from a crashed process
+const CLAIM_MS = REQUEST_TIMEOUT_MS + 20 * 1000;
+const LOCK_POLL_MS = 10;
+const LOCK_STALE_MS = 5 * 1000;
+const WORKER_ID = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+function notificationQueuePathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), QUEUE_FILE);
+}
+
+function loadQueue(queuePath) {
+  const data = readJsonFile(queuePath, {});
+  return {
+    pending: data && Array.isArray(data.pending) ? data.pending : [],
+    dead: data && Array.isArray(data.dead) ? data.dead : [],
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Cross-process lock file around a read-modify-write. Waiting for it polls on
+// a timer, so the server keeps serving requests while a script holds it.
+async function withQueueLock(queuePath, fn) {
+  const lockPath = `${queuePath}.lock`;
+  for (;;) {
+    try {
+      await (await fsp.open(lockPath, "wx")).close();
+      break;
+    } catch (err) {
+      if (!err || err.code !== "EEXIST") throw err;
+    }
+    // An old lock was left by a process that died holding it
+    const stat = await fsp.stat(lockPath).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      await fsp.unlink(lockPath).catch(() => {});
+      continue;
+    }
+    await sleep(LOCK_POLL_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    await fsp.unlink(lockPath).catch((err) => {
+      console.error("Failed to release notification queue lock:", err.message || err);
+    });
+  }
+}
+
+// This process's queue changes run one after another, in call order
+let queueTail = Promise.resolve();
+
+// Read-modify-write under the lock; fn mutates the queue in place. Resolves
+// to what fn returns.
+function updateQueue(queuePath, fn) {
+  const run = queueTail.then(() =>
+    withQueueLock(queuePath, () => {
+      const queue = loadQueue(queuePath);
+      const result = fn(queue);
+      if (queue.dead.length > MAX_DEAD) queue.dead = queue.dead.slice(-MAX_DEAD);
+      writeJsonFile(queuePath, queue);
+      return result;
+    })
+  );
+  queueTail = run.catch(() => {});
+  return run;
+}
+
+function claimedElsewhere(entry, nowMs = Date.now()) {
+  return Boolean(entry.claimedBy) && entry.claimedBy !== WORKER_ID && Date.parse(entry.claimedUntil) > nowMs;
+}
+
+function releaseClaim(entry) {
+  delete entry.claimedBy;
+  delete entry.claimedUntil;
+}
+
+// Marks a pending entry as being sent by this process. Resolves to the stored
+// entry, "claimed" when another process is sending it, or null when it's gone
+// (sent elsewhere or discarded by an admin).
+function claimEntry(queuePath, id) {
+  return updateQueue(queuePath, (q) => {
+    const nowMs = Date.now();
+    const e = q.pending.find((x) => x.id === id);
+    if (!e) return null;
+    if (claimedElsewhere(e, nowMs)) return "claimed";
+    e.claimedBy = WORKER_ID;
+    e.claimedUntil = new Date(nowMs + CLAIM_MS).toISOString();
+    return { ...e };
+  });
+}
+
+/**
+ * Queues one webhook POST. kind labels it for the admin view (e.g. "stock");
+ * headers are sent as-is on every attempt. Resolves to the entry, or null when
+ * there's no URL / payload (feature not configured).
+ */
+async function enqueueNotification(queuePath, { kind, url, payload, headers }) {
+  if (!url || !payload) return null;
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomBytes(8).toString("hex"),
+    kind: kind || "webhook",
+    url,
+    payload,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastStatus: null,
+    lastError: null,
+  };
+  if (headers) entry.headers = headers;
+  await updateQueue(queuePath, (q) => q.pending.push(entry));
+  return entry;
+}
+
+function backoffMs(attempts) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(base * (1 + Math.random() * 0.2));
+}
+
+// Seconds from a header or Discord's JSON body → ms (null if absent)
+function secondsToMs(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.ceil(n * 1000) : null;
+}
+
+async function postOnce(entry) {
+  let res;
+  try {
+    res = await fetch(entry.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(entry.headers || {}) },
+      body: JSON.stringify(entry.payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { outcome: "retry", status: null, error: err.message || String(err) };
+  }
+
+  const bucketResetMs =
+    res.headers.get("x-ratelimit-remaining") === "0" ? secondsToMs(res.headers.get("x-ratelimit-reset-after")) : null;
+
+  if (res.ok) return { outcome: "sent", status: res.status, bucketResetMs };
+
+  const text = await res.text().catch(() => "");
+  if (res.status === 429) {
+    let retryAfterMs = secondsToMs(res.headers.get("retry-after"));
+    try {
+      const body = JSON.parse(text);
+      if (body && body.retry_after !== undefined) retryAfterMs = secondsToMs(body.retry_after) ?? retryAfterMs;
+    } catch {
+      // not JSON – the header is all we have
+    }
+    return { outcome: "rateLimited", status: 429, retryAfterMs: retryAfterMs ?? 5000, error: "Rate limited" };
+  }
+
+  const error = `HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ""}`;
+  if (res.status >= 500) return { outcome: "retry", status: res.status, error };
+  return { outcome: "dead", status: res.status, error };
+}
+
+// Applies one delivery result to the stored queue (the entry may have been
+// discarded by an admin in the meantime – then there's nothing to do).
+function recordResult(queuePath, entry, result) {
+  return updateQueue(queuePath, (q) => {
+    const nowMs = Date.now();
+    const idx = q.pending.findIndex((e) => e.id === entry.id);
+    if (idx < 0) return;
+    const e = q.pending[idx];
+    releaseClaim(e);
+
+    // Hold back everything else queued for a webhook that told us to wait
+    const waitMs = result.outcome === "rateLimited" ? result.retryAfterMs : result.bucketResetMs;
+    if (waitMs) {
+      const until = new Date(nowMs + waitMs).toISOString();
+      for (const other of q.pending) {
+        if (other.url === e.url && other.nextAttemptAt < until) other.nextAttemptAt = until;
+      }
+    }
+
+    if (result.outcome === "sent") {
+      q.pending.splice(idx, 1);
+      return;
+    }
+
+    e.lastStatus = result.status;
+    e.lastError = result.error;
+    if (result.outcome === "rateLimited") return;
+
+    e.attempts += 1;
+    if (result.outcome === "dead" || e.attempts >= MAX_ATTEMPTS) {
+      q.pending.splice(idx, 1);
+      q.dead.push({ ...e, deadAt: new Date(nowMs).toISOString() });
+      console.error(`Notification ${e.id} (${e.kind}) gave up after ${e.attempts} attempt(s): ${e.lastError}`);
+      return;
+    }
+    e.nextAttemptAt = new Date(nowMs + backoffMs(e.attempts)).toISOString();
+  });
+}
+
+let delivering = false;
+
+/**
+ * Sends every entry that is due, one at a time and in order per webhook: once
+ * one of a webhook's entries is waiting (backoff / rate limit), the ones
+ * queued after it wait too.
+ * Returns { sent, remaining, nextAttemptAt } (nextAttemptAt = earliest pending, or null).
+ */
+async function deliverDue(queuePath) {
+  if (delivering) return { sent: 0, ...queueStatus(queuePath) };
+  delivering = true;
+  let sent = 0;
+
+  try {
+    const blockedUrls = new Set();
+    const nowIso = new Date().toISOString();
+
+    for (const entry of loadQueue(queuePath).pending) {
+      if (blockedUrls.has(entry.url)) continue;
+      // Keep each webhook's messages in order: nothing overtakes one that's waiting
+      if (entry.nextAttemptAt > nowIso) {
+        blockedUrls.add(entry.url);
+        continue;
+      }
+      // Skip anything an admin discarded while earlier sends were in flight;
+      // another process sending this webhook's messages keeps them in order
+      const claimed = await claimEntry(queuePath, entry.id);
+      if (!claimed) continue;
+      if (claimed === "claimed") {
+        blockedUrls.add(entry.url);
+        continue;
+      }
+      const result = await postOnce(claimed);
+      await recordResult(queuePath, claimed, result);
+      if (result.outcome === "sent") sent++;
+      else blockedUrls.add(entry.url);
+      if (result.bucketResetMs) blockedUrls.add(entry.url);
+    }
+  } catch (err) {
+    console.error("Notification delivery error:", err.message || err);
+  } finally {
+    delivering = false;
+  }
+
+  return { sent, ...queueStatus(queuePath) };
+}
+
+// An entry another process is sending isn't due before its claim runs out
+function queueStatus(queuePath) {
+  const { pending } = loadQueue(queuePath);
+  const nowMs = Date.now();
+  const next = pending.reduce((min, e) => {
+    const at = claimedElsewhere(e, nowMs) && e.claimedUntil > e.nextAttemptAt ? e.claimedUntil : e.nextAttemptAt;
+    return !min || at < min ? at : min;
+  }, null);
+  return { remaining: pending.length, nextAttemptAt: next };
+}
+
+/**
+ * For scripts that exit when done: keep delivering (waiting out short
+ * backoffs / rate limits) until the queue is empty or timeoutMs runs out.
+ * Whatever is left stays queued for the next run or the server's worker.
+ */
+async function flushNotifications(queuePath, { timeoutMs = 30 * 1000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const { remaining, nextAttemptAt } = await deliverDue(queuePath);
+    if (!remaining) return { remaining: 0 };
+
+    const waitMs = Date.parse(nextAttemptAt) - Date.now();
+    if (Date.now() + Math.max(0, waitMs) >= deadline) {
+      console.warn(`${remaining} notification(s) still queued in ${path.basename(queuePath)} – will retry later.`);
+      return { remaining };
+    }
+    if (waitMs > 0) await sleep(waitMs);
+  }
+}
+
+/**
+ * Long-running delivery loop for server.js. kick() after enqueueing to send
+ * right away instead of waiting for the next scheduled pass.
+ */
+function startNotificationWorker(queuePath) {
+  let timer = null;
+  let stopped = false;
+
+  async function run() {
+    timer = null;
+    const { nextAttemptAt } = await deliverDue(queuePath);
+    if (stopped) return;
+    const untilNext = nextAttemptAt ? Date.parse(nextAttemptAt) - Date.now() : IDLE_POLL_MS;
+    schedule(Math.min(IDLE_POLL_MS, Math.max(1000, untilNext)));
+  }
+
+  function schedule(ms) {
+    if (stopped) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, ms);
+    if (timer.unref) timer.unref();
+  }
+
+  schedule(0);
+  return {
+    kick: () => schedule(0),
+    stop: () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    },
+  };
+}
+
+// Webhook URLs carry their secret token in the path; show only the start.
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    const parts = u.pathname.split("/").filter(Boolean);
+    const shown = parts.slice(0, Math.max(1, parts.length - 1)).join("/");
+    return `${u.origin}/${shown}/…`;
+  } catch {
+    return "(invalid URL)";
+  }
+}
+
+// Message text plus embed titles, the event and product for inventory
+// webhooks (webhookSubscriptions.js), or the raw JSON for other payloads
+function previewPayload(payload) {
+  if (payload && typeof payload.type === "string" && payload.item) {
+    const id = payload.item.tcgPlayerId ? ` [${payload.item.tcgPlayerId}]` : "";
+    return `${payload.type}: ${payload.item.name || "Unnamed product"}${id}`;
+  }
+  if (!payload || (typeof payload.content !== "string" && !Array.isArray(payload.embeds))) {
+    return JSON.stringify(payload);
+  }
+  const titles = (payload.embeds || []).map((em) => `• ${em.title || ""}`);
+  return [payload.content || "", ...titles].filter(Boolean).join("\n");
+}
+
+function describeEntry(e) {
+  const preview = previewPayload(e.payload);
+  return {
+    id: e.id,
+    kind: e.kind,
+    target: redactUrl(e.url),
+    preview: String(preview || "").slice(0, 300),
+    attempts: e.attempts,
+    createdAt: e.createdAt,
+    nextAttemptAt: e.deadAt ? null : e.nextAttemptAt,
+    deadAt: e.deadAt || null,
+    lastStatus: e.lastStatus,
+    lastError: e.lastError,
+  };
+}
+
+// Admin view: pending oldest first, dead letters newest first (URLs redacted)
+function listNotifications(queuePath) {
+  const { pending, dead } = loadQueue(queuePath);
+  return {
+    maxAttempts: MAX_ATTEMPTS,
+    pending: pending.map(describeEntry),
+    dead: dead.slice().reverse().map(describeEntry),
+  };
+}
+
+// Dead letter → back into the queue with a fresh attempt count (resolves to
+// null when there's no such dead letter)
+function retryNotification(queuePath, id) {
+  return updateQueue(queuePath, (q) => {
+    const idx = q.dead.findIndex((e) => e.id === id);
+    if (idx < 0) return null;
+    const [entry] = q.dead.splice(idx, 1);
+    delete entry.deadAt;
+    Object.assign(entry, { attempts: 0, nextAttemptAt: new Date().toISOString() });
+    q.pending.push(entry);
+    return describeEntry(entry);
+  });
+}
+
+// Drops a pending or dead entry for good
+function discardNotification(queuePath, id) {
+  return updateQueue(queuePath, (q) => {
+    for (const list of [q.pending, q.dead]) {
+      const idx = list.findIndex((e) => e.id === id);
+      if (idx >= 0) return describeEntry(list.splice(idx, 1)[0]);
+    }
+    return null;
+  });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  notificationQueuePathFor,
+  enqueueNotification,
+  deliverDue,
+  flushNotifications,
+  startNotificationWorker,
+  listNotifications,
+  retryNotification,
+  discardNotification,
+};
@@ -0,0 +1,97 @@
+// priceHistory.js
+// Market / your-price history per product, keyed by tcgPlayerId.
+//
+// priceHistory.json (next to inventory.json):
+//   { series: { "<tcgPlayerId>": [{ at, marketPrice, yourPrice }, ...] } }
+//
+// updatePrices.js appends a point for every item it prices. To keep the file
+// from growing forever, older points are thinned out on every write:
+//   - newer than RAW_DAYS          → every point kept
+//   - newer than DAILY_DAYS        → last point per day
+//   - newer than RETENTION_DAYS    → last point per week
+//   - older                        → dropped
+
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const PRICE_HISTORY_FILE = "priceHistory.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RAW_DAYS = 14;
+const DAILY_DAYS = 180;
+const RETENTION_DAYS = Number(process.env.PRICE_HISTORY_RETENTION_DAYS) || 730;
+
+function priceHistoryPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), PRICE_HISTORY_FILE);
+}
+
+function loadSeries(historyPath) {
+  const data = readJsonFile(historyPath, { series: {} });
+  return data && data.series && typeof data.series === "object" ? data.series : {};
+}
+
+function toPrice(v) {
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? null : Math.round(n * 100) / 100;
+}
+
+// Keeps the last point in each bucket; bucket size grows with age.
+function downsample(points, now = Date.now()) {
+  const buckets = new Map();
+  for (const p of points) {
+    const t = Date.parse(p.at);
+    if (Number.isNaN(t)) continue;
+
+    const age = now - t;
+    let key;
+    if (age > RETENTION_DAYS * DAY_MS) continue;
+    else if (age > DAILY_DAYS * DAY_MS) key = `w${Math.floor(t / (7 * DAY_MS))}`;
+    else if (age > RAW_DAYS * DAY_MS) key = `d${Math.floor(t / DAY_MS)}`;
+    else key = `t${t}`;
+
+    const prev = buckets.get(key);
+    if (!prev || Date.parse(prev.at) <= t) buckets.set(key, p);
+  }
+  return Array.from(buckets.values()).sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+/**
+ * Appends one point per item: items = [{ tcgPlayerId, marketPrice, yourPrice }].
+ * Items without an id or any price are skipped.
+ */
+function appendPricePoints(historyPath, items, at = new Date().toISOString()) {
+  const series = loadSeries(historyPath);
+  let added = 0;
+
+  for (const item of items || []) {
+    const id = item && item.tcgPlayerId ? String(item.tcgPlayerId).trim() : "";
+    const marketPrice = toPrice(item && item.marketPrice);
+    const yourPrice = toPrice(item && item.yourPrice);
+    if (!id || (marketPrice === null && yourPrice === null)) continue;
+
+    const points = Array.isArray(series[id]) ? series[id] : [];
+    points.push({ at, marketPrice, yourPrice });
+    series[id] = downsample(points);
+    added++;
+  }
+
+  if (added > 0) writeJsonFile(historyPath, { series });
+  return added;
+}
+
+// Oldest-first points for one product, optionally only the last `days` days.
+function readPriceHistory(historyPath, tcgPlayerId, { days } = {}) {
+  const points = loadSeries(historyPath)[String(tcgPlayerId || "").trim()];
+  if (!Array.isArray(points)) return [];
+
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0) return points;
+
+  const since = Date.now() - n * DAY_MS;
+  return points.filter((p) => Date.parse(p.at) >= since);
+}
+
+module.exports = {
+  priceHistoryPathFor,
+  appendPricePoints,
+  readPriceHistory,
+};
@@ -0,0 +1,192 @@
+// priceReviews.js
+// Guard against bad price data: market price moves bigger than a threshold
+// aren't applied by updatePrices.js but queued here for an admin to approve
+// or reject.
+//
+// priceReviews.json (next to inventory.json):
+//   { reviews: [{ id, tcgPlayerId, name, setName, previousMarketPrice, marketPrice,
+//                 previousYourPrice, proposedYourPrice, pricingRule, changePercent,
+//                 threshold, status, createdAt, resolvedAt, resolvedBy }] }
+//
+// Threshold (largest allowed market price move, in % of the last one):
+//   item.maxPriceChangePercent   per item, wins over everything
+//   --max-change=<pct>           per updatePrices.js run
+//   PRICE_MAX_CHANGE_PERCENT     default (25)
+// Items without a previous market price, and items with an active price lock
+// (their price doesn't follow the market), are never held back.
+//
+// Lifecycle:
+//   pending    – waiting for an admin (one per item; a newer flag replaces it)
+//   approved   – server.js applied the price
+//   rejected   – the price was dropped; the item kept its old one
+//   superseded – a later run priced the item normally, or flagged it again
+// Only the last MAX_RESOLVED_REVIEWS closed reviews are kept.
+
+const crypto = require("crypto");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const REVIEWS_FILE = "priceReviews.json";
+const MAX_PRICE_CHANGE_PERCENT = Number(process.env.PRICE_MAX_CHANGE_PERCENT) || 25;
+const MAX_RESOLVED_REVIEWS = 200;
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected", "superseded"];
+const REVIEW_ACTIONS = { approve: "approved", reject: "rejected" };
+
+function priceReviewsPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), REVIEWS_FILE);
+}
+
+function loadReviews(reviewsPath) {
+  const data = readJsonFile(reviewsPath, { reviews: [] });
+  return data && Array.isArray(data.reviews) ? data.reviews : [];
+}
+
+// Keeps every pending review and the newest closed ones
+function saveReviews(reviewsPath, reviews) {
+  const closed = reviews.filter((r) => r.status !== "pending");
+  const dropped = new Set(closed.slice(0, Math.max(0, closed.length - MAX_RESOLVED_REVIEWS)));
+  writeJsonFile(reviewsPath, { reviews: reviews.filter((r) => !dropped.has(r)) });
+}
+
+// Newest first, optionally only one status
+function listPriceReviews(reviewsPath, { status } = {}) {
+  const reviews = loadReviews(reviewsPath);
+  const filtered = status ? reviews.filter((r) => r.status === status) : reviews;
+  return filtered.slice().sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+function getPriceReview(reviewsPath, id) {
+  return loadReviews(reviewsPath).find((r) => r.id === id) || null;
+}
+
+// ---------- Threshold ----------
+
+// Whole-run threshold from the command line (--max-change=40), or null
+function runThresholdFromArgs(argv) {
+  const arg = argv.find((a) => a.startsWith("--max-change="));
+  if (!arg) return null;
+  const n = Number(arg.slice("--max-change=".length));
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`${arg}: expected a percentage above 0`);
+  return n;
+}
+
+function thresholdFor(item, runThreshold = null) {
+  const own = item && item.maxPriceChangePercent;
+  if (typeof own === "number" && Number.isFinite(own) && own > 0) return own;
+  return runThreshold ?? MAX_PRICE_CHANGE_PERCENT;
+}
+
+/**
+ * { changePercent, threshold } when moving item from its marketPrice to
+ * newMarketPrice needs a review, else null.
+ */
+function checkPriceChange(item, newMarketPrice, runThreshold = null) {
+  const previous = item && item.marketPrice;
+  if (typeof previous !== "number" || !Number.isFinite(previous) || previous <= 0) return null;
+
+  const changePercent = Math.round(((newMarketPrice - previous) / previous) * 1000) / 10;
+  const threshold = thresholdFor(item, runThreshold);
+  return Math.abs(changePercent) > threshold ? { changePercent, threshold } : null;
+}
+
+// ---------- Queue ----------
+
+function supersede(review, now) {
+  Object.assign(review, { status: "superseded", resolvedAt: now, resolvedBy: null });
+}
+
+/**
+ * Queues flagged = [{ item, marketPrice, yourPrice, pricingRule, changePercent,
+ * threshold }] from updatePrices.js. An item's older pending review is
+ * superseded. Returns the new reviews.
+ */
+function queuePriceReviews(reviewsPath, flagged) {
+  if (!flagged.length) return [];
+  // One review per item (the same product can be on several rows)
+  const byId = new Map(flagged.map((f) => [String(f.item.tcgPlayerId), f]));
+  const reviews = loadReviews(reviewsPath);
+  const now = new Date().toISOString();
+  for (const r of reviews) {
+    if (r.status === "pending" && byId.has(r.tcgPlayerId)) supersede(r, now);
+  }
+
+  const added = Array.from(byId.values()).map((f) => ({
+    id: crypto.randomBytes(8).toString("hex"),
+    tcgPlayerId: String(f.item.tcgPlayerId),
+    name: f.item.name || null,
+    setName: f.item.setName || null,
+    previousMarketPrice: f.item.marketPrice ?? null,
+    marketPrice: f.marketPrice,
+    previousYourPrice: f.item.yourPrice ?? null,
+    proposedYourPrice: f.yourPrice,
+    pricingRule: f.pricingRule || null,
+    changePercent: f.changePercent,
+    threshold: f.threshold,
+    status: "pending",
+    createdAt: now,
+  }));
+
+  saveReviews(reviewsPath, [...reviews, ...added]);
+  return added;
+}
+
+// Pending reviews of items a run has since priced normally are moot.
+// Returns how many were superseded.
+function supersedePriceReviews(reviewsPath, tcgPlayerIds) {
+  const ids = new Set(Array.from(tcgPlayerIds, String));
+  const reviews = loadReviews(reviewsPath);
+  const now = new Date().toISOString();
+  let count = 0;
+  for (const r of reviews) {
+    if (r.status !== "pending" || !ids.has(r.tcgPlayerId)) continue;
+    supersede(r, now);
+    count++;
+  }
+  if (count) saveReviews(reviewsPath, reviews);
+  return count;
+}
+
+// Applies an admin action (approve / reject) to a pending review. Throws on a
+// bad move. Applying an approved price is the caller's job.
+function resolvePriceReview(reviewsPath, id, action, actor) {
+  const status = REVIEW_ACTIONS[action];
+  if (!status) throw new Error(`Unknown action "${action}".`);
+
+  const reviews = loadReviews(reviewsPath);
+  const review = reviews.find((r) => r.id === id);
+  if (!review) throw new Error("Price review not found.");
+  if (review.status !== "pending") throw new Error(`Can't ${action} a review that is ${review.status}.`);
+
+  Object.assign(review, { status, resolvedAt: new Date().toISOString(), resolvedBy: actor || null });
+  saveReviews(reviewsPath, reviews);
+  return review;
+}
+
+// Takes back a resolution whose follow-up failed (the approved price couldn't
+// be saved), so the review can be acted on again.
+function reopenPriceReview(reviewsPath, id) {
+  const reviews = loadReviews(reviewsPath);
+  const review = reviews.find((r) => r.id === id);
+  if (!review) return null;
+  review.status = "pending";
+  delete review.resolvedAt;
+  delete review.resolvedBy;
+  saveReviews(reviewsPath, reviews);
+  return review;
+}
+
+module.exports = {
+  MAX_PRICE_CHANGE_PERCENT,
+  REVIEW_STATUSES,
+  priceReviewsPathFor,
+  listPriceReviews,
+  getPriceReview,
+  runThresholdFromArgs,
+  thresholdFor,
+  checkPriceChange,
+  queuePriceReviews,
+  supersedePriceReviews,
+  resolvePriceReview,
+  reopenPriceReview,
+};
@@ -0,0 +1,303 @@
+// pricingRules.js
+// How updatePrices.js turns a market price into our price, defined in a
+// config file instead of a flat 90%.
+//
+// pricingRules.json (next to server.js; PRICING_RULES_PATH to use another file).
+// The shipped file only has the old flat 90%; rules look like this:
+//   { "defaultPercent": 90, "rounding": "none", "minMarginPercent": null,
+//     "rules": [
+//       { "name": "MTG collector boxes",
+//         "match": { "game": "mtg", "namePattern": "collector booster (box|display)" },
+//         "percent": 95 },
+//       { "name": "Under $20", "match": { "maxMarket": 20 }, "percent": 100, "rounding": "ends-99" }
+//   ] }
+//
+// Rules are tried in order and the first one that matches prices the item.
+// Every condition in "match" must hold (an empty match catches everything):
+//   game         pokemon / mtg / other (or a list), as the storefront detects it
+//   set          text the set name contains (any case)
+//   namePattern  regular expression on the product name (any case)
+//   minMarket    market price at least this
+//   maxMarket    market price under this
+// A rule sets percent (1–200) and can override the top-level rounding and
+// minMarginPercent. Items nothing matches use defaultPercent.
+//
+// Rounding: none, ends-99 (nearest .99), nearest-0.50, nearest-1, nearest-5.
+// minMarginPercent keeps the price at least that much over the item's average
+// lot cost (costBasis.js) – rounded up, never down, when it kicks in. Items
+// without lots have no floor.
+//
+// An item's own pricingPercent still wins over every rule; the top-level
+// rounding and minimum margin apply to it too. An active price lock
+// (inventoryStore.isPriceLocked) beats all of it: the price is lockedPrice.
+//
+// Read once per process like itemFields.json; a broken file stops startup.
+
+const fs = require("fs");
+const path = require("path");
+const { detectGame } = require("./inventoryQuery");
+const { lotSummary } = require("./costBasis");
+const { PRICE_LOCK_LABEL, isPriceLocked } = require("./inventoryStore");
+
+const RULES_PATH = process.env.PRICING_RULES_PATH
+  ? path.resolve(process.env.PRICING_RULES_PATH)
+  : path.join(__dirname, "pricingRules.json");
+
+const FALLBACK_PERCENT = 90;
+const GAMES = ["pokemon", "mtg", "other"];
+const MAX_RULE_NAME_LENGTH = 80;
+
+// step: what prices snap to; ends: subtracted after snapping (ends-99 → x.99)
+const ROUNDING = {
+  none: null,
+  "ends-99": { step: 1, ends: 0.01 },
+  "nearest-0.50": { step: 0.5, ends: 0 },
+  "nearest-1": { step: 1, ends: 0 },
+  "nearest-5": { step: 5, ends: 0 },
+};
+const ROUNDING_STRATEGIES = Object.keys(ROUNDING);
+
+function configError(message) {
+  return new Error(`${RULES_PATH}: ${message}`);
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function parsePercent(v, where) {
+  const n = Number(v);
+  if (v === null || v === "" || !Number.isFinite(n) || n < 1 || n > 200) {
+    throw configError(`${where}: percent must be a number from 1 to 200`);
+  }
+  return roundMoney(n);
+}
+
+function parseRounding(v, where) {
+  const s = String(v).trim().toLowerCase();
+  if (!ROUNDING_STRATEGIES.includes(s)) {
+    throw configError(`${where}: rounding must be one of ${ROUNDING_STRATEGIES.join(", ")}`);
+  }
+  return s;
+}
+
+// null = no minimum margin
+function parseMinMargin(v, where) {
+  if (v === null) return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 1000) throw configError(`${where}: minMarginPercent must be 0–1000 or null`);
+  return n;
+}
+
+function parseMarketBound(v, where, key) {
+  const n = Number(v);
+  if (v === null || v === "" || !Number.isFinite(n) || n < 0) throw configError(`${where}: ${key} must be a price ≥ 0`);
+  return n;
+}
+
+function parseMatch(raw, where) {
+  if (raw === undefined) return {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw configError(`${where}: match must be an object`);
+
+  const match = {};
+  for (const key of Object.keys(raw)) {
+    if (!["game", "set", "namePattern", "minMarket", "maxMarket"].includes(key)) {
+      throw configError(`${where}: unknown match key "${key}"`);
+    }
+  }
+
+  if (raw.game !== undefined) {
+    const games = (Array.isArray(raw.game) ? raw.game : [raw.game]).map((g) => String(g).trim().toLowerCase());
+    const unknown = games.filter((g) => !GAMES.includes(g));
+    if (!games.length || unknown.length) throw configError(`${where}: game must be ${GAMES.join(", ")} (or a list)`);
+    match.game = games;
+  }
+  if (raw.set !== undefined) {
+    const set = String(raw.set).trim().toLowerCase();
+    if (!set) throw configError(`${where}: set can't be empty`);
+    match.set = set;
+  }
+  if (raw.namePattern !== undefined) {
+    try {
+      match.namePattern = new RegExp(String(raw.namePattern), "i");
+    } catch (err) {
+      throw configError(`${where}: bad namePattern (${err.message})`);
+    }
+  }
+  if (raw.minMarket !== undefined) match.minMarket = parseMarketBound(raw.minMarket, where, "minMarket");
+  if (raw.maxMarket !== undefined) match.maxMarket = parseMarketBound(raw.maxMarket, where, "maxMarket");
+  if (match.minMarket !== undefined && match.maxMarket !== undefined && match.minMarket >= match.maxMarket) {
+    throw configError(`${where}: minMarket must be below maxMarket`);
+  }
+  return match;
+}
+
+function parseRule(raw, index) {
+  const where = `rules[${index}]`;
+  if (!raw || typeof raw !== "object") throw configError(`${where} must be an object`);
+
+  const name = String(raw.name || "").trim();
+  if (!name || name.length > MAX_RULE_NAME_LENGTH) {
+    throw configError(`${where}: name is required (at most ${MAX_RULE_NAME_LENGTH} characters)`);
+  }
+  const at = `rule "${name}"`;
+
+  const rule = { name, match: parseMatch(raw.match, at), percent: parsePercent(raw.percent, at) };
+  if (raw.rounding !== undefined) rule.rounding = parseRounding(raw.rounding, at);
+  if (raw.minMarginPercent !== undefined) rule.minMarginPercent = parseMinMargin(raw.minMarginPercent, at);
+  return rule;
+}
+
+function loadPricingRules(filePath = RULES_PATH) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err && err.code === "ENOENT") {
+      return { defaultPercent: FALLBACK_PERCENT, rounding: "none", minMarginPercent: null, rules: [] };
+    }
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw configError(`not valid JSON (${err.message})`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw configError('expected { "defaultPercent": 90, "rules": [ ... ] }');
+  }
+  if (parsed.rules !== undefined && !Array.isArray(parsed.rules)) throw configError("rules must be a list");
+
+  const rules = (parsed.rules || []).map(parseRule);
+  const seen = new Set();
+  for (const r of rules) {
+    if (seen.has(r.name.toLowerCase())) throw configError(`rule "${r.name}" is defined twice`);
+    seen.add(r.name.toLowerCase());
+  }
+
+  return {
+    defaultPercent:
+      parsed.defaultPercent === undefined ? FALLBACK_PERCENT : parsePercent(parsed.defaultPercent, "defaultPercent"),
+    rounding: parsed.rounding === undefined ? "none" : parseRounding(parsed.rounding, "top level"),
+    minMarginPercent:
+      parsed.minMarginPercent === undefined ? null : parseMinMargin(parsed.minMarginPercent, "top level"),
+    rules,
+  };
+}
+
+let cachedConfig = null;
+
+function getPricingRules() {
+  if (!cachedConfig) cachedConfig = loadPricingRules();
+  return cachedConfig;
+}
+
+// ---------- Pricing ----------
+
+function ruleMatches(rule, item, marketPrice) {
+  const m = rule.match;
+  if (m.game && !m.game.includes(detectGame(item))) return false;
+  if (m.set && !String(item.setName || "").toLowerCase().includes(m.set)) return false;
+  if (m.namePattern && !m.namePattern.test(String(item.name || ""))) return false;
+  if (m.minMarket !== undefined && !(marketPrice >= m.minMarket)) return false;
+  if (m.maxMarket !== undefined && !(marketPrice < m.maxMarket)) return false;
+  return true;
+}
+
+// up = never go below price (used when the minimum margin set the price)
+function applyRounding(price, strategy, { up = false } = {}) {
+  const r = ROUNDING[strategy];
+  if (!r) return roundMoney(price);
+
+  const units = (price + r.ends) / r.step;
+  let snapped = (up ? Math.ceil(units - 1e-9) : Math.round(units)) * r.step - r.ends;
+  if (snapped <= 0) snapped = r.step - r.ends;
+  return roundMoney(snapped);
+}
+
+function itemOverridePercent(item) {
+  const v = item && item.pricingPercent;
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.max(1, Math.min(200, roundMoney(n)));
+}
+
+/**
+ * Our price for item at marketPrice (default: the item's own). Returns null
+ * without a market price, else
+ *   { yourPrice, percent, source: "lock" | "item" | "rule" | "default", rule, label,
+ *     rounding, minPrice, marginApplied }
+ * (percent and rounding are null for a locked price)
+ * rule is the matching rule's name (null otherwise); label is what the admin
+ * page shows and updatePrices.js stores on the item as pricingRule.
+ */
+function priceItem(item, marketPrice = item && item.marketPrice) {
+  if (typeof marketPrice !== "number" || !Number.isFinite(marketPrice) || marketPrice <= 0) return null;
+  if (isPriceLocked(item)) {
+    return {
+      yourPrice: item.lockedPrice,
+      percent: null,
+      source: "lock",
+      rule: null,
+      label: PRICE_LOCK_LABEL,
+      rounding: null,
+      minPrice: null,
+      marginApplied: false,
+    };
+  }
+  const config = getPricingRules();
+
+  let percent = itemOverridePercent(item);
+  let source = "item";
+  let rule = null;
+  if (percent === null) {
+    rule = config.rules.find((r) => ruleMatches(r, item, marketPrice)) || null;
+    source = rule ? "rule" : "default";
+    percent = rule ? rule.percent : config.defaultPercent;
+  }
+
+  const rounding = rule && rule.rounding !== undefined ? rule.rounding : config.rounding;
+  const minMarginPercent = rule && rule.minMarginPercent !== undefined ? rule.minMarginPercent : config.minMarginPercent;
+
+  const cost = minMarginPercent === null ? null : lotSummary(item);
+  const minPrice = cost ? roundMoney(cost.avgUnitCost * (1 + minMarginPercent / 100)) : null;
+
+  let yourPrice = applyRounding(marketPrice * (percent / 100), rounding);
+  let marginApplied = false;
+  if (minPrice !== null && yourPrice < minPrice) {
+    yourPrice = applyRounding(minPrice, rounding, { up: true });
+    marginApplied = true;
+  }
+
+  const base = source === "item" ? `Item override (${percent}%)` : source === "rule" ? rule.name : `Default (${percent}%)`;
+  const label = marginApplied ? `${base} + min margin` : base;
+
+  return { yourPrice, percent, source, rule: rule ? rule.name : null, label, rounding, minPrice, marginApplied };
+}
+
+// Config for the admin page (patterns as text)
+function describePricingRules() {
+  const config = getPricingRules();
+  return {
+    defaultPercent: config.defaultPercent,
+    rounding: config.rounding,
+    minMarginPercent: config.minMarginPercent,
+    roundingStrategies: ROUNDING_STRATEGIES,
+    rules: config.rules.map((r) => ({
+      ...r,
+      match: { ...r.match, ...(r.match.namePattern ? { namePattern: r.match.namePattern.source } : {}) },
+    })),
+  };
+}
+
+module.exports = {
+  ROUNDING_STRATEGIES,
+  loadPricingRules,
+  getPricingRules,
+  applyRounding,
+  priceItem,
+  describePricingRules,
+};
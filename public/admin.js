@@ -7,8 +7,80 @@ const loadBtn = document.getElementById("loadCurrentBtn");
 const addRowBtn = document.getElementById("addRowBtn");
 const saveBtn = document.getElementById("saveBtn");
 const exportBtn = document.getElementById("exportCollectrBtn");
+const conflictPanel = document.getElementById("conflictPanel");
+const conflictList = document.getElementById("conflictList");
+const conflictMergeBtn = document.getElementById("conflictMergeBtn");
+const conflictReloadBtn = document.getElementById("conflictReloadBtn");
+const loadBackupsBtn = document.getElementById("loadBackupsBtn");
+const backupsBodyEl = document.getElementById("backupsBody");
+const backupDiffEl = document.getElementById("backupDiff");
+const auditFilterForm = document.getElementById("auditFilterForm");
+const auditBodyEl = document.getElementById("auditBody");
+const auditSummaryEl = document.getElementById("auditSummary");
+const adminUserEl = document.getElementById("adminUser");
+const logoutBtn = document.getElementById("logoutBtn");
+const usersSection = document.getElementById("usersSection");
+const usersBodyEl = document.getElementById("usersBody");
+const userCreateForm = document.getElementById("userCreateForm");
+const newUserRoleSelect = document.getElementById("newUserRole");
+const priceReviewsBodyEl = document.getElementById("priceReviewsBody");
+const priceReviewsSummaryEl = document.getElementById("priceReviewsSummary");
+const priceReviewsStatusFilter = document.getElementById("priceReviewsStatusFilter");
+const loadPriceReviewsBtn = document.getElementById("loadPriceReviewsBtn");
+const holdsBodyEl = document.getElementById("holdsBody");
+const holdsSummaryEl = document.getElementById("holdsSummary");
+const holdsStatusFilter = document.getElementById("holdsStatusFilter");
+const loadHoldsBtn = document.getElementById("loadHoldsBtn");
+const saleForm = document.getElementById("saleForm");
+const saleProductInput = document.getElementById("saleProduct");
+const productIdList = document.getElementById("productIdList");
+const salePriceInput = document.getElementById("salePrice");
+const salesFilterForm = document.getElementById("salesFilterForm");
+const salesSummaryEl = document.getElementById("salesSummary");
+const salesRevenueBodyEl = document.getElementById("salesRevenueBody");
+const salesBodyEl = document.getElementById("salesBody");
+const costSection = document.getElementById("costSection");
+const lotForm = document.getElementById("lotForm");
+const lotProductInput = document.getElementById("lotProduct");
+const lotsTable = document.getElementById("lotsTable");
+const lotsBodyEl = document.getElementById("lotsBody");
+const loadMarginsBtn = document.getElementById("loadMarginsBtn");
+const marginSummaryEl = document.getElementById("marginSummary");
+const marginBodyEl = document.getElementById("marginBody");
+const belowCostEl = document.getElementById("belowCostList");
+const inventoryHeadRow = document.getElementById("inventoryHeadRow");
+const loadNotificationsBtn = document.getElementById("loadNotificationsBtn");
+const notificationsSummaryEl = document.getElementById("notificationsSummary");
+const notificationsBodyEl = document.getElementById("notificationsBody");
+const webhooksSection = document.getElementById("webhooksSection");
+const webhooksBodyEl = document.getElementById("webhooksBody");
+const webhookCreateForm = document.getElementById("webhookCreateForm");
+const webhookEventsEl = document.getElementById("webhookEvents");
+const webhookSecretNoticeEl = document.getElementById("webhookSecretNotice");
 
-const DEFAULT_PRICING_PERCENT = 90;
+// Default pricing % and what the pricing rules give each item (itemKey →
+// { percent, rule, label, yourPrice }), from /api/pricing-rules
+let defaultPricingPercent = null;
+let rulePricing = {};
+// Server-wide low-stock threshold (placeholder for the per-item override)
+let defaultLowStockThreshold = null;
+// Server-wide price guard limit (placeholder for the per-item one)
+let defaultMaxChangePercent = null;
+
+// ETag of the inventory the table was loaded from (sent back as If-Match)
+let inventoryVersion = null;
+// Last 409 response body, while the conflict panel is open
+let pendingConflict = null;
+// What the signed-in role may change (from /api/me); inputs it can't change
+// are disabled (the server enforces the same permissions)
+let currentUser = null;
+let permissions = new Set();
+// Custom field definitions from /api/item-fields
+let customFields = [];
+
+function can(permission) {
+  return permissions.has(permission);
+}
 
 function setStatus(message, type) {
   if (!statusEl) return;
@@ -16,6 +88,52 @@ function setStatus(message, type) {
   statusEl.className = "status-message" + (type ? " " + type : "");
 }
 
+function redirectToLogin() {
+  window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname)}`;
+}
+
+// fetch() for admin APIs: an expired session bounces to the login page
+async function adminFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    redirectToLogin();
+    throw new Error("Session expired – please sign in again.");
+  }
+  return res;
+}
+
+async function loadCurrentUser() {
+  try {
+    const res = await adminFetch("/api/me", { cache: "no-store" });
+    if (!res.ok) return;
+    const me = await res.json();
+    currentUser = me;
+    permissions = new Set(me.permissions || []);
+    if (adminUserEl) adminUserEl.textContent = `Signed in as ${me.username} (${me.role || "unknown role"})`;
+    applyPermissionsToToolbar();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function applyPermissionsToToolbar() {
+  if (addRowBtn) addRowBtn.disabled = !can("catalog");
+  if (usersSection) usersSection.classList.toggle("hidden", !can("users"));
+  if (can("users")) loadUsers();
+  if (webhooksSection) webhooksSection.classList.toggle("hidden", !can("notifications"));
+  if (can("notifications")) loadWebhooks();
+  if (costSection) costSection.classList.toggle("hidden", !can("pricing"));
+  if (can("pricing")) loadMargins();
+}
+
+async function logout() {
+  try {
+    await fetch("/api/logout", { method: "POST" });
+  } finally {
+    redirectToLogin();
+  }
+}
+
 function csvEscape(value) {
   if (value === null || value === undefined) return "";
   const s = String(value);
@@ -23,6 +141,122 @@ function csvEscape(value) {
   return s;
 }
 
+// ---- Custom fields ----
+// One extra column per field in itemFields.json (/api/item-fields)
+
+async function loadItemFields() {
+  try {
+    const res = await adminFetch("/api/item-fields", { cache: "no-store" });
+    if (!res.ok) return;
+    const json = await res.json();
+    customFields = Array.isArray(json.fields) ? json.fields : [];
+    renderCustomFieldHeaders();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// ---- Low stock ----
+// Per-item alert threshold ("Low stock at"); blank uses the server's
+// LOW_STOCK_THRESHOLD (/api/low-stock)
+
+async function loadLowStockDefault() {
+  try {
+    const res = await adminFetch("/api/low-stock", { cache: "no-store" });
+    if (!res.ok) return;
+    const json = await res.json();
+    defaultLowStockThreshold = json.defaultThreshold ?? null;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function loadPricingRules() {
+  try {
+    const res = await adminFetch("/api/pricing-rules", { cache: "no-store" });
+    if (!res.ok) return;
+    const json = await res.json();
+    defaultPricingPercent = json.defaultPercent ?? null;
+    rulePricing = json.items || {};
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Same key as inventoryStore.itemKey
+function itemKeyOf(item) {
+  const id = item.tcgPlayerId ? String(item.tcgPlayerId).trim() : "";
+  if (id) return `id:${id}`;
+  const name = item.name ? String(item.name).trim().toLowerCase() : "";
+  return name ? `name:${name}` : null;
+}
+
+// One <th> per custom field, before the Actions column
+function renderCustomFieldHeaders() {
+  if (!inventoryHeadRow) return;
+  inventoryHeadRow.querySelectorAll("th[data-field]").forEach((th) => th.remove());
+  const actionsTh = inventoryHeadRow.lastElementChild;
+
+  customFields.forEach((field) => {
+    const th = document.createElement("th");
+    th.dataset.field = field.name;
+    th.textContent = field.label || field.name;
+    th.title = field.visibility === "public" ? "Shown on the storefront" : "Admin only";
+    inventoryHeadRow.insertBefore(th, actionsTh);
+  });
+}
+
+function appendOption(select, value, label) {
+  const o = document.createElement("option");
+  o.value = value;
+  o.textContent = label;
+  select.appendChild(o);
+}
+
+// Input for one custom field; every one carries data-field so readRow finds it
+function createCustomFieldInput(field, value) {
+  const has = value !== null && value !== undefined;
+  let input;
+
+  if (field.type === "enum" || field.type === "boolean") {
+    input = document.createElement("select");
+    appendOption(input, "", "—");
+    if (field.type === "enum") field.options.forEach((opt) => appendOption(input, opt, opt));
+    else {
+      appendOption(input, "true", "Yes");
+      appendOption(input, "false", "No");
+    }
+    input.value = has ? String(value) : "";
+  } else {
+    input = document.createElement("input");
+    input.type = field.type === "number" ? "number" : "text";
+    if (field.type === "number") {
+      if (field.min !== undefined) input.min = String(field.min);
+      if (field.max !== undefined) input.max = String(field.max);
+      input.step = field.integer ? "1" : "any";
+    } else if (field.maxLength) {
+      input.maxLength = field.maxLength;
+    }
+    if (field.pattern) input.pattern = field.pattern;
+    input.placeholder = field.label || field.name;
+    input.value = has ? String(value) : "";
+  }
+
+  input.dataset.field = field.name;
+  input.disabled = !can("catalog");
+  return input;
+}
+
+// Custom values of a row as { name: string | null } (empty = clear)
+function readCustomFields(row) {
+  const out = {};
+  row.querySelectorAll("[data-field]").forEach((el) => {
+    const v = el.value.trim();
+    out[el.dataset.field] = v === "" ? null : v;
+  });
+  return out;
+}
+
 function createRow(item = {}) {
   const tr = document.createElement("tr");
   tr.dataset.setName = item.setName || "";
@@ -33,6 +267,7 @@ function createRow(item = {}) {
   nameInput.type = "text";
   nameInput.placeholder = "Product name";
   nameInput.value = item.name || "";
+  nameInput.disabled = !can("catalog");
   nameTd.appendChild(nameInput);
 
   // TCGplayer ID
@@ -41,6 +276,7 @@ function createRow(item = {}) {
   idInput.type = "text";
   idInput.placeholder = "TCGplayer ID (e.g. 624679)";
   idInput.value = item.tcgPlayerId || "";
+  idInput.disabled = !can("catalog");
   idTd.appendChild(idInput);
 
   // Quantity
@@ -53,6 +289,7 @@ function createRow(item = {}) {
     typeof item.quantity === "number" && Number.isFinite(item.quantity) && item.quantity > 0
       ? item.quantity
       : "";
+  qtyInput.disabled = !can("quantity");
   qtyTd.appendChild(qtyInput);
 
   // Game
@@ -77,6 +314,7 @@ function createRow(item = {}) {
   else if (currentGame === "other") gameSelect.value = "other";
   else gameSelect.value = "";
 
+  gameSelect.disabled = !can("catalog");
   gameTd.appendChild(gameSelect);
 
   // Pricing %
@@ -86,18 +324,88 @@ function createRow(item = {}) {
   pricingInput.min = "1";
   pricingInput.max = "200";
   pricingInput.step = "0.1";
-  pricingInput.placeholder = `${DEFAULT_PRICING_PERCENT} (default)`;
+  // Placeholder: what the pricing rules give this item without an override
+  const rulePrice = rulePricing[itemKeyOf(item)] || null;
+  if (rulePrice) pricingInput.placeholder = `${rulePrice.percent} (${rulePrice.rule || "default"})`;
+  else pricingInput.placeholder = defaultPricingPercent !== null ? `${defaultPricingPercent} (default)` : "default";
+  pricingInput.title = rulePrice ? `Rules: ${rulePrice.label} → ${formatMoneyOrDash(rulePrice.yourPrice)}` : "";
   pricingInput.value =
     item.pricingPercent !== null && item.pricingPercent !== undefined && item.pricingPercent !== ""
       ? item.pricingPercent
       : "";
+  pricingInput.disabled = !can("pricing");
   pricingTd.appendChild(pricingInput);
 
+  // Priced by: the rule / override that produced the current price (updatePrices.js)
+  const pricedByTd = document.createElement("td");
+  pricedByTd.className = "priced-by-cell";
+  pricedByTd.textContent = item.pricingRule || "—";
+  if (typeof item.yourPrice === "number") pricedByTd.title = `Our price: ${formatMoneyOrDash(item.yourPrice)}`;
+
+  // Low stock at (per-item alert threshold)
+  const lowStockTd = document.createElement("td");
+  const lowStockInput = document.createElement("input");
+  lowStockInput.type = "number";
+  lowStockInput.min = "0";
+  lowStockInput.step = "1";
+  lowStockInput.placeholder = defaultLowStockThreshold !== null ? `${defaultLowStockThreshold} (default)` : "default";
+  lowStockInput.value =
+    item.lowStockThreshold !== null && item.lowStockThreshold !== undefined && item.lowStockThreshold !== ""
+      ? item.lowStockThreshold
+      : "";
+  lowStockInput.disabled = !can("quantity");
+  lowStockTd.appendChild(lowStockInput);
+
+  // Max price move % (price guard limit; bigger market moves go to review)
+  const maxChangeTd = document.createElement("td");
+  const maxChangeInput = document.createElement("input");
+  maxChangeInput.type = "number";
+  maxChangeInput.min = "0.1";
+  maxChangeInput.max = "1000";
+  maxChangeInput.step = "0.1";
+  maxChangeInput.placeholder = defaultMaxChangePercent !== null ? `${defaultMaxChangePercent} (default)` : "default";
+  maxChangeInput.value =
+    item.maxPriceChangePercent !== null && item.maxPriceChangePercent !== undefined && item.maxPriceChangePercent !== ""
+      ? item.maxPriceChangePercent
+      : "";
+  maxChangeInput.disabled = !can("pricing");
+  maxChangeTd.appendChild(maxChangeInput);
+
+  // Price lock: fixed price + optional last day, and whether it's in force
+  const lockTd = document.createElement("td");
+  lockTd.className = "price-lock-cell";
+  const lockInput = document.createElement("input");
+  lockInput.type = "number";
+  lockInput.min = "0.01";
+  lockInput.step = "0.01";
+  lockInput.placeholder = "$ (none)";
+  lockInput.value = typeof item.lockedPrice === "number" ? item.lockedPrice : "";
+  const lockUntilInput = document.createElement("input");
+  lockUntilInput.type = "date";
+  lockUntilInput.title = "Locked through this day (blank: until removed)";
+  lockUntilInput.value = lockDateValue(item.priceLockedUntil);
+  lockInput.disabled = lockUntilInput.disabled = !can("pricing");
+  const lockStatus = document.createElement("small");
+  lockStatus.className = "price-lock-status";
+  lockStatus.textContent = describePriceLock(item);
+  lockTd.appendChild(lockInput);
+  lockTd.appendChild(lockUntilInput);
+  lockTd.appendChild(lockStatus);
+
+  // Avg cost (from lots) + below-cost warning for the current Pricing %
+  const costTd = document.createElement("td");
+  costTd.className = "cost-cell";
+  tr.dataset.avgCost = avgUnitCost(item.lots) ?? "";
+  tr.dataset.marketPrice = typeof item.marketPrice === "number" ? item.marketPrice : "";
+  tr.dataset.rulePercent = rulePrice ? rulePrice.percent : defaultPricingPercent ?? "";
+  pricingInput.addEventListener("input", () => updateCostCell(tr));
+
   // Actions
   const actionsTd = document.createElement("td");
   const removeBtn = document.createElement("button");
   removeBtn.type = "button";
   removeBtn.textContent = "Remove";
+  removeBtn.disabled = !can("delete");
   removeBtn.addEventListener("click", () => tr.remove());
   actionsTd.appendChild(removeBtn);
 
@@ -106,19 +414,85 @@ function createRow(item = {}) {
   tr.appendChild(qtyTd);
   tr.appendChild(gameTd);
   tr.appendChild(pricingTd);
+  tr.appendChild(pricedByTd);
+  tr.appendChild(lowStockTd);
+  tr.appendChild(maxChangeTd);
+  tr.appendChild(lockTd);
+  tr.appendChild(costTd);
+  customFields.forEach((field) => {
+    const td = document.createElement("td");
+    td.appendChild(createCustomFieldInput(field, item[field.name]));
+    tr.appendChild(td);
+  });
   tr.appendChild(actionsTd);
 
+  updateCostCell(tr);
   return tr;
 }
 
+// <input type="date"> value (local day) for a lock expiry
+function lockDateValue(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Date input → end of that local day, as sent to the server (null = no expiry)
+function lockUntilIso(dateValue) {
+  if (!dateValue) return null;
+  const d = new Date(`${dateValue}T23:59:59`);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function describePriceLock(item) {
+  if (typeof item.lockedPrice !== "number") return "";
+  if (!item.priceLockedUntil) return "🔒 Locked, no expiry";
+  const until = new Date(item.priceLockedUntil).toLocaleDateString();
+  return Date.parse(item.priceLockedUntil) > Date.now() ? `🔒 Until ${until}` : `Expired ${until}`;
+}
+
+// Read one table row's inputs (raw strings). Returns null for rows that
+// don't have enough inputs.
+function readRow(row) {
+  const inputs = row.querySelectorAll("input");
+  const select = row.querySelector("select");
+  if (inputs.length < 8) return null;
+
+  return {
+    name: inputs[0].value.trim(),
+    tcgPlayerId: inputs[1].value.trim(),
+    qtyRaw: inputs[2].value.trim(),
+    pricingRaw: inputs[3].value.trim(),
+    lowStockRaw: inputs[4].value.trim(),
+    maxChangeRaw: inputs[5].value.trim(),
+    lockRaw: inputs[6].value.trim(),
+    lockUntilRaw: inputs[7].value.trim(),
+    game: select ? select.value.trim() : "",
+    custom: readCustomFields(row),
+  };
+}
+
+function findRowById(tcgPlayerId) {
+  if (!bodyEl || !tcgPlayerId) return null;
+  for (const row of bodyEl.querySelectorAll("tr")) {
+    const data = readRow(row);
+    if (data && data.tcgPlayerId === tcgPlayerId) return row;
+  }
+  return null;
+}
+
 async function loadCurrentInventory() {
   if (!bodyEl) return;
   setStatus("Loading current inventory...", "");
   bodyEl.innerHTML = "";
+  hideConflicts();
 
+  await loadPricingRules();
   try {
-    const res = await fetch("/api/raw-inventory");
+    const res = await adminFetch("/api/raw-inventory", { cache: "no-store" });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    inventoryVersion = res.headers.get("ETag");
     const data = await res.json();
     const items = Array.isArray(data) ? data : data.items || [];
 
@@ -129,6 +503,7 @@ async function loadCurrentInventory() {
     }
 
     items.forEach((item) => bodyEl.appendChild(createRow(item)));
+    fillProductList(items);
     setStatus(`Loaded ${items.length} items.`, "success");
   } catch (err) {
     console.error(err);
@@ -148,15 +523,11 @@ async function saveInventory() {
   const payload = [];
 
   rows.forEach((row) => {
-    const inputs = row.querySelectorAll("input");
-    const select = row.querySelector("select");
-    if (inputs.length < 4) return;
+    const data = readRow(row);
+    if (!data) return;
 
-    const name = inputs[0].value.trim();
-    const tcgPlayerId = inputs[1].value.trim();
-    const qtyRaw = inputs[2].value.trim();
-    const pricingRaw = inputs[3].value.trim();
-    const game = select ? select.value.trim() : "";
+    const { name, tcgPlayerId, qtyRaw, pricingRaw, lowStockRaw, maxChangeRaw, lockRaw, lockUntilRaw, game, custom } =
+      data;
 
     if (!name && !tcgPlayerId && !qtyRaw && !game && !pricingRaw) return;
     if (!tcgPlayerId) return;
@@ -170,12 +541,35 @@ async function saveInventory() {
       if (Number.isFinite(n)) pricingPercent = n;
     }
 
+    let lowStockThreshold = null;
+    if (lowStockRaw !== "") {
+      const n = Number.parseInt(lowStockRaw, 10);
+      if (Number.isFinite(n) && n >= 0) lowStockThreshold = n;
+    }
+
+    let maxPriceChangePercent = null;
+    if (maxChangeRaw !== "") {
+      const n = Number(maxChangeRaw);
+      if (Number.isFinite(n) && n > 0) maxPriceChangePercent = n;
+    }
+
+    let lockedPrice = null;
+    if (lockRaw !== "") {
+      const n = Number(lockRaw);
+      if (Number.isFinite(n) && n > 0) lockedPrice = n;
+    }
+
     payload.push({
       name: name || "Unnamed product",
       tcgPlayerId,
       quantity,
       game: game || null,
       pricingPercent, // null means "use default"
+      lowStockThreshold, // same
+      maxPriceChangePercent, // same
+      lockedPrice, // null means "not locked"
+      priceLockedUntil: lockedPrice !== null ? lockUntilIso(lockUntilRaw) : null,
+      ...custom,
     });
   });
 
@@ -187,9 +581,12 @@ async function saveInventory() {
   setStatus("Saving inventory...", "");
 
   try {
-    const res = await fetch("/api/inventory", {
+    const headers = { "Content-Type": "application/json" };
+    if (inventoryVersion) headers["If-Match"] = inventoryVersion;
+
+    const res = await adminFetch("/api/inventory", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers,
       body: JSON.stringify(payload),
     });
 
@@ -200,8 +597,17 @@ async function saveInventory() {
       json = {};
     }
 
+    if (res.status === 409 && Array.isArray(json.conflicts)) {
+      showConflicts(json);
+      setStatus(`Not saved: ${json.conflicts.length} conflicting item(s). Reload or merge below.`, "error");
+      return;
+    }
+
     if (!res.ok) throw new Error(json.error || `Save failed (HTTP ${res.status})`);
 
+    inventoryVersion = res.headers.get("ETag") || (json.version ? `"${json.version}"` : inventoryVersion);
+    hideConflicts();
+
     const total = json.totalItems ?? payload.length;
     setStatus(`Save complete. Total items: ${total}`, "success");
   } catch (err) {
@@ -210,6 +616,1201 @@ async function saveInventory() {
   }
 }
 
+// ---- Save conflicts ----
+// Saves send the loaded version (If-Match); on 409 the conflict panel lets
+// you reload or pick mine/theirs per item and retry.
+
+const CONFLICT_KIND_LABELS = {
+  changed: "Changed by someone else",
+  removedOnServer: "Removed by someone else (you edited it)",
+  removedByYou: "You removed it (someone else edited it)",
+  addedOnServer: "Added by someone else",
+};
+
+function formatConflictValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  return String(v);
+}
+
+function hideConflicts() {
+  pendingConflict = null;
+  if (conflictPanel) conflictPanel.classList.add("hidden");
+  if (conflictList) conflictList.innerHTML = "";
+}
+
+function showConflicts(conflict) {
+  pendingConflict = conflict;
+  if (!conflictPanel || !conflictList) return;
+
+  conflictList.innerHTML = "";
+
+  conflict.conflicts.forEach((c, idx) => {
+    const li = document.createElement("li");
+    li.className = "conflict-item";
+
+    const title = document.createElement("div");
+    title.className = "conflict-title";
+    title.textContent = `${c.name}${c.tcgPlayerId ? ` [${c.tcgPlayerId}]` : ""} – ${
+      CONFLICT_KIND_LABELS[c.kind] || c.kind
+    }`;
+    li.appendChild(title);
+
+    if (Array.isArray(c.fields) && c.fields.length) {
+      const details = document.createElement("div");
+      details.className = "conflict-fields";
+      details.textContent = c.fields
+        .map(
+          (f) =>
+            `${f.field}: was ${formatConflictValue(f.base)} · theirs ${formatConflictValue(
+              f.theirs
+            )} · yours ${formatConflictValue(f.yours)}`
+        )
+        .join("\n");
+      li.appendChild(details);
+    }
+
+    const label = document.createElement("label");
+    label.className = "conflict-choice";
+    label.textContent = "Keep: ";
+    const select = document.createElement("select");
+    select.dataset.conflictIndex = String(idx);
+    [
+      { value: "mine", label: "Mine" },
+      { value: "theirs", label: "Theirs" },
+    ].forEach((opt) => {
+      const o = document.createElement("option");
+      o.value = opt.value;
+      o.textContent = opt.label;
+      select.appendChild(o);
+    });
+    label.appendChild(select);
+    li.appendChild(label);
+
+    conflictList.appendChild(li);
+  });
+
+  conflictPanel.classList.remove("hidden");
+}
+
+// Rebuild the table from the server's merged rows, apply "theirs" choices,
+// then save again against the server's current version.
+async function mergeConflictsAndSave() {
+  if (!pendingConflict || !bodyEl) return;
+
+  const { conflicts, items, currentVersion } = pendingConflict;
+  const choices = {};
+  if (conflictList) {
+    conflictList.querySelectorAll("select[data-conflict-index]").forEach((sel) => {
+      choices[sel.dataset.conflictIndex] = sel.value;
+    });
+  }
+
+  bodyEl.innerHTML = "";
+  (items || []).forEach((item) => bodyEl.appendChild(createRow(item)));
+
+  conflicts.forEach((c, idx) => {
+    if (choices[String(idx)] !== "theirs") return;
+
+    const row = findRowById(c.tcgPlayerId);
+
+    if (c.kind === "changed" && row && c.theirs) {
+      const data = readRow(row);
+      const next = {
+        name: data.name,
+        tcgPlayerId: data.tcgPlayerId,
+        quantity: Number.parseInt(data.qtyRaw || "0", 10),
+        game: data.game,
+        pricingPercent: data.pricingRaw,
+        lowStockThreshold: data.lowStockRaw,
+        maxPriceChangePercent: data.maxChangeRaw,
+        lockedPrice: data.lockRaw === "" ? null : Number(data.lockRaw),
+        priceLockedUntil: lockUntilIso(data.lockUntilRaw),
+        setName: row.dataset.setName,
+        ...data.custom,
+      };
+      c.fields.forEach((f) => {
+        next[f.field] = c.theirs[f.field];
+      });
+      row.replaceWith(createRow(next));
+    } else if (c.kind === "removedOnServer" && row) {
+      row.remove();
+    } else if ((c.kind === "removedByYou" || c.kind === "addedOnServer") && c.theirs && !row) {
+      bodyEl.appendChild(createRow(c.theirs));
+    }
+  });
+
+  inventoryVersion = `"${currentVersion}"`;
+  hideConflicts();
+  await saveInventory();
+}
+
+// ---- Backups ----
+// List snapshots, diff one against current, restore it
+
+function formatDateTime(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
+function formatMoneyOrDash(v) {
+  return typeof v === "number" && Number.isFinite(v) ? `$${v.toFixed(2)}` : "—";
+}
+
+async function loadBackups() {
+  if (!backupsBodyEl) return;
+  backupsBodyEl.innerHTML = "";
+  if (backupDiffEl) backupDiffEl.classList.add("hidden");
+
+  try {
+    const res = await adminFetch("/api/backups", { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const backups = await res.json();
+
+    if (!backups.length) {
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 4;
+      td.textContent = "No backups yet.";
+      tr.appendChild(td);
+      backupsBodyEl.appendChild(tr);
+      return;
+    }
+
+    backups.forEach((b) => {
+      const tr = document.createElement("tr");
+
+      const fileTd = document.createElement("td");
+      fileTd.textContent = b.file;
+
+      const savedTd = document.createElement("td");
+      savedTd.textContent = formatDateTime(b.updatedAt || b.createdAt);
+
+      const countTd = document.createElement("td");
+      countTd.textContent = String(b.totalItems);
+
+      const actionsTd = document.createElement("td");
+      const diffBtn = document.createElement("button");
+      diffBtn.type = "button";
+      diffBtn.className = "secondary-action";
+      diffBtn.textContent = "Diff";
+      diffBtn.addEventListener("click", () => showBackupDiff(b.file));
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.disabled = !can("restore");
+      restoreBtn.addEventListener("click", () => restoreBackup(b.file));
+
+      actionsTd.appendChild(diffBtn);
+      actionsTd.appendChild(document.createTextNode(" "));
+      actionsTd.appendChild(restoreBtn);
+
+      tr.appendChild(fileTd);
+      tr.appendChild(savedTd);
+      tr.appendChild(countTd);
+      tr.appendChild(actionsTd);
+      backupsBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load backups.", "error");
+  }
+}
+
+function appendDiffGroup(container, title, entries, formatEntry) {
+  const heading = document.createElement("h3");
+  heading.className = "backup-diff-title";
+  heading.textContent = `${title} (${entries.length})`;
+  container.appendChild(heading);
+
+  if (!entries.length) return;
+
+  const ul = document.createElement("ul");
+  ul.className = "backup-diff-list";
+  entries.forEach((e) => {
+    const li = document.createElement("li");
+    const label = `${e.name || "Unnamed product"}${e.tcgPlayerId ? ` [${e.tcgPlayerId}]` : ""}`;
+    li.textContent = `${label}: ${formatEntry(e)}`;
+    ul.appendChild(li);
+  });
+  container.appendChild(ul);
+}
+
+async function showBackupDiff(file) {
+  if (!backupDiffEl) return;
+
+  try {
+    const res = await adminFetch(`/api/backups/${encodeURIComponent(file)}/diff`, { cache: "no-store" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    backupDiffEl.innerHTML = "";
+    const intro = document.createElement("p");
+    intro.className = "backup-diff-intro";
+    intro.textContent = `Changes from ${file} to the current inventory (restoring would undo these):`;
+    backupDiffEl.appendChild(intro);
+
+    appendDiffGroup(backupDiffEl, "Added since backup", json.added || [], (e) => `qty ${e.quantity}`);
+    appendDiffGroup(backupDiffEl, "Removed since backup", json.removed || [], (e) => `qty ${e.quantity}`);
+    appendDiffGroup(backupDiffEl, "Quantity changes", json.quantityChanges || [], (e) => `${e.from} → ${e.to}`);
+    appendDiffGroup(
+      backupDiffEl,
+      "Price changes",
+      json.priceChanges || [],
+      (e) => `${e.field} ${formatMoneyOrDash(e.from)} → ${formatMoneyOrDash(e.to)}`
+    );
+
+    backupDiffEl.classList.remove("hidden");
+  } catch (err) {
+    console.error(err);
+    setStatus(`Failed to diff backup: ${err.message || err}`, "error");
+  }
+}
+
+async function restoreBackup(file) {
+  if (!window.confirm(`Restore ${file}? The current inventory will be backed up first.`)) return;
+
+  setStatus(`Restoring ${file}...`, "");
+  try {
+    const res = await adminFetch(`/api/backups/${encodeURIComponent(file)}/restore`, { method: "POST" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    await loadCurrentInventory();
+    await loadBackups();
+    setStatus(`Restored ${file} (${json.totalItems} items).`, "success");
+  } catch (err) {
+    console.error(err);
+    setStatus(`Restore failed: ${err.message || err}`, "error");
+  }
+}
+
+// ---- Cost basis ----
+// Acquisition lots per item, margin report by game/set, and a below-cost
+// warning next to Pricing %
+
+// Weighted average unit cost over an item's lots (null without lots)
+function avgUnitCost(lots) {
+  let units = 0;
+  let total = 0;
+  (Array.isArray(lots) ? lots : []).forEach((lot) => {
+    units += lot.quantity;
+    total += lot.quantity * lot.unitCost;
+  });
+  return units > 0 ? Math.round((total / units) * 100) / 100 : null;
+}
+
+// Shows avg cost and warns when market × Pricing % would land under it
+function updateCostCell(tr) {
+  const cell = tr.querySelector(".cost-cell");
+  if (!cell) return;
+
+  const avgCost = tr.dataset.avgCost === "" ? null : Number(tr.dataset.avgCost);
+  const marketPrice = tr.dataset.marketPrice === "" ? null : Number(tr.dataset.marketPrice);
+  cell.textContent = formatMoneyOrDash(avgCost);
+  cell.classList.remove("below-cost");
+  cell.title = "";
+  if (avgCost === null || marketPrice === null) return;
+
+  const pricingInput = tr.querySelectorAll("input")[3];
+  // Blank Pricing % → what the pricing rules give this item
+  const pctRaw = pricingInput && pricingInput.value.trim() ? pricingInput.value.trim() : tr.dataset.rulePercent;
+  const pct = pctRaw === "" ? NaN : Number(pctRaw);
+  if (!Number.isFinite(pct)) return;
+
+  const price = Math.round(marketPrice * pct) / 100;
+  if (price < avgCost) {
+    cell.textContent = `${formatMoneyOrDash(avgCost)} ⚠`;
+    cell.classList.add("below-cost");
+    cell.title = `${pct}% of market is ${formatMoneyOrDash(price)} – below your average cost.`;
+  }
+}
+
+function renderLots() {
+  if (!lotsBodyEl || !lotsTable) return;
+  const tcgPlayerId = lotProductInput ? lotProductInput.value.trim() : "";
+  const item = loadedItems.get(tcgPlayerId);
+  const lots = item && Array.isArray(item.lots) ? item.lots : [];
+
+  lotsBodyEl.innerHTML = "";
+  lotsTable.classList.toggle("hidden", !lots.length);
+
+  lots.forEach((lot, index) => {
+    const tr = document.createElement("tr");
+    appendCells(tr, [lot.date || "—", String(lot.quantity), formatMoneyOrDash(lot.unitCost), lot.source || "—"]);
+
+    const actionsTd = document.createElement("td");
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.textContent = "Remove";
+    removeBtn.disabled = !can("pricing");
+    removeBtn.addEventListener("click", () => removeLot(tcgPlayerId, index));
+    actionsTd.appendChild(removeBtn);
+    tr.appendChild(actionsTd);
+
+    lotsBodyEl.appendChild(tr);
+  });
+}
+
+// Server answered with the updated item: refresh our copy and its table row
+function applyUpdatedItem(item) {
+  if (!item || !item.tcgPlayerId) return;
+  loadedItems.set(String(item.tcgPlayerId), item);
+
+  const row = findRowById(String(item.tcgPlayerId));
+  if (!row) return;
+  row.dataset.avgCost = avgUnitCost(item.lots) ?? "";
+  const qtyInput = row.querySelectorAll("input")[2];
+  if (qtyInput) qtyInput.value = item.quantity > 0 ? String(item.quantity) : "";
+  updateCostCell(row);
+}
+
+async function sendLotRequest(url, method, body, successMessage) {
+  try {
+    const res = await adminFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    applyUpdatedItem(json.item);
+    renderLots();
+    loadMargins();
+    setStatus(successMessage, "success");
+    return true;
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+    return false;
+  }
+}
+
+async function addLot() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value.trim() : "";
+  };
+  const tcgPlayerId = value("lotProduct");
+  const addToStock = document.getElementById("lotAddToStock");
+
+  const body = {
+    quantity: Number(value("lotQuantity")),
+    unitCost: value("lotUnitCost"),
+    source: value("lotSource") || undefined,
+    date: value("lotDate") || undefined,
+    addToStock: !!(addToStock && addToStock.checked),
+  };
+  const ok = await sendLotRequest(
+    `/api/inventory/${encodeURIComponent(tcgPlayerId)}/lots`,
+    "POST",
+    body,
+    `Added lot of ${body.quantity} to ${tcgPlayerId}.`
+  );
+  if (ok && lotForm) {
+    lotForm.reset();
+    if (lotProductInput) lotProductInput.value = tcgPlayerId;
+  }
+}
+
+function removeLot(tcgPlayerId, index) {
+  if (!window.confirm("Remove this lot?")) return;
+  return sendLotRequest(
+    `/api/inventory/${encodeURIComponent(tcgPlayerId)}/lots/${index}`,
+    "DELETE",
+    null,
+    `Removed lot from ${tcgPlayerId}.`
+  );
+}
+
+function formatMarginCell(amount, pct) {
+  if (typeof amount !== "number") return "—";
+  return `${formatSignedMoney(amount)}${typeof pct === "number" ? ` (${pct}%)` : ""}`;
+}
+
+async function loadMargins() {
+  if (!marginBodyEl) return;
+
+  try {
+    const res = await adminFetch("/api/margins", { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const report = await res.json();
+
+    const t = report.totals;
+    if (marginSummaryEl) {
+      marginSummaryEl.textContent =
+        `${t.items} item(s) with cost, ${t.units} unit(s) in stock costing $${t.cost.toFixed(2)} · ` +
+        `margin ${formatMarginCell(t.marginVsMarket, t.marginPctVsMarket)} vs market, ` +
+        `${formatMarginCell(t.marginVsList, t.marginPctVsList)} vs our price` +
+        (report.withoutCost ? ` · ${report.withoutCost} in-stock item(s) have no lots yet.` : ".");
+    }
+
+    marginBodyEl.innerHTML = "";
+    report.groups.forEach((g) => {
+      const tr = document.createElement("tr");
+      appendCells(tr, [
+        g.game,
+        g.setName,
+        String(g.units),
+        `$${g.cost.toFixed(2)}`,
+        formatMarginCell(g.marginVsMarket, g.marginPctVsMarket),
+        formatMarginCell(g.marginVsList, g.marginPctVsList),
+      ]);
+      marginBodyEl.appendChild(tr);
+    });
+
+    if (belowCostEl) {
+      belowCostEl.innerHTML = "";
+      belowCostEl.classList.toggle("hidden", !report.belowCost.length);
+      if (report.belowCost.length) {
+        appendDiffGroup(
+          belowCostEl,
+          "⚠ Priced below cost",
+          report.belowCost,
+          (r) => `${formatMoneyOrDash(r.listValue / r.quantity)} vs average cost ${formatMoneyOrDash(r.avgUnitCost)}`
+        );
+      }
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load margin report.", "error");
+  }
+}
+
+// ---- Price reviews ----
+// Market moves held back by updatePrices.js – approve applies the price
+
+const PRICE_REVIEW_STATUS_LABELS = {
+  pending: "Pending",
+  approved: "Approved",
+  rejected: "Rejected",
+  superseded: "Superseded",
+};
+
+function formatChangePercent(pct) {
+  return `${pct > 0 ? "+" : ""}${pct}%`;
+}
+
+async function loadPriceReviews() {
+  if (!priceReviewsBodyEl) return;
+
+  const status = priceReviewsStatusFilter ? priceReviewsStatusFilter.value : "";
+  try {
+    const res = await adminFetch(`/api/price-reviews${status ? `?status=${encodeURIComponent(status)}` : ""}`, {
+      cache: "no-store",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { defaultMaxChangePercent: defaultLimit, reviews } = await res.json();
+    defaultMaxChangePercent = defaultLimit ?? null;
+
+    if (priceReviewsSummaryEl) {
+      priceReviewsSummaryEl.textContent =
+        `${reviews.length} review(s). Market moves over ${defaultLimit}% (or an item's Max move %) ` +
+        "wait here instead of going live.";
+    }
+
+    priceReviewsBodyEl.innerHTML = "";
+    reviews.forEach((r) => {
+      const tr = document.createElement("tr");
+      const by = r.resolvedBy ? ` (${r.resolvedBy})` : "";
+      appendCells(tr, [
+        formatDateTime(r.createdAt),
+        `${r.name || "Unnamed product"} [${r.tcgPlayerId}]`,
+        `${formatMoneyOrDash(r.previousMarketPrice)} → ${formatMoneyOrDash(r.marketPrice)}`,
+        `${formatChangePercent(r.changePercent)} (limit ${r.threshold}%)`,
+        `${formatMoneyOrDash(r.previousYourPrice)} → ${formatMoneyOrDash(r.proposedYourPrice)}`,
+        (PRICE_REVIEW_STATUS_LABELS[r.status] || r.status) + by,
+      ]);
+      if (r.pricingRule) tr.children[4].title = `Priced by: ${r.pricingRule}`;
+
+      const actionsTd = document.createElement("td");
+      if (r.status === "pending") {
+        [
+          ["approve", "Approve"],
+          ["reject", "Reject"],
+        ].forEach(([action, label], i) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          if (action === "approve") btn.className = "secondary-action";
+          btn.textContent = label;
+          btn.disabled = !can("pricing");
+          btn.addEventListener("click", () => updatePriceReview(r, action));
+          if (i > 0) actionsTd.appendChild(document.createTextNode(" "));
+          actionsTd.appendChild(btn);
+        });
+      }
+      tr.appendChild(actionsTd);
+      priceReviewsBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load price reviews.", "error");
+  }
+}
+
+async function updatePriceReview(review, action) {
+  try {
+    const res = await adminFetch(`/api/price-reviews/${encodeURIComponent(review.id)}/${action}`, { method: "POST" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    // Approving changed inventory on the server; unsaved edits here are kept
+    const note = action === "approve" ? " Inventory updated – reload to see it." : "";
+    setStatus(`${review.name || review.tcgPlayerId}: price ${json.review.status}.${note}`, "success");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+  } finally {
+    loadPriceReviews();
+  }
+}
+
+// ---- Hold requests ----
+// Storefront hold requests – approve (reserves stock), picked up, expire
+
+const HOLD_STATUS_LABELS = {
+  pending: "Pending",
+  approved: "Approved (reserved)",
+  picked_up: "Picked up",
+  expired: "Expired",
+};
+
+// Buttons offered per status: [action, label]
+const HOLD_ACTIONS = {
+  pending: [
+    ["approve", "Approve"],
+    ["expire", "Expire"],
+  ],
+  approved: [
+    ["pickup", "Picked up"],
+    ["expire", "Expire"],
+  ],
+};
+
+async function loadHolds() {
+  if (!holdsBodyEl) return;
+
+  const status = holdsStatusFilter ? holdsStatusFilter.value : "";
+  try {
+    const res = await adminFetch(`/api/holds${status ? `?status=${encodeURIComponent(status)}` : ""}`, {
+      cache: "no-store",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { expiryDays, holds } = await res.json();
+
+    if (holdsSummaryEl) {
+      holdsSummaryEl.textContent = `${holds.length} request(s). Open holds expire after ${expiryDays} day(s).`;
+    }
+
+    holdsBodyEl.innerHTML = "";
+    holds.forEach((h) => {
+      const tr = document.createElement("tr");
+
+      const whenTd = document.createElement("td");
+      whenTd.textContent = formatDateTime(h.createdAt);
+
+      const productTd = document.createElement("td");
+      productTd.textContent = `${h.productName || "Unnamed product"} [${h.tcgPlayerId}]`;
+
+      const customerTd = document.createElement("td");
+      customerTd.textContent = `${h.customerName} · ${h.contact}`;
+
+      const qtyTd = document.createElement("td");
+      qtyTd.textContent = String(h.quantity);
+
+      const statusTd = document.createElement("td");
+      const by = h.closedBy || h.approvedBy;
+      statusTd.textContent = (HOLD_STATUS_LABELS[h.status] || h.status) + (by ? ` (${by})` : "");
+
+      const expiresTd = document.createElement("td");
+      expiresTd.textContent = h.status === "pending" || h.status === "approved" ? formatDateTime(h.expiresAt) : "—";
+
+      const actionsTd = document.createElement("td");
+      (HOLD_ACTIONS[h.status] || []).forEach(([action, label], i) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        if (action !== "expire") btn.className = "secondary-action";
+        btn.textContent = label;
+        btn.disabled = !can("quantity");
+        btn.addEventListener("click", () => updateHold(h, action));
+        if (i > 0) actionsTd.appendChild(document.createTextNode(" "));
+        actionsTd.appendChild(btn);
+      });
+
+      tr.appendChild(whenTd);
+      tr.appendChild(productTd);
+      tr.appendChild(customerTd);
+      tr.appendChild(qtyTd);
+      tr.appendChild(statusTd);
+      tr.appendChild(expiresTd);
+      tr.appendChild(actionsTd);
+      holdsBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load hold requests.", "error");
+  }
+}
+
+async function updateHold(hold, action) {
+  if (action === "pickup" && !window.confirm(`Mark picked up? ${hold.quantity} will be taken out of inventory.`)) return;
+
+  try {
+    const res = await adminFetch(`/api/holds/${encodeURIComponent(hold.id)}/${action}`, { method: "POST" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    // Pickup changed inventory on the server; the table picks that up on the
+    // next load (or merges it on save), so unsaved edits here are kept.
+    const note = action === "pickup" ? " Inventory updated – reload to see it." : "";
+    setStatus(
+      `Hold for ${hold.customerName}: ${HOLD_STATUS_LABELS[json.hold.status] || json.hold.status}.${note}`,
+      "success"
+    );
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+  } finally {
+    loadHolds();
+  }
+}
+
+// ---- Outbound notifications ----
+// Queued / failed webhook deliveries – retry or discard
+
+function notificationRow(n, failed) {
+  const tr = document.createElement("tr");
+  let status = "Sending";
+  if (failed) status = `Failed ${formatDateTime(n.deadAt)}`;
+  else if (n.attempts > 0 || n.lastError) status = `Retrying ${formatDateTime(n.nextAttemptAt)}`;
+  appendCells(tr, [
+    formatDateTime(n.createdAt),
+    n.kind,
+    status,
+    n.preview,
+    String(n.attempts),
+    n.lastError || "—",
+  ]);
+  tr.children[3].className = "notification-preview";
+  tr.children[3].title = n.target;
+  if (failed) tr.classList.add("notification-failed");
+
+  const actionsTd = document.createElement("td");
+  const actions = failed ? [["retry", "Retry"], ["discard", "Discard"]] : [["discard", "Discard"]];
+  actions.forEach(([action, label], i) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    if (action === "retry") btn.className = "secondary-action";
+    btn.textContent = label;
+    btn.disabled = !can("notifications");
+    btn.addEventListener("click", () => updateNotification(n, action));
+    if (i > 0) actionsTd.appendChild(document.createTextNode(" "));
+    actionsTd.appendChild(btn);
+  });
+  tr.appendChild(actionsTd);
+  return tr;
+}
+
+async function loadNotifications() {
+  if (!notificationsBodyEl) return;
+
+  try {
+    const res = await adminFetch("/api/notifications", { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { pending, dead, maxAttempts } = await res.json();
+
+    if (notificationsSummaryEl) {
+      notificationsSummaryEl.textContent =
+        `${pending.length} pending, ${dead.length} failed. ` +
+        `Failed = gave up after ${maxAttempts} tries or rejected by the webhook.`;
+    }
+
+    notificationsBodyEl.innerHTML = "";
+    pending.forEach((n) => notificationsBodyEl.appendChild(notificationRow(n, false)));
+    dead.forEach((n) => notificationsBodyEl.appendChild(notificationRow(n, true)));
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load notifications.", "error");
+  }
+}
+
+async function updateNotification(n, action) {
+  if (action === "discard" && !window.confirm(`Discard this ${n.kind} notification? It won't be sent.`)) return;
+
+  try {
+    const url = `/api/notifications/${encodeURIComponent(n.id)}` + (action === "retry" ? "/retry" : "");
+    const res = await adminFetch(url, { method: action === "retry" ? "POST" : "DELETE" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    setStatus(action === "retry" ? "Notification queued again." : "Notification discarded.", "success");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+  } finally {
+    loadNotifications();
+  }
+}
+
+// ---- Event webhooks (owners) ----
+// Subscribe URLs to inventory events (/api/webhooks)
+
+// One checkbox per event type (from /api/webhooks), all ticked by default
+function renderWebhookEventChoices(events) {
+  if (!webhookEventsEl || webhookEventsEl.childElementCount) return;
+  events.forEach((event) => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = event;
+    box.checked = true;
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${event} `));
+    webhookEventsEl.appendChild(label);
+  });
+}
+
+function showWebhookSecret(url, secret) {
+  if (!webhookSecretNoticeEl) return;
+  webhookSecretNoticeEl.textContent = secret
+    ? `Signing secret for ${url}: ${secret} – copy it now, it won't be shown again.`
+    : "";
+}
+
+async function loadWebhooks() {
+  if (!webhooksBodyEl) return;
+
+  try {
+    const res = await adminFetch("/api/webhooks", { cache: "no-store" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    renderWebhookEventChoices(json.events || []);
+
+    webhooksBodyEl.innerHTML = "";
+    if (!(json.webhooks || []).length) {
+      const tr = document.createElement("tr");
+      appendCells(tr, ["No webhooks yet.", "", "", "", ""]);
+      webhooksBodyEl.appendChild(tr);
+      return;
+    }
+
+    json.webhooks.forEach((w) => {
+      const tr = document.createElement("tr");
+      appendCells(tr, [w.url, w.events.join(", "), w.secretHint || "—", w.active ? "Active" : "Paused"]);
+
+      const actionsTd = document.createElement("td");
+      const buttons = [
+        [w.active ? "Pause" : "Resume", () => updateWebhook(w, { active: !w.active })],
+        ["New secret", () => updateWebhook(w, { rotateSecret: true })],
+        ["Remove", () => removeWebhook(w)],
+      ];
+      buttons.forEach(([label, onClick], i) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        if (i < buttons.length - 1) btn.className = "secondary-action";
+        btn.textContent = label;
+        btn.addEventListener("click", onClick);
+        if (i > 0) actionsTd.appendChild(document.createTextNode(" "));
+        actionsTd.appendChild(btn);
+      });
+      tr.appendChild(actionsTd);
+      webhooksBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus(`Failed to load webhooks: ${err.message || err}`, "error");
+  }
+}
+
+// Returns the response JSON, or null when the request failed
+async function sendWebhookRequest(url, method, body, successMessage) {
+  try {
+    const res = await adminFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    setStatus(successMessage, "success");
+    return json;
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+    return null;
+  } finally {
+    loadWebhooks();
+  }
+}
+
+async function createWebhook() {
+  const urlInput = document.getElementById("webhookUrl");
+  const secretInput = document.getElementById("webhookSecret");
+  const url = urlInput ? urlInput.value.trim() : "";
+  const secret = secretInput ? secretInput.value.trim() : "";
+  const events = webhookEventsEl
+    ? Array.from(webhookEventsEl.querySelectorAll("input:checked")).map((box) => box.value)
+    : [];
+
+  const json = await sendWebhookRequest("/api/webhooks", "POST", { url, events, secret }, "Webhook added.");
+  if (!json) return;
+  showWebhookSecret(json.webhook.url, json.secret);
+  if (urlInput) urlInput.value = "";
+  if (secretInput) secretInput.value = "";
+}
+
+async function updateWebhook(w, changes) {
+  if (changes.rotateSecret && !window.confirm(`Replace the signing secret for ${w.url}? The old one stops working.`)) {
+    return;
+  }
+  const json = await sendWebhookRequest(`/api/webhooks/${encodeURIComponent(w.id)}`, "PATCH", changes, "Webhook updated.");
+  if (json && json.secret) showWebhookSecret(w.url, json.secret);
+}
+
+function removeWebhook(w) {
+  if (!window.confirm(`Remove the webhook for ${w.url}?`)) return;
+  showWebhookSecret(null, null);
+  return sendWebhookRequest(`/api/webhooks/${encodeURIComponent(w.id)}`, "DELETE", null, "Webhook removed.");
+}
+
+// ---- Sales ----
+// Record a sale (takes it out of stock), revenue per day/week/month
+
+// tcgPlayerId -> item, from the last inventory load (sale and lot forms)
+const loadedItems = new Map();
+
+function fillProductList(items) {
+  loadedItems.clear();
+  if (productIdList) productIdList.innerHTML = "";
+
+  items.forEach((item) => {
+    if (!item.tcgPlayerId) return;
+    loadedItems.set(String(item.tcgPlayerId), item);
+    if (!productIdList) return;
+    const o = document.createElement("option");
+    o.value = item.tcgPlayerId;
+    o.label = `${item.name || "Unnamed product"} (qty ${item.quantity ?? 0})`;
+    productIdList.appendChild(o);
+  });
+}
+
+// Picking a product pre-fills our current price
+function onSaleProductChange() {
+  const item = loadedItems.get(saleProductInput ? saleProductInput.value.trim() : "");
+  if (item && salePriceInput && typeof item.yourPrice === "number") {
+    salePriceInput.value = item.yourPrice.toFixed(2);
+  }
+}
+
+function formatSignedMoney(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "—";
+  return `${v < 0 ? "−" : "+"}$${Math.abs(v).toFixed(2)}`;
+}
+
+async function recordSale() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value.trim() : "";
+  };
+  const tcgPlayerId = value("saleProduct");
+  const item = loadedItems.get(tcgPlayerId);
+
+  try {
+    const res = await adminFetch("/api/sales", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        tcgPlayerId,
+        quantity: Number(value("saleQuantity")),
+        unitPrice: value("salePrice"),
+        channel: value("saleChannel"),
+      }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    // Keep the table in step without reloading it (unsaved edits stay put)
+    const row = findRowById(tcgPlayerId);
+    const qtyInput = row ? row.querySelectorAll("input")[2] : null;
+    if (qtyInput) qtyInput.value = String(json.quantityLeft);
+    if (item) item.quantity = json.quantityLeft;
+
+    if (saleForm) saleForm.reset();
+    setStatus(
+      `Sold ${json.sale.quantity} × ${json.sale.name || tcgPlayerId} for $${json.sale.total.toFixed(2)} (${
+        json.quantityLeft
+      } left).`,
+      "success"
+    );
+    loadSales();
+  } catch (err) {
+    console.error(err);
+    setStatus(`Sale not recorded: ${err.message || err}`, "error");
+  }
+}
+
+function appendCells(tr, values) {
+  values.forEach((v) => {
+    const td = document.createElement("td");
+    td.textContent = v;
+    tr.appendChild(td);
+  });
+}
+
+async function loadSales() {
+  if (!salesRevenueBodyEl || !salesBodyEl) return;
+
+  const params = new URLSearchParams();
+  const period = document.getElementById("salesPeriod");
+  const from = document.getElementById("salesFrom");
+  const to = document.getElementById("salesTo");
+  params.set("period", period ? period.value : "day");
+  if (from && from.value) params.set("from", from.value);
+  if (to && to.value) params.set("to", to.value);
+
+  try {
+    const [summaryRes, salesRes] = await Promise.all([
+      adminFetch(`/api/sales/summary?${params.toString()}`, { cache: "no-store" }),
+      adminFetch(`/api/sales?${params.toString()}&limit=50`, { cache: "no-store" }),
+    ]);
+    if (!summaryRes.ok) throw new Error(`HTTP ${summaryRes.status}`);
+    if (!salesRes.ok) throw new Error(`HTTP ${salesRes.status}`);
+    const summary = await summaryRes.json();
+    const { total, sales } = await salesRes.json();
+
+    const t = summary.totals;
+    if (salesSummaryEl) {
+      salesSummaryEl.textContent =
+        `${t.sales} sale(s), ${t.units} unit(s), revenue $${t.revenue.toFixed(2)} · ` +
+        `${formatSignedMoney(t.vsList)} vs our price, ${formatSignedMoney(t.vsMarket)} vs market.`;
+    }
+
+    salesRevenueBodyEl.innerHTML = "";
+    summary.rows.forEach((r) => {
+      const tr = document.createElement("tr");
+      appendCells(tr, [
+        r.period,
+        String(r.sales),
+        String(r.units),
+        `$${r.revenue.toFixed(2)}`,
+        formatSignedMoney(r.vsList),
+        formatSignedMoney(r.vsMarket),
+      ]);
+      salesRevenueBodyEl.appendChild(tr);
+    });
+
+    salesBodyEl.innerHTML = "";
+    sales.forEach((sale) => {
+      const tr = document.createElement("tr");
+      appendCells(tr, [
+        formatDateTime(sale.at),
+        `${sale.name || "Unnamed product"}${sale.tcgPlayerId ? ` [${sale.tcgPlayerId}]` : ""}`,
+        String(sale.quantity),
+        formatMoneyOrDash(sale.unitPrice),
+        `${formatMoneyOrDash(sale.yourPrice)} / ${formatMoneyOrDash(sale.marketPrice)}`,
+        sale.actor ? `${sale.channel} (${sale.actor})` : sale.channel,
+      ]);
+      salesBodyEl.appendChild(tr);
+    });
+    if (total > sales.length && salesSummaryEl) {
+      salesSummaryEl.textContent += ` Showing newest ${sales.length} of ${total} sales.`;
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load sales.", "error");
+  }
+}
+
+// ---- Audit log ----
+// Search inventory changes by product and date
+
+function formatAuditValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function formatAuditChanges(entry) {
+  const changes = entry.changes || {};
+  const parts = Object.keys(changes).map(
+    (k) => `${k}: ${formatAuditValue(changes[k].from)} → ${formatAuditValue(changes[k].to)}`
+  );
+  return `${entry.action}${parts.length ? "\n" + parts.join("\n") : ""}`;
+}
+
+async function loadAuditLog() {
+  if (!auditBodyEl) return;
+
+  const params = new URLSearchParams();
+  const product = document.getElementById("auditProduct");
+  const from = document.getElementById("auditFrom");
+  const to = document.getElementById("auditTo");
+  if (product && product.value.trim()) params.set("product", product.value.trim());
+  if (from && from.value) params.set("from", from.value);
+  if (to && to.value) params.set("to", to.value);
+
+  auditBodyEl.innerHTML = "";
+  try {
+    const res = await adminFetch(`/api/audit?${params.toString()}`, { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { total, entries } = await res.json();
+
+    if (auditSummaryEl) {
+      auditSummaryEl.textContent =
+        total > entries.length ? `Showing newest ${entries.length} of ${total} changes.` : `${total} change(s).`;
+    }
+
+    entries.forEach((e) => {
+      const tr = document.createElement("tr");
+
+      const whenTd = document.createElement("td");
+      whenTd.textContent = formatDateTime(e.at);
+
+      const sourceTd = document.createElement("td");
+      sourceTd.textContent = e.actor ? `${e.source} (${e.actor})` : e.source;
+
+      const productTd = document.createElement("td");
+      productTd.textContent = `${e.name || "Unnamed product"}${e.tcgPlayerId ? ` [${e.tcgPlayerId}]` : ""}`;
+
+      const changeTd = document.createElement("td");
+      changeTd.className = "audit-changes";
+      changeTd.textContent = formatAuditChanges(e);
+
+      tr.appendChild(whenTd);
+      tr.appendChild(sourceTd);
+      tr.appendChild(productTd);
+      tr.appendChild(changeTd);
+      auditBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load audit log.", "error");
+  }
+}
+
+// ---- Admin accounts (owners) ----
+// Add accounts, change roles, reset passwords
+
+async function loadUsers() {
+  if (!usersBodyEl) return;
+
+  try {
+    const res = await adminFetch("/api/users", { cache: "no-store" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    const roles = json.roles || [];
+    if (newUserRoleSelect && !newUserRoleSelect.options.length) {
+      roles.forEach((r) => {
+        const o = document.createElement("option");
+        o.value = r;
+        o.textContent = r;
+        newUserRoleSelect.appendChild(o);
+      });
+    }
+
+    usersBodyEl.innerHTML = "";
+    (json.users || []).forEach((u) => {
+      const isSelf = currentUser && u.username === currentUser.username;
+      const tr = document.createElement("tr");
+
+      const nameTd = document.createElement("td");
+      nameTd.textContent = isSelf ? `${u.username} (you)` : u.username;
+
+      const roleTd = document.createElement("td");
+      const roleSelect = document.createElement("select");
+      // A role the server doesn't know has no permissions until one is picked
+      if (!u.role) {
+        const o = document.createElement("option");
+        o.value = "";
+        o.textContent = "unknown (no access)";
+        o.disabled = true;
+        roleSelect.appendChild(o);
+      }
+      roles.forEach((r) => {
+        const o = document.createElement("option");
+        o.value = r;
+        o.textContent = r;
+        roleSelect.appendChild(o);
+      });
+      roleSelect.value = u.role || "";
+      roleSelect.disabled = isSelf;
+      roleSelect.addEventListener("change", () => updateUser(u.username, { role: roleSelect.value }));
+      roleTd.appendChild(roleSelect);
+
+      const actionsTd = document.createElement("td");
+      const resetBtn = document.createElement("button");
+      resetBtn.type = "button";
+      resetBtn.className = "secondary-action";
+      resetBtn.textContent = "Reset password";
+      resetBtn.addEventListener("click", () => {
+        const password = window.prompt(`New password for ${u.username}:`);
+        if (password) updateUser(u.username, { password });
+      });
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.textContent = "Remove";
+      removeBtn.disabled = isSelf;
+      removeBtn.addEventListener("click", () => removeUser(u.username));
+
+      actionsTd.appendChild(resetBtn);
+      actionsTd.appendChild(document.createTextNode(" "));
+      actionsTd.appendChild(removeBtn);
+
+      tr.appendChild(nameTd);
+      tr.appendChild(roleTd);
+      tr.appendChild(actionsTd);
+      usersBodyEl.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    setStatus(`Failed to load users: ${err.message || err}`, "error");
+  }
+}
+
+async function sendUserRequest(url, method, body, successMessage) {
+  try {
+    const res = await adminFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    setStatus(successMessage, "success");
+    return true;
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message || String(err), "error");
+    return false;
+  } finally {
+    loadUsers();
+  }
+}
+
+function updateUser(username, changes) {
+  return sendUserRequest(`/api/users/${encodeURIComponent(username)}`, "PATCH", changes, `Updated ${username}.`);
+}
+
+function removeUser(username) {
+  if (!window.confirm(`Remove admin account ${username}?`)) return;
+  return sendUserRequest(`/api/users/${encodeURIComponent(username)}`, "DELETE", null, `Removed ${username}.`);
+}
+
+async function createUser() {
+  const usernameInput = document.getElementById("newUsername");
+  const passwordInput = document.getElementById("newUserPassword");
+  const username = usernameInput ? usernameInput.value.trim() : "";
+  const password = passwordInput ? passwordInput.value : "";
+  const role = newUserRoleSelect ? newUserRoleSelect.value : "";
+
+  const ok = await sendUserRequest("/api/users", "POST", { username, password, role }, `Created ${username}.`);
+  if (ok && userCreateForm) userCreateForm.reset();
+}
+
 function getRowsForExport() {
   const rows = bodyEl.querySelectorAll("tr");
   const out = [];
@@ -304,8 +1905,37 @@ async function exportCollectrCsv() {
 if (loadBtn) loadBtn.addEventListener("click", (e) => (e.preventDefault(), loadCurrentInventory()));
 if (addRowBtn) addRowBtn.addEventListener("click", (e) => (e.preventDefault(), addEmptyRow()));
 if (saveBtn) saveBtn.addEventListener("click", (e) => (e.preventDefault(), saveInventory()));
+if (conflictMergeBtn)
+  conflictMergeBtn.addEventListener("click", (e) => (e.preventDefault(), mergeConflictsAndSave()));
+if (conflictReloadBtn)
+  conflictReloadBtn.addEventListener("click", (e) => (e.preventDefault(), loadCurrentInventory()));
+if (loadPriceReviewsBtn)
+  loadPriceReviewsBtn.addEventListener("click", (e) => (e.preventDefault(), loadPriceReviews()));
+if (priceReviewsStatusFilter) priceReviewsStatusFilter.addEventListener("change", () => loadPriceReviews());
+if (loadHoldsBtn) loadHoldsBtn.addEventListener("click", (e) => (e.preventDefault(), loadHolds()));
+if (holdsStatusFilter) holdsStatusFilter.addEventListener("change", () => loadHolds());
+if (saleForm) saleForm.addEventListener("submit", (e) => (e.preventDefault(), recordSale()));
+if (saleProductInput) saleProductInput.addEventListener("change", onSaleProductChange);
+if (salesFilterForm) salesFilterForm.addEventListener("submit", (e) => (e.preventDefault(), loadSales()));
+if (lotForm) lotForm.addEventListener("submit", (e) => (e.preventDefault(), addLot()));
+if (lotProductInput) lotProductInput.addEventListener("input", renderLots);
+if (loadMarginsBtn) loadMarginsBtn.addEventListener("click", (e) => (e.preventDefault(), loadMargins()));
+if (loadNotificationsBtn)
+  loadNotificationsBtn.addEventListener("click", (e) => (e.preventDefault(), loadNotifications()));
+if (loadBackupsBtn) loadBackupsBtn.addEventListener("click", (e) => (e.preventDefault(), loadBackups()));
+if (auditFilterForm) auditFilterForm.addEventListener("submit", (e) => (e.preventDefault(), loadAuditLog()));
+if (userCreateForm) userCreateForm.addEventListener("submit", (e) => (e.preventDefault(), createUser()));
+if (webhookCreateForm) webhookCreateForm.addEventListener("submit", (e) => (e.preventDefault(), createWebhook()));
+if (logoutBtn) logoutBtn.addEventListener("click", (e) => (e.preventDefault(), logout()));
 if (exportBtn) exportBtn.addEventListener("click", (e) => (e.preventDefault(), exportCollectrCsv()));
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await loadCurrentUser();
+  await loadItemFields();
+  await loadLowStockDefault();
+  await loadPriceReviews();
   if (bodyEl) loadCurrentInventory();
+  loadHolds();
+  loadSales();
+  loadNotifications();
 });
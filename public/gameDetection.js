@@ -0,0 +1,83 @@
+// gameDetection.js – Pokémon vs Magic detection, shared by the storefront
+// (loaded as a plain script before main.js → window.GameDetection) and the
+// server (inventoryQuery.js requires it), so both classify products alike.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GameDetection = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  const GAMES = ["pokemon", "mtg", "other"];
+
+  const STRONG_POKEMON_KEYWORDS = [
+    "pokémon",
+    "pokemon",
+    "elite trainer box",
+    "etb",
+    "booster bundle",
+    "booster pack bundle",
+    "collection box",
+    "ex box",
+    "v box",
+    "vmax box",
+    "v-union",
+    "mewtwo",
+    "charizard",
+    "pikachu",
+    "paldea",
+    "scarlet & violet",
+    "scarlet and violet",
+    "sv base",
+    "paradox rift",
+    "obsidian flames",
+    "paldea evolved",
+    "surging sparks",
+    "twilight masquerade",
+    "temporal forces",
+    "shrouded fable",
+    "phantasmal flames",
+    "sv ",
+  ];
+
+  // NO generic "bundle" here (Pokémon bundles would turn into Magic)
+  const STRONG_MTG_KEYWORDS = [
+    "magic: the gathering",
+    " mtg",
+    "modern horizons",
+    "mh3",
+    "commander deck",
+    "commander masters",
+    "play booster",
+    "collector booster",
+    "draft booster",
+    "set booster",
+    "prelease",
+    "prerelease",
+  ];
+
+  // Spellings people use for a game → pokemon | mtg | other (anything else as is)
+  function normalizeGame(v) {
+    const g = String(v || "").trim().toLowerCase();
+    if (g === "pokémon" || g === "poke") return "pokemon";
+    if (g === "magic" || g === "magic: the gathering") return "mtg";
+    return g;
+  }
+
+  function detectGame(item) {
+    // 1) Explicit game field wins, including 'other'
+    const rawGame = normalizeGame(item.game || item.category);
+    if (GAMES.includes(rawGame)) return rawGame;
+
+    // 2) Strong Pokémon tells (checked FIRST so bundles don't get mis-classed),
+    // 3) then strong Magic tells
+    const text = (item.name || "").toLowerCase() + " " + (item.setName || "").toLowerCase();
+    if (STRONG_POKEMON_KEYWORDS.some((kw) => text.includes(kw))) return "pokemon";
+    if (STRONG_MTG_KEYWORDS.some((kw) => text.includes(kw))) return "mtg";
+
+    // 4) Fallbacks; default: assume Pokémon (the main catalog)
+    if (text.includes(" magic")) return "mtg";
+    return "pokemon";
+  }
+
+  return { GAMES, normalizeGame, detectGame };
+});
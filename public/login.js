@@ -0,0 +1,43 @@
+// login.js – admin sign-in form; on success goes back to ?next= (default /admin.html)
+
+const form = document.getElementById("loginForm");
+const usernameInput = document.getElementById("loginUsername");
+const passwordInput = document.getElementById("loginPassword");
+const statusEl = document.getElementById("loginStatus");
+
+function setStatus(message, type) {
+  if (!statusEl) return;
+  statusEl.textContent = message || "";
+  statusEl.className = "status-message" + (type ? " " + type : "");
+}
+
+// Only allow same-site relative paths as the redirect target
+function getNextUrl() {
+  const next = new URLSearchParams(window.location.search).get("next") || "";
+  if (next.startsWith("/") && !next.startsWith("//")) return next;
+  return "/admin.html";
+}
+
+async function login() {
+  setStatus("Signing in...", "");
+
+  try {
+    const res = await fetch("/api/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: usernameInput ? usernameInput.value.trim() : "",
+        password: passwordInput ? passwordInput.value : "",
+      }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    window.location.href = getNextUrl();
+  } catch (err) {
+    if (passwordInput) passwordInput.value = "";
+    setStatus(err.message || "Sign-in failed.", "error");
+  }
+}
+
+if (form) form.addEventListener("submit", (e) => (e.preventDefault(), login()));
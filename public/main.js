@@ -19,7 +19,11 @@ async function fetchInventoryFromServer() {
     items = [];
   }
 
-  // Save to cache
+  saveInventoryToCache(items);
+  return items;
+}
+
+function saveInventoryToCache(items) {
   try {
     const payload = {
       timestamp: Date.now(),
@@ -29,8 +33,6 @@ async function fetchInventoryFromServer() {
   } catch {
     // ignore cache errors
   }
-
-  return items;
 }
 
 function loadInventoryFromCache() {
@@ -66,86 +68,16 @@ function formatCurrency(value) {
 
 // ---- Game detection (Pokémon vs Magic) ----
 
-function detectGame(item) {
-  const rawGame = (item.game || item.category || "").toLowerCase();
-  const text =
-    (item.name || "").toLowerCase() + " " + (item.setName || "").toLowerCase();
-
-  // 1) Explicit game field wins, including 'other'
-  if (rawGame === "pokemon" || rawGame === "pokémon" || rawGame === "poke") {
-    return "pokemon";
-  }
-  if (rawGame === "mtg" || rawGame === "magic" || rawGame === "magic: the gathering") {
-    return "mtg";
-  }
-  if (rawGame === "other") {
-    return "other";
-  }
-
-  // 2) Strong Pokémon tells (checked FIRST so bundles don't get mis-classed)
-  const strongPokemonKeywords = [
-    "pokémon",
-    "pokemon",
-    "elite trainer box",
-    "etb",
-    "booster bundle",
-    "booster pack bundle",
-    "collection box",
-    "ex box",
-    "v box",
-    "vmax box",
-    "v-union",
-    "mewtwo",
-    "charizard",
-    "pikachu",
-    "paldea",
-    "scarlet & violet",
-    "scarlet and violet",
-    "sv base",
-    "paradox rift",
-    "obsidian flames",
-    "paldea evolved",
-    "surging sparks",
-    "twilight masquerade",
-    "temporal forces",
-    "shrouded fable",
-    "phantasmal flames",
-    "sv ",
-  ];
-
-  for (const kw of strongPokemonKeywords) {
-    if (text.includes(kw)) {
-      return "pokemon";
-    }
-  }
-
-  // 3) Strong Magic tells (NO generic "bundle" here anymore)
-  const strongMtgKeywords = [
-    "magic: the gathering",
-    " mtg",
-    "modern horizons",
-    "mh3",
-    "commander deck",
-    "commander masters",
-    "play booster",
-    "collector booster",
-    "draft booster",
-    "set booster",
-    "prelease",
-    "prerelease",
-  ];
+// Shared with the server's ?game= filter (gameDetection.js, loaded first)
+const { detectGame } = window.GameDetection;
 
-  for (const kw of strongMtgKeywords) {
-    if (text.includes(kw)) {
-      return "mtg";
-    }
-  }
-
-  // 4) Fallbacks
-  if (text.includes(" magic")) return "mtg";
-
-  // 5) Default: assume Pokémon (your main catalog)
-  return "pokemon";
+// Same key the server's live updates use (inventoryStore.itemKey)
+function itemKeyOf(item) {
+  if (!item) return null;
+  const id = item.tcgPlayerId ? String(item.tcgPlayerId).trim() : "";
+  if (id) return `id:${id}`;
+  const name = item.name ? String(item.name).trim().toLowerCase() : "";
+  return name ? `name:${name}` : null;
 }
 
 // ---- Rendering ----
@@ -161,6 +93,7 @@ function createProductCard(item) {
   card.dataset.name = name.toLowerCase();
   card.dataset.set = setName.toLowerCase();
   card.dataset.game = game;
+  card.dataset.key = itemKeyOf(item) || "";
 
   const img = document.createElement("img");
   img.className = "product-image";
@@ -200,6 +133,35 @@ function createProductCard(item) {
 
   const elements = [img, nameEl, setChip, setEl, priceRow, metaEl];
 
+  if (item.tcgPlayerId) {
+    const historyBtn = document.createElement("button");
+    historyBtn.type = "button";
+    historyBtn.className = "product-history-btn";
+    historyBtn.textContent = "Price history";
+
+    const holdBtn = document.createElement("button");
+    holdBtn.type = "button";
+    holdBtn.className = "product-history-btn product-hold-btn";
+    holdBtn.textContent = "Request hold";
+    holdBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openHoldDialog(item);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "product-actions";
+    actions.appendChild(historyBtn);
+    actions.appendChild(holdBtn);
+    elements.push(actions);
+
+    // Whole card opens the detail view (the TCGplayer link still works normally)
+    card.classList.add("product-card-clickable");
+    card.addEventListener("click", (e) => {
+      if (e.target.closest("a")) return;
+      openProductDetail(item);
+    });
+  }
+
   if (item.tcgPlayerUrl) {
     const link = document.createElement("a");
     link.href = item.tcgPlayerUrl;
@@ -342,6 +304,353 @@ function renderInventory(items, state) {
   }
 }
 
+// ---- Product detail & price history ----
+
+const HISTORY_MAX_DAYS = 365;
+const historyCache = new Map(); // tcgPlayerId -> points (last HISTORY_MAX_DAYS days)
+
+const detailState = {
+  item: null,
+  days: 30,
+};
+
+async function fetchPriceHistory(tcgPlayerId) {
+  if (historyCache.has(tcgPlayerId)) return historyCache.get(tcgPlayerId);
+
+  const res = await fetch(
+    `/api/inventory/${encodeURIComponent(tcgPlayerId)}/history?days=${HISTORY_MAX_DAYS}`
+  );
+  if (res.status === 404) return [];
+  if (!res.ok) {
+    throw new Error("Failed to fetch price history");
+  }
+  const data = await res.json();
+  const points = data && Array.isArray(data.points) ? data.points : [];
+  historyCache.set(tcgPlayerId, points);
+  return points;
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, String(v)));
+  return el;
+}
+
+// Line chart of marketPrice + yourPrice over the last `days` days, as inline SVG.
+function buildHistoryChart(points, days) {
+  const width = 560;
+  const height = 240;
+  const pad = { top: 12, right: 14, bottom: 28, left: 54 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  const end = Date.now();
+  const start = end - days * 24 * 60 * 60 * 1000;
+
+  const series = [
+    { key: "marketPrice", className: "history-line-market", label: "Market" },
+    { key: "yourPrice", className: "history-line-yours", label: "Our price" },
+  ];
+
+  const values = [];
+  points.forEach((p) => {
+    series.forEach((s) => {
+      if (typeof p[s.key] === "number") values.push(p[s.key]);
+    });
+  });
+
+  let minY = Math.min(...values);
+  let maxY = Math.max(...values);
+  if (minY === maxY) {
+    minY = Math.max(0, minY - 1);
+    maxY = maxY + 1;
+  }
+  const spread = maxY - minY;
+  minY = Math.max(0, minY - spread * 0.08);
+  maxY = maxY + spread * 0.08;
+
+  const x = (t) => pad.left + ((t - start) / (end - start)) * plotW;
+  const y = (v) => pad.top + (1 - (v - minY) / (maxY - minY)) * plotH;
+
+  const svg = svgEl("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "history-svg",
+    role: "img",
+    "aria-label": `Price history for the last ${days} days`,
+  });
+
+  // Horizontal grid lines with price labels
+  const ticks = 4;
+  for (let i = 0; i <= ticks; i++) {
+    const v = minY + ((maxY - minY) * i) / ticks;
+    const ty = y(v);
+    svg.appendChild(
+      svgEl("line", { x1: pad.left, x2: width - pad.right, y1: ty, y2: ty, class: "history-grid" })
+    );
+    const label = svgEl("text", { x: pad.left - 6, y: ty + 4, class: "history-axis-label", "text-anchor": "end" });
+    label.textContent = formatCurrency(v);
+    svg.appendChild(label);
+  }
+
+  // Date labels: start, middle, end of the range
+  [start, (start + end) / 2, end].forEach((t, i) => {
+    const label = svgEl("text", {
+      x: x(t),
+      y: height - 8,
+      class: "history-axis-label",
+      "text-anchor": i === 0 ? "start" : i === 2 ? "end" : "middle",
+    });
+    label.textContent = new Date(t).toLocaleDateString();
+    svg.appendChild(label);
+  });
+
+  series.forEach((s) => {
+    const pts = points
+      .map((p) => ({ t: Date.parse(p.at), v: p[s.key], at: p.at }))
+      .filter((p) => !Number.isNaN(p.t) && typeof p.v === "number");
+    if (!pts.length) return;
+
+    if (pts.length > 1) {
+      const d = pts
+        .map((p, i) => `${i === 0 ? "M" : "L"}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`)
+        .join(" ");
+      svg.appendChild(svgEl("path", { d, class: `history-line ${s.className}` }));
+    }
+
+    pts.forEach((p) => {
+      const dot = svgEl("circle", { cx: x(p.t), cy: y(p.v), r: 3, class: `history-dot ${s.className}` });
+      const title = svgEl("title");
+      title.textContent = `${s.label}: ${formatCurrency(p.v)} · ${new Date(p.at).toLocaleString()}`;
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+  });
+
+  return svg;
+}
+
+async function renderPriceHistory() {
+  const chartEl = document.getElementById("historyChart");
+  const statusEl = document.getElementById("historyStatus");
+  const item = detailState.item;
+  if (!chartEl || !item) return;
+
+  chartEl.innerHTML = "";
+  if (statusEl) statusEl.textContent = "Loading price history...";
+
+  try {
+    const all = await fetchPriceHistory(String(item.tcgPlayerId));
+    if (detailState.item !== item) return; // closed or switched while loading
+
+    const since = Date.now() - detailState.days * 24 * 60 * 60 * 1000;
+    const points = all.filter((p) => Date.parse(p.at) >= since);
+
+    if (!points.length) {
+      if (statusEl) statusEl.textContent = "No price history for this range yet.";
+      return;
+    }
+
+    chartEl.appendChild(buildHistoryChart(points, detailState.days));
+    if (statusEl) {
+      statusEl.textContent = `${points.length} price point${points.length === 1 ? "" : "s"} in the last ${
+        detailState.days
+      } days.`;
+    }
+  } catch (err) {
+    console.error(err);
+    if (statusEl) statusEl.textContent = "Could not load price history.";
+  }
+}
+
+function openProductDetail(item) {
+  const overlay = document.getElementById("productDetail");
+  if (!overlay) return;
+
+  detailState.item = item;
+
+  const img = document.getElementById("productDetailImage");
+  if (img) {
+    img.src = item.imageUrl || "";
+    img.alt = item.name || "";
+    img.classList.toggle("hidden", !item.imageUrl);
+  }
+  const nameEl = document.getElementById("productDetailName");
+  if (nameEl) nameEl.textContent = item.name || "Unnamed product";
+  const setEl = document.getElementById("productDetailSet");
+  if (setEl) setEl.textContent = item.setName || "";
+  const pricesEl = document.getElementById("productDetailPrices");
+  if (pricesEl) {
+    pricesEl.textContent = `Our price: ${formatCurrency(item.yourPrice)} · Market: ${formatCurrency(
+      item.marketPrice
+    )}`;
+  }
+
+  overlay.classList.remove("hidden");
+  document.body.classList.add("modal-open");
+  const closeBtn = document.getElementById("productDetailClose");
+  if (closeBtn) closeBtn.focus();
+
+  renderPriceHistory();
+}
+
+function closeProductDetail() {
+  const overlay = document.getElementById("productDetail");
+  if (overlay) overlay.classList.add("hidden");
+  document.body.classList.remove("modal-open");
+  detailState.item = null;
+}
+
+function setHistoryRange(days) {
+  detailState.days = days;
+
+  const range = document.getElementById("historyRange");
+  if (range) {
+    range.querySelectorAll(".toggle-btn").forEach((b) => {
+      b.classList.toggle("toggle-active", Number(b.getAttribute("data-days")) === days);
+    });
+  }
+  renderPriceHistory();
+}
+
+function initProductDetail() {
+  const overlay = document.getElementById("productDetail");
+  const closeBtn = document.getElementById("productDetailClose");
+  const range = document.getElementById("historyRange");
+
+  if (closeBtn) closeBtn.addEventListener("click", closeProductDetail);
+
+  // Click on the dimmed backdrop closes
+  if (overlay) {
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeProductDetail();
+    });
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && detailState.item) closeProductDetail();
+  });
+
+  if (range) {
+    range.addEventListener("click", (e) => {
+      const btn = e.target.closest(".toggle-btn");
+      if (!btn) return;
+      const days = Number(btn.getAttribute("data-days"));
+      if (days) setHistoryRange(days);
+    });
+  }
+}
+
+// ---- Hold requests ----
+
+const holdState = {
+  item: null,
+};
+
+function setHoldStatus(message, type) {
+  const el = document.getElementById("holdStatus");
+  if (!el) return;
+  el.textContent = message || "";
+  el.className = "history-status" + (type ? " " + type : "");
+}
+
+function openHoldDialog(item) {
+  const overlay = document.getElementById("holdDialog");
+  if (!overlay) return;
+
+  holdState.item = item;
+  const available = Math.max(1, Number(item.quantity) || 1);
+
+  const nameEl = document.getElementById("holdProductName");
+  if (nameEl) nameEl.textContent = item.name || "Unnamed product";
+  const availableEl = document.getElementById("holdAvailable");
+  if (availableEl) availableEl.textContent = `(${available} available)`;
+  const qtyInput = document.getElementById("holdQuantity");
+  if (qtyInput) {
+    qtyInput.max = String(available);
+    qtyInput.value = "1";
+  }
+  const submitBtn = document.getElementById("holdSubmit");
+  if (submitBtn) submitBtn.disabled = false;
+  setHoldStatus("", "");
+
+  overlay.classList.remove("hidden");
+  document.body.classList.add("modal-open");
+  const firstInput = document.getElementById("holdCustomerName");
+  if (firstInput) firstInput.focus();
+}
+
+function closeHoldDialog() {
+  const overlay = document.getElementById("holdDialog");
+  if (overlay) overlay.classList.add("hidden");
+  document.body.classList.remove("modal-open");
+  holdState.item = null;
+}
+
+async function submitHoldRequest() {
+  const item = holdState.item;
+  if (!item) return;
+
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value.trim() : "";
+  };
+  const quantity = Number(value("holdQuantity"));
+  const available = Number(item.quantity) || 0;
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+    setHoldStatus(`Please choose a quantity between 1 and ${available}.`, "error");
+    return;
+  }
+
+  const submitBtn = document.getElementById("holdSubmit");
+  if (submitBtn) submitBtn.disabled = true;
+  setHoldStatus("Sending...", "");
+
+  try {
+    const res = await fetch("/api/holds", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        tcgPlayerId: item.tcgPlayerId,
+        customerName: value("holdCustomerName"),
+        contact: value("holdContact"),
+        quantity,
+      }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+    const until = json.expiresAt ? new Date(json.expiresAt).toLocaleDateString() : null;
+    setHoldStatus(
+      "Request sent! We'll confirm on your contact" + (until ? ` (request open until ${until}).` : "."),
+      "success"
+    );
+  } catch (err) {
+    if (submitBtn) submitBtn.disabled = false;
+    setHoldStatus(err.message || "Could not send the request.", "error");
+  }
+}
+
+function initHoldDialog() {
+  const overlay = document.getElementById("holdDialog");
+  const closeBtn = document.getElementById("holdDialogClose");
+  const form = document.getElementById("holdForm");
+
+  if (closeBtn) closeBtn.addEventListener("click", closeHoldDialog);
+  if (overlay) {
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeHoldDialog();
+    });
+  }
+  if (form) form.addEventListener("submit", (e) => (e.preventDefault(), submitHoldRequest()));
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && holdState.item) closeHoldDialog();
+  });
+}
+
 function computeLastUpdatedText(items) {
   if (!items || items.length === 0) {
     return "Prices last refreshed: N/A";
@@ -360,6 +669,187 @@ function computeLastUpdatedText(items) {
   return "Prices last refreshed: " + d.toLocaleString();
 }
 
+// ---- Live updates (SSE, with polling as the fallback) ----
+
+const STREAM_URL = "/api/inventory/stream";
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+const POLL_AFTER_FAILURES = 3; // failed connects in a row before polling kicks in
+const POLL_INTERVAL_MS = 60 * 1000;
+const CARD_FLASH_MS = 2000;
+
+const live = {
+  source: null,
+  failures: 0,
+  connectedOnce: false,
+  reconnectTimer: null,
+  pollTimer: null,
+  // Stream events held back until the first full load lands: applied to an
+  // empty or cached list they would save a partial inventory to the cache
+  loaded: false,
+  queued: [],
+};
+
+function findCard(key) {
+  const grid = document.getElementById("productsGrid");
+  if (!grid || !key) return null;
+  return Array.from(grid.querySelectorAll(".product-card")).find((c) => c.dataset.key === key) || null;
+}
+
+function flashCard(card) {
+  card.classList.add("product-card-updated");
+  setTimeout(() => card.classList.remove("product-card-updated"), CARD_FLASH_MS);
+}
+
+// Fields that decide where (or whether) a card shows up; changing one of
+// these needs a full re-render instead of swapping the card.
+const LAYOUT_FIELDS = ["name", "setName", "game"];
+
+// Keeps an open hold / detail dialog in line with the item's new state
+function refreshOpenDialogs(key, item) {
+  if (holdState.item && itemKeyOf(holdState.item) === key) {
+    const submitBtn = document.getElementById("holdSubmit");
+    if (!item) {
+      if (submitBtn) submitBtn.disabled = true;
+      setHoldStatus("Sorry – this product just sold out.", "error");
+    } else {
+      holdState.item = item;
+      const available = Math.max(1, Number(item.quantity) || 1);
+      const availableEl = document.getElementById("holdAvailable");
+      if (availableEl) availableEl.textContent = `(${available} available)`;
+      const qtyInput = document.getElementById("holdQuantity");
+      if (qtyInput) qtyInput.max = String(available);
+    }
+  }
+
+  if (item && detailState.item && itemKeyOf(detailState.item) === key) {
+    detailState.item = item;
+    const pricesEl = document.getElementById("productDetailPrices");
+    if (pricesEl) {
+      pricesEl.textContent = `Our price: ${formatCurrency(item.yourPrice)} · Market: ${formatCurrency(
+        item.marketPrice
+      )}`;
+    }
+  }
+}
+
+// Applies one "changes" event from the stream: cards are swapped or removed
+// in place; new items (and renames) re-render the grid so they land in the
+// right group and sort position.
+function applyInventoryChanges(changes) {
+  const byKey = new Map(state.allItems.map((item) => [itemKeyOf(item), item]));
+  let needsRender = false;
+
+  changes.forEach((change) => {
+    if (change.type === "removed") {
+      byKey.delete(change.key);
+      const card = findCard(change.key);
+      if (card) {
+        const subgrid = card.parentElement;
+        card.remove();
+        if (subgrid && !subgrid.children.length) needsRender = true;
+      }
+      refreshOpenDialogs(change.key, null);
+      return;
+    }
+
+    byKey.set(change.key, change.item);
+    refreshOpenDialogs(change.key, change.item);
+
+    if (change.type === "added" || (change.fields || []).some((f) => LAYOUT_FIELDS.includes(f))) {
+      needsRender = true;
+      return;
+    }
+    const card = findCard(change.key);
+    if (card) {
+      const next = createProductCard(change.item);
+      card.replaceWith(next);
+      flashCard(next);
+    }
+  });
+
+  state.allItems = Array.from(byKey.values());
+  saveInventoryToCache(state.allItems);
+
+  if (needsRender) {
+    applyStateAndRender();
+  } else {
+    const lastUpdatedEl = document.getElementById("lastUpdated");
+    if (lastUpdatedEl) lastUpdatedEl.textContent = computeLastUpdatedText(state.allItems);
+  }
+}
+
+// A full list from the server; replays any changes queued before the first one
+function showLoadedItems(items) {
+  state.allItems = items;
+  applyStateAndRender();
+  live.loaded = true;
+  const queued = live.queued.splice(0);
+  if (queued.length) applyInventoryChanges(queued.flat());
+}
+
+async function refreshInventory() {
+  try {
+    showLoadedItems(await fetchInventoryFromServer());
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function startPolling() {
+  if (live.pollTimer) return;
+  live.pollTimer = setInterval(refreshInventory, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+  if (!live.pollTimer) return;
+  clearInterval(live.pollTimer);
+  live.pollTimer = null;
+}
+
+function connectLiveUpdates() {
+  if (typeof EventSource !== "function") {
+    startPolling();
+    return;
+  }
+
+  live.reconnectTimer = null;
+  const source = new EventSource(STREAM_URL);
+  live.source = source;
+
+  source.addEventListener("open", () => {
+    // Anything that changed while we weren't connected: one full reload
+    if (live.connectedOnce || live.failures > 0) refreshInventory();
+    live.connectedOnce = true;
+    live.failures = 0;
+    stopPolling();
+  });
+
+  source.addEventListener("changes", (e) => {
+    try {
+      const data = JSON.parse(e.data);
+      const changes = Array.isArray(data.changes) ? data.changes : [];
+      if (live.loaded) applyInventoryChanges(changes);
+      else live.queued.push(changes);
+    } catch (err) {
+      console.error(err);
+    }
+  });
+
+  // We reconnect ourselves (with backoff) instead of the browser's fixed retry
+  source.addEventListener("error", () => {
+    source.close();
+    if (live.source === source) live.source = null;
+    if (live.reconnectTimer) return;
+
+    live.failures += 1;
+    if (live.failures >= POLL_AFTER_FAILURES) startPolling();
+
+    const base = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (live.failures - 1));
+    live.reconnectTimer = setTimeout(connectLiveUpdates, Math.round(base * (1 + Math.random() * 0.2)));
+  });
+}
+
 // ---- State & wiring ----
 
 const state = {
@@ -402,6 +892,12 @@ async function init() {
   const gameToggle = document.getElementById("gameToggle");
   const lastUpdatedEl = document.getElementById("lastUpdated");
 
+  initProductDetail();
+  initHoldDialog();
+
+  // Live updates first, so nothing that changes while we load is missed
+  connectLiveUpdates();
+
   // 1) Try cache first for instant display
   const cachedItems = loadInventoryFromCache();
   if (cachedItems && cachedItems.length) {
@@ -411,9 +907,7 @@ async function init() {
 
   // 2) Then fetch fresh data
   try {
-    const freshItems = await fetchInventoryFromServer();
-    state.allItems = freshItems;
-    applyStateAndRender();
+    showLoadedItems(await fetchInventoryFromServer());
   } catch (err) {
     console.error(err);
     if (!cachedItems || !cachedItems.length) {
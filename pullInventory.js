@@ -1,23 +1,48 @@
 // pullInventory.js
 // Downloads live inventory from your deployed server and saves it locally.
 //
+// Pulls the admin view (/api/raw-inventory), not the storefront one: the
+// public list hides private fields (lots, thresholds, price locks, private
+// custom fields) and shows stock net of approved holds, and saving that
+// here would wipe the fields and count holds twice.
+//
+// .env:
+//   INVENTORY_SYNC_URL       server to pull from (default: the Render deploy)
+//   INVENTORY_SYNC_USER      admin account (manageAdmins.js) – any role can read
+//   INVENTORY_SYNC_PASSWORD
+//
 // Phase 1 hardening note:
 // We save using inventoryStore.js so the local inventory.json is always:
 //  - schemaVersion'd
 //  - normalized
 //  - written atomically
 //  - backed up automatically
+//  - recorded in the audit log (source: "pullInventory")
+
+require("dotenv").config();
 
 const path = require("path");
 const { saveInventoryItems } = require("./inventoryStore");
 
-const url = "https://sealed-pokemon-menu.onrender.com/api/inventory";
+const BASE_URL = (process.env.INVENTORY_SYNC_URL || "https://sealed-pokemon-menu.onrender.com").replace(/\/+$/, "");
+const url = `${BASE_URL}/api/raw-inventory`;
 const INVENTORY_PATH = path.join(__dirname, "inventory.json");
 
 async function pull() {
-  console.log("⏳ Downloading live inventory from Render...");
+  const user = process.env.INVENTORY_SYNC_USER;
+  const password = process.env.INVENTORY_SYNC_PASSWORD;
+  if (!user || !password) {
+    throw new Error("Set INVENTORY_SYNC_USER and INVENTORY_SYNC_PASSWORD in .env (an admin account).");
+  }
+
+  console.log(`⏳ Downloading live inventory from ${BASE_URL}...`);
 
-  const res = await fetch(url); // native fetch in Node 18+
+  const res = await fetch(url, {
+    headers: { Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}` },
+  }); // native fetch in Node 18+
+  if (res.status === 401 || res.status === 429) {
+    throw new Error(`Server refused INVENTORY_SYNC_USER's login. Status: ${res.status}`);
+  }
   if (!res.ok) {
     throw new Error(`Failed to download inventory. Status: ${res.status}`);
   }
@@ -34,7 +59,7 @@ async function pull() {
     throw new Error("Unexpected inventory format from API");
   }
 
-  saveInventoryItems(INVENTORY_PATH, items);
+  saveInventoryItems(INVENTORY_PATH, items, { source: "pullInventory" });
 
   console.log(
     `✔ inventory.json updated locally with ${items.length} items from server`
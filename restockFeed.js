@@ -0,0 +1,198 @@
+// restockFeed.js
+// Public Atom / JSON feeds of restocks and new arrivals, for customers who
+// aren't on Discord.
+//
+// restockFeed.json (next to inventory.json):
+//   { events: [{ id, at, isNew, tcgPlayerId, name, setName, game, yourPrice,
+//                delta, newQty, imageUrl, url }] }
+//
+// server.js records the restocks it already computes for the Discord alert
+// (any quantity increase; isNew = the item was created by that save). Only
+// the last FEED_WINDOW_DAYS days (default 30) and at most FEED_MAX_ENTRIES
+// events (default 100) are kept – older ones are dropped on every write.
+
+const crypto = require("crypto");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const FEED_FILE = "restockFeed.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_WINDOW_DAYS = Number(process.env.FEED_WINDOW_DAYS) || 30;
+const FEED_MAX_ENTRIES = Number(process.env.FEED_MAX_ENTRIES) || 100;
+const FEED_TITLE = process.env.FEED_TITLE || "Sealed Pokémon Inventory";
+
+function restockFeedPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), FEED_FILE);
+}
+
+// Newest last, inside the window
+function recentEvents(events, now = Date.now()) {
+  const cutoff = now - FEED_WINDOW_DAYS * DAY_MS;
+  return events.filter((e) => Date.parse(e.at) >= cutoff).slice(-FEED_MAX_ENTRIES);
+}
+
+function loadEvents(feedPath) {
+  const data = readJsonFile(feedPath, { events: [] });
+  return data && Array.isArray(data.events) ? data.events : [];
+}
+
+function priceOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+/**
+ * Stores restocks = [{ item, delta, newQty, isNew? }] (as built in server.js).
+ * Returns how many events were added.
+ */
+function recordRestocks(feedPath, restocks, at = new Date().toISOString()) {
+  if (!restocks.length) return 0;
+
+  const added = restocks.map(({ item, delta, newQty, isNew }) => ({
+    id: crypto.randomBytes(8).toString("hex"),
+    at,
+    isNew: Boolean(isNew),
+    tcgPlayerId: item.tcgPlayerId || null,
+    name: item.name || "Unnamed product",
+    setName: item.setName || null,
+    game: item.game || null,
+    yourPrice: priceOrNull(item.yourPrice),
+    delta,
+    newQty,
+    imageUrl: item.imageUrl || null,
+    url: item.tcgPlayerUrl || null,
+  }));
+
+  writeJsonFile(feedPath, { events: recentEvents([...loadEvents(feedPath), ...added]) });
+  return added.length;
+}
+
+// Newest first; newOnly = just the new arrivals
+function readFeedEvents(feedPath, { newOnly = false } = {}) {
+  const events = recentEvents(loadEvents(feedPath));
+  return (newOnly ? events.filter((e) => e.isNew) : events).reverse();
+}
+
+// ---------- Rendering ----------
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatMoney(v) {
+  return v === null ? "—" : `$${v.toFixed(2)}`;
+}
+
+function entryTitle(e) {
+  return e.isNew ? `New: ${e.name}` : `Restocked: ${e.name}`;
+}
+
+function entrySummary(e) {
+  const parts = [e.isNew ? `${e.delta} in stock` : `+${e.delta} (now ${e.newQty})`, formatMoney(e.yourPrice)];
+  if (e.setName) parts.unshift(e.setName);
+  return parts.join(" · ");
+}
+
+function entryHtml(e) {
+  const lines = [];
+  if (e.imageUrl) lines.push(`<p><img src="${escapeXml(e.imageUrl)}" alt="${escapeXml(e.name)}" width="220" /></p>`);
+  if (e.setName) lines.push(`<p>Set: ${escapeXml(e.setName)}</p>`);
+  lines.push(`<p>Our price: ${escapeXml(formatMoney(e.yourPrice))}</p>`);
+  lines.push(`<p>Quantity added: ${e.delta} (now ${e.newQty} in stock)</p>`);
+  return lines.join("\n");
+}
+
+// Stable ids for the feed and each event. Not derived from baseUrl: without
+// PUBLIC_BASE_URL that comes from the Host header, and ids must not change
+// (or break) with it.
+function entryId(e) {
+  return `urn:restock:${e.id}`;
+}
+
+/**
+ * Atom 1.0 document. opts: { baseUrl, feedPath (e.g. "/feeds/new.xml"), title }
+ */
+function atomFeed(events, { baseUrl, feedPath, title }) {
+  const updated = events.length ? events[0].at : new Date(0).toISOString();
+  const entries = events.map((e) => {
+    const link = e.url || `${baseUrl}/`;
+    return [
+      "  <entry>",
+      `    <id>${escapeXml(entryId(e))}</id>`,
+      `    <title>${escapeXml(entryTitle(e))}</title>`,
+      `    <link rel="alternate" href="${escapeXml(link)}" />`,
+      `    <updated>${e.at}</updated>`,
+      `    <published>${e.at}</published>`,
+      `    <summary>${escapeXml(entrySummary(e))}</summary>`,
+      `    <content type="html">${escapeXml(entryHtml(e))}</content>`,
+      e.game ? `    <category term="${escapeXml(e.game)}" />` : null,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(`urn:restock-feed:${feedPath}`)}</id>`,
+    `  <title>${escapeXml(`${FEED_TITLE} – ${title}`)}</title>`,
+    `  <link rel="self" href="${escapeXml(baseUrl + feedPath)}" />`,
+    `  <link rel="alternate" href="${escapeXml(baseUrl + "/")}" />`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(FEED_TITLE)}</name></author>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * JSON Feed 1.1 object, same entries as the Atom feed (plus the raw numbers
+ * under _inventory for scripts).
+ */
+function jsonFeed(events, { baseUrl, feedPath, title }) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: `${FEED_TITLE} – ${title}`,
+    home_page_url: `${baseUrl}/`,
+    feed_url: baseUrl + feedPath,
+    items: events.map((e) => {
+      const item = {
+        id: entryId(e),
+        url: e.url || `${baseUrl}/`,
+        title: entryTitle(e),
+        summary: entrySummary(e),
+        content_html: entryHtml(e),
+        date_published: e.at,
+        _inventory: {
+          tcgPlayerId: e.tcgPlayerId,
+          name: e.name,
+          setName: e.setName,
+          game: e.game,
+          yourPrice: e.yourPrice,
+          quantityAdded: e.delta,
+          quantity: e.newQty,
+          isNew: e.isNew,
+        },
+      };
+      if (e.imageUrl) item.image = e.imageUrl;
+      if (e.game) item.tags = [e.game];
+      return item;
+    }),
+  };
+}
+
+module.exports = {
+  FEED_WINDOW_DAYS,
+  FEED_MAX_ENTRIES,
+  restockFeedPathFor,
+  recordRestocks,
+  readFeedEvents,
+  atomFeed,
+  jsonFeed,
+};
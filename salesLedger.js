@@ -0,0 +1,187 @@
+// salesLedger.js
+// Append-only record of what we sold, for how much, and where.
+//
+// One JSON object per line (sales.jsonl next to inventory.json):
+//   { id, at, tcgPlayerId, name, quantity, unitPrice, total, channel,
+//     yourPrice, marketPrice, actor }
+// yourPrice / marketPrice are copied from the item at the time of sale so the
+// actual price can be compared with what we listed it at and what the market was.
+// recordSale appends the entry and takes it back if the inventory save that
+// goes with it fails.
+
+const crypto = require("crypto");
+const path = require("path");
+const { appendJsonLines, truncateJsonLines, readJsonLines, parseDateBound } = require("./jsonLines");
+
+const SALES_LEDGER_FILE = "sales.jsonl";
+const SALE_CHANNELS = ["in-person", "discord", "online"];
+const PERIODS = ["day", "week", "month"];
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 2000;
+
+function salesLedgerPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), SALES_LEDGER_FILE);
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function priceOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+/**
+ * Validates a sale before anything is written. Returns { quantity, unitPrice,
+ * channel } or throws with a message fit for the admin UI.
+ */
+function validateSale({ quantity, unitPrice, channel }) {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) throw new Error("Quantity must be a whole number of at least 1.");
+
+  const price = Number(unitPrice);
+  if (unitPrice === null || unitPrice === undefined || unitPrice === "" || !Number.isFinite(price) || price < 0) {
+    throw new Error("Sale price must be a number of 0 or more.");
+  }
+
+  const ch = String(channel || "").trim().toLowerCase();
+  if (!SALE_CHANNELS.includes(ch)) throw new Error(`Channel must be one of: ${SALE_CHANNELS.join(", ")}.`);
+
+  return { quantity: qty, unitPrice: roundMoney(price), channel: ch };
+}
+
+// item = inventory item as it was just before the sale
+function saleEntry(item, sale, actor) {
+  return {
+    id: crypto.randomBytes(8).toString("hex"),
+    at: new Date().toISOString(),
+    tcgPlayerId: item.tcgPlayerId || null,
+    name: item.name || null,
+    quantity: sale.quantity,
+    unitPrice: sale.unitPrice,
+    total: roundMoney(sale.unitPrice * sale.quantity),
+    channel: sale.channel,
+    yourPrice: priceOrNull(item.yourPrice),
+    marketPrice: priceOrNull(item.marketPrice),
+    actor: actor || null,
+  };
+}
+
+/**
+ * Appends the sale, then runs save() (the inventory write that takes the
+ * stock out). If save() throws, the entry is removed again and the error
+ * rethrown, so the ledger and the stock count never disagree.
+ * Returns { entry, saved } with save()'s result.
+ */
+function recordSale(ledgerPath, item, sale, actor, save) {
+  const entry = saleEntry(item, sale, actor);
+  const offset = appendJsonLines(ledgerPath, [entry]);
+  try {
+    return { entry, saved: save() };
+  } catch (err) {
+    truncateJsonLines(ledgerPath, offset);
+    throw err;
+  }
+}
+
+// Oldest first, filtered by from/to (ISO or YYYY-MM-DD, inclusive UTC days) and channel
+function filterSales(ledgerPath, filters = {}) {
+  const from = parseDateBound(filters.from, false);
+  const to = parseDateBound(filters.to, true);
+  const channel = String(filters.channel || "").trim().toLowerCase();
+
+  return readJsonLines(ledgerPath).filter((s) => {
+    if (channel && s.channel !== channel) return false;
+    const t = Date.parse(s.at);
+    if (Number.isNaN(t)) return false;
+    if (from !== null && t < from) return false;
+    if (to !== null && t > to) return false;
+    return true;
+  });
+}
+
+// Newest-first sales: { total, sales }
+function readSales(ledgerPath, filters = {}) {
+  let limit = Number(filters.limit);
+  if (!Number.isFinite(limit) || limit <= 0) limit = DEFAULT_LIMIT;
+  limit = Math.min(MAX_LIMIT, Math.trunc(limit));
+
+  const matches = filterSales(ledgerPath, filters).reverse();
+  return { total: matches.length, sales: matches.slice(0, limit) };
+}
+
+// UTC bucket key: day = YYYY-MM-DD, week = Monday's YYYY-MM-DD, month = YYYY-MM
+function periodKey(iso, period) {
+  const d = new Date(iso);
+  if (period === "month") return d.toISOString().slice(0, 7);
+  if (period === "week") {
+    const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { sales: 0, units: 0, revenue: 0, listValue: 0, marketValue: 0, comparedUnits: 0, revenueCompared: 0 };
+}
+
+function addSale(totals, s) {
+  totals.sales += 1;
+  totals.units += s.quantity;
+  totals.revenue += s.total;
+
+  // Only sales with both reference prices count towards the comparison, so a
+  // missing price doesn't look like a huge discount.
+  if (s.yourPrice !== null && s.marketPrice !== null) {
+    totals.comparedUnits += s.quantity;
+    totals.revenueCompared += s.total;
+    totals.listValue += s.yourPrice * s.quantity;
+    totals.marketValue += s.marketPrice * s.quantity;
+  }
+}
+
+function finishTotals(t) {
+  return {
+    sales: t.sales,
+    units: t.units,
+    revenue: roundMoney(t.revenue),
+    listValue: roundMoney(t.listValue),
+    marketValue: roundMoney(t.marketValue),
+    // Actual vs reference, over the sales that had both prices recorded
+    vsList: roundMoney(t.revenueCompared - t.listValue),
+    vsMarket: roundMoney(t.revenueCompared - t.marketValue),
+  };
+}
+
+/**
+ * Revenue per day / week / month (newest first) plus overall totals.
+ * filters: from, to, channel
+ */
+function summarizeSales(ledgerPath, period = "day", filters = {}) {
+  const p = PERIODS.includes(period) ? period : "day";
+  const buckets = new Map();
+  const overall = emptyTotals();
+
+  for (const s of filterSales(ledgerPath, filters)) {
+    const key = periodKey(s.at, p);
+    if (!buckets.has(key)) buckets.set(key, emptyTotals());
+    addSale(buckets.get(key), s);
+    addSale(overall, s);
+  }
+
+  const rows = Array.from(buckets.entries())
+    .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+    .map(([key, t]) => ({ period: key, ...finishTotals(t) }));
+
+  return { period: p, rows, totals: finishTotals(overall) };
+}
+
+module.exports = {
+  SALE_CHANNELS,
+  PERIODS,
+  salesLedgerPathFor,
+  validateSale,
+  recordSale,
+  readSales,
+  summarizeSales,
+};
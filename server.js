@@ -5,96 +5,562 @@
 require("dotenv").config();
 const express = require("express");
 const path = require("path");
+const cron = require("node-cron");
 
 const {
   loadInventoryItems,
+  loadInventoryView,
   saveInventoryItems,
+  findInventoryItem,
   normalizeItems,
+  normalizeItem,
+  normalizeLot,
+  readInventoryFile,
+  writeInventoryFile,
+  itemFieldChanges,
+  inventoryVersion,
+  loadInventoryAtVersion,
+  listInventoryBackups,
+  readInventoryBackup,
+  diffInventoryItems,
+  itemKey,
 } = require("./inventoryStore");
+const { auditLogPathFor, readAuditEntries } = require("./auditLog");
+const adminAuth = require("./adminAuth");
+const loginThrottle = require("./loginThrottle");
+const { parseInventoryQuery, queryInventory } = require("./inventoryQuery");
+const { priceHistoryPathFor, readPriceHistory, appendPricePoints } = require("./priceHistory");
+const holds = require("./holds");
+const salesLedger = require("./salesLedger");
+const { marginReport } = require("./costBasis");
+const { MERGE_FIELDS, reconcileSave, findItemConflict } = require("./inventoryConflicts");
+const itemFields = require("./itemFields");
+const notificationQueue = require("./notificationQueue");
+const { restockMessages, stockAlertMessages, lowStockDigestMessages } = require("./discordEmbeds");
+const stockAlerts = require("./stockAlerts");
+const webhookSubscriptions = require("./webhookSubscriptions");
+const restockFeed = require("./restockFeed");
+const { createInventoryStream } = require("./inventoryStream");
+const pricingRules = require("./pricingRules");
+const priceReviews = require("./priceReviews");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 const DISCORD_STOCK_WEBHOOK = process.env.DISCORD_STOCK_WEBHOOK;
+const DISCORD_SECURITY_WEBHOOK = process.env.DISCORD_SECURITY_WEBHOOK;
+const DISCORD_HOLDS_WEBHOOK = process.env.DISCORD_HOLDS_WEBHOOK;
+const DISCORD_LOW_STOCK_WEBHOOK = process.env.DISCORD_LOW_STOCK_WEBHOOK;
+
+// When the low-stock digest goes out (server time)
+const LOW_STOCK_DIGEST_CRON = process.env.LOW_STOCK_DIGEST_CRON || "0 9 * * *";
+
+// How often overdue holds are expired (holds.js)
+const HOLD_EXPIRY_CRON = process.env.HOLD_EXPIRY_CRON || "* * * * *";
 
 const INVENTORY_PATH = path.join(__dirname, "inventory.json");
+const HOLDS_PATH = holds.holdsPathFor(INVENTORY_PATH);
+const SALES_PATH = salesLedger.salesLedgerPathFor(INVENTORY_PATH);
+const NOTIFICATIONS_PATH = notificationQueue.notificationQueuePathFor(INVENTORY_PATH);
+const WEBHOOKS_PATH = webhookSubscriptions.webhooksPathFor(INVENTORY_PATH);
+const RESTOCK_FEED_PATH = restockFeed.restockFeedPathFor(INVENTORY_PATH);
+const PRICE_REVIEWS_PATH = priceReviews.priceReviewsPathFor(INVENTORY_PATH);
+
+// Absolute links in the feeds. Without it they come from the request's Host
+// header, so those responses aren't cached (a forged Host can't poison a cache).
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// Open hold requests one IP may have waiting at once (storefront spam guard)
+const MAX_PENDING_HOLDS_PER_IP = 5;
+
+// Behind a reverse proxy (Render, nginx) set TRUST_PROXY (e.g. 1) so req.ip is
+// the client's address and per-IP login throttling works.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isFinite(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 app.use(express.json());
 
+// A broken pricingRules.json stops startup rather than the next price update
+pricingRules.getPricingRules();
+
 // ---------- Helpers ----------
-function sendDiscordMessage(webhookUrl, content) {
-  if (!webhookUrl || !content) return;
-  if (typeof fetch !== "function") return;
+const notificationWorker = notificationQueue.startNotificationWorker(NOTIFICATIONS_PATH);
 
-  fetch(webhookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ content }),
-  })
-    .then((res) => {
-      if (!res.ok) console.error("Discord webhook failed with status", res.status);
-    })
-    .catch((err) => console.error("Discord webhook error:", err.message || err));
+// Queued (persisted) and sent by the worker, with retries. kind labels it in
+// the admin notifications view.
+function sendDiscordPayloads(webhookUrl, payloads, kind = "discord") {
+  if (!webhookUrl || !payloads.length) return;
+  const queued = payloads.map((payload) =>
+    notificationQueue.enqueueNotification(NOTIFICATIONS_PATH, { kind, url: webhookUrl, payload })
+  );
+  Promise.all(queued)
+    .then(() => notificationWorker.kick())
+    .catch((err) => console.error("Failed to queue Discord message:", err.message || err));
 }
 
-function requireAdmin(req, res, next) {
-  if (!ADMIN_PASSWORD) {
-    console.warn("ADMIN_PASSWORD not set; blocking admin access.");
-    return res.status(500).send("Admin not configured.");
+// Plain-text alerts carry visitor input (hold names/contacts, login usernames):
+// allowed_mentions stops them from pinging @everyone, @here, roles or users.
+function sendDiscordMessage(webhookUrl, content, kind) {
+  if (content) sendDiscordPayloads(webhookUrl, [{ content, allowed_mentions: { parse: [] } }], kind);
+}
+
+// Lockouts are logged and sent to DISCORD_SECURITY_WEBHOOK (if set)
+function announceLockouts(lockouts, req, username) {
+  for (const l of lockouts) {
+    const who = l.kind === "ip" ? `IP ${l.key}` : `account "${l.key}"`;
+    const msg = `🔒 Admin login locked out for ${who} until ${l.until} after repeated failures (last try: user "${
+      username || "?"
+    }" from ${req.ip}).`;
+    console.warn(msg);
+    sendDiscordMessage(DISCORD_SECURITY_WEBHOOK, msg, "security");
   }
+}
 
-  const authHeader = req.headers["authorization"];
-  if (!authHeader || !authHeader.startsWith("Basic ")) {
-    res.setHeader("WWW-Authenticate", 'Basic realm="Admin Area"');
-    return res.status(401).send("Authentication required.");
+// Password check with throttling (loginThrottle.js: exponential backoff, then
+// lockouts per IP and per account): { user } on success, { retryAfterMs } when
+// this IP/account must wait, {} for a wrong username/password.
+function checkAdminPassword(req, username, password) {
+  const gate = loginThrottle.checkLoginAllowed(req.ip, username);
+  if (!gate.allowed) return { retryAfterMs: gate.retryAfterMs, lockedOut: gate.lockedOut };
+
+  const user = adminAuth.authenticate(username, password);
+  if (!user) {
+    announceLockouts(loginThrottle.recordLoginFailure(req.ip, username), req, username);
+    return {};
   }
 
-  const base64Part = authHeader.split(" ")[1];
+  loginThrottle.recordLoginSuccess(username);
+  return { user };
+}
+
+function sendThrottled(res, result) {
+  res.setHeader("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+  return res.status(429).json({
+    error: result.lockedOut
+      ? "Too many failed logins – temporarily locked. Try again later."
+      : "Too many failed logins – slow down.",
+    retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000),
+  });
+}
+
+// Who is making this request: session cookie first, then HTTP Basic (scripts).
+// Returns { admin } or { retryAfterMs } (throttled) or {} (not signed in).
+function authenticateAdmin(req) {
+  const session = adminAuth.getSession(adminAuth.getSessionToken(req));
+  if (session) return { admin: { username: session.username, role: session.role, via: "session" } };
+
+  const authHeader = req.headers["authorization"];
+  if (!authHeader || !authHeader.startsWith("Basic ")) return {};
+
+  const base64Part = authHeader.split(" ")[1] || "";
   const decoded = Buffer.from(base64Part, "base64").toString("utf8"); // "user:pass"
   const idx = decoded.indexOf(":");
-  const pass = idx >= 0 ? decoded.slice(idx + 1) : "";
+  if (idx < 0) return {};
 
-  if (pass !== ADMIN_PASSWORD) return res.status(403).send("Forbidden");
+  const result = checkAdminPassword(req, decoded.slice(0, idx), decoded.slice(idx + 1));
+  if (!result.user) return result;
+  return { admin: { username: result.user.username, role: result.user.role, via: "basic" } };
+}
+
+function requireAdmin(req, res, next) {
+  const result = authenticateAdmin(req);
+  if (result.retryAfterMs) return sendThrottled(res, result);
+  if (!result.admin) {
+    if (req.headers["authorization"]) res.setHeader("WWW-Authenticate", 'Basic realm="Admin Area"');
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  req.adminUser = result.admin;
+  next();
+}
+
+// Pages redirect to the login form instead of answering 401
+function requireAdminPage(req, res, next) {
+  const result = authenticateAdmin(req);
+  if (result.retryAfterMs) return sendThrottled(res, result);
+  if (!result.admin) return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  req.adminUser = result.admin;
   next();
 }
 
+// Roles (clerk / pricer / owner, adminAuth.js) are checked on every inventory write
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!adminAuth.hasPermission(req.adminUser, permission)) {
+      return res.status(403).json({ error: `Your role can't do that (needs "${permission}")` });
+    }
+    next();
+  };
+}
+
+// Which permission a change to each item field needs (anything else: "catalog")
+const FIELD_PERMISSIONS = {
+  quantity: "quantity",
+  pricingPercent: "pricing",
+  yourPrice: "pricing",
+  marketPrice: "pricing",
+  lots: "pricing",
+  pricingRule: "pricing",
+  maxPriceChangePercent: "pricing",
+  lockedPrice: "pricing",
+  priceLockedUntil: "pricing",
+  lowStockThreshold: "quantity",
+};
+
+// Every change between two item lists the current admin's role isn't allowed to make.
+function findForbiddenChanges(adminUser, beforeItems, afterItems) {
+  const denied = [];
+  for (const change of itemFieldChanges(beforeItems, afterItems)) {
+    const label = { tcgPlayerId: change.tcgPlayerId, name: change.name };
+
+    if (change.action === "created" && !adminAuth.hasPermission(adminUser, "catalog")) {
+      denied.push({ ...label, action: "create", needs: "catalog" });
+    } else if (change.action === "deleted" && !adminAuth.hasPermission(adminUser, "delete")) {
+      denied.push({ ...label, action: "delete", needs: "delete" });
+    } else if (change.action === "updated") {
+      for (const field of Object.keys(change.changes)) {
+        const needs = FIELD_PERMISSIONS[field] || "catalog";
+        if (!adminAuth.hasPermission(adminUser, needs)) denied.push({ ...label, action: "update", field, needs });
+      }
+    }
+  }
+  return denied;
+}
+
+// Sends a 403 and returns true when the write includes changes the role can't make.
+function rejectForbiddenChanges(req, res, beforeItems, afterItems) {
+  const denied = findForbiddenChanges(req.adminUser, beforeItems, afterItems);
+  if (denied.length === 0) return false;
+
+  res.status(403).json({
+    error: `Your role (${req.adminUser.role || "unknown"}) can't make some of these changes`,
+    denied,
+  });
+  return true;
+}
+
+// Options for saveInventoryItems so the audit log knows who made the change
+function auditFrom(req, source = "admin") {
+  return { source, actor: req.adminUser ? req.adminUser.username : null };
+}
+
+function parseQuantityInput(qtyRaw) {
+  if (qtyRaw === "" || qtyRaw === null || qtyRaw === undefined) return 0;
+  const n = Number(qtyRaw);
+  return Number.isFinite(n) ? Math.max(0, Math.trunc(n)) : 0;
+}
+
+// Normalize game text a bit
+function parseGameInput(gameRaw) {
+  const g = String(gameRaw || "").trim().toLowerCase();
+  if (g === "pokemon" || g === "pokémon" || g === "poke") return "pokemon";
+  if (g === "magic" || g === "mtg" || g === "magic: the gathering") return "mtg";
+  if (g === "other" || g === "misc") return "other";
+  return g || null;
+}
+
+function buildNewItem(tcgId, fields = {}) {
+  return {
+    ...fields,
+    name: fields.name || "Unnamed product",
+    tcgPlayerId: tcgId || null,
+    quantity: parseQuantityInput(fields.quantity),
+    game: parseGameInput(fields.game),
+    tcgPlayerUrl: fields.tcgPlayerUrl || (tcgId ? `https://www.tcgplayer.com/product/${tcgId}` : null),
+    imageUrl:
+      fields.imageUrl || (tcgId ? `https://product-images.tcgplayer.com/fit-in/437x437/${tcgId}.jpg` : null),
+  };
+}
+
+// Fields a stale save / per-item write is checked and merged on
+const CONFLICT_FIELDS = [...MERGE_FIELDS, ...itemFields.customFieldNames()];
+
+// Turn one row of an admin save into { name, tcgPlayerId, quantity, game, pricingPercent,
+// lowStockThreshold, maxPriceChangePercent, lockedPrice, priceLockedUntil, ...custom
+// fields }. Those optional ones
+// stay undefined when the row doesn't send them (= keep the current value);
+// null means "use the default" / clear.
+// Custom values must have passed itemFields.validateCustomFields first.
+function parseSaveRow(row) {
+  const nameRaw = row.name || "";
+  const idRaw = row.tcgPlayerId || "";
+
+  const parsed = {
+    name: typeof nameRaw === "string" ? nameRaw.trim() : String(nameRaw || "").trim(),
+    tcgPlayerId: typeof idRaw === "string" ? idRaw.trim() : String(idRaw || "").trim(),
+    quantity: parseQuantityInput(row.quantity),
+    game: parseGameInput(row.game),
+  };
+  if (row.pricingPercent !== undefined) {
+    parsed.pricingPercent = normalizeItem({ pricingPercent: row.pricingPercent }).pricingPercent ?? null;
+  }
+  if (row.lowStockThreshold !== undefined) {
+    parsed.lowStockThreshold = normalizeItem({ lowStockThreshold: row.lowStockThreshold }).lowStockThreshold ?? null;
+  }
+  if (row.maxPriceChangePercent !== undefined) {
+    parsed.maxPriceChangePercent =
+      normalizeItem({ maxPriceChangePercent: row.maxPriceChangePercent }).maxPriceChangePercent ?? null;
+  }
+  if (row.lockedPrice !== undefined) {
+    const lock = normalizeItem({ lockedPrice: row.lockedPrice, priceLockedUntil: row.priceLockedUntil });
+    parsed.lockedPrice = lock.lockedPrice ?? null;
+    parsed.priceLockedUntil = lock.priceLockedUntil ?? null;
+  }
+  for (const field of itemFields.getItemFields()) {
+    if (row[field.name] === undefined) continue;
+    parsed[field.name] = itemFields.checkFieldValue(field, row[field.name]).value ?? null;
+  }
+  return parsed;
+}
+
+// Version the client based its edit on (If-Match), or null if it didn't say.
+function getIfMatchVersion(req) {
+  const raw = req.headers["if-match"];
+  if (!raw || raw.trim() === "*") return null;
+  return raw.trim().replace(/^W\//, "").replace(/^"|"$/g, "");
+}
+
+function setVersionHeader(res, version) {
+  res.setHeader("ETag", `"${version}"`);
+}
+
+function findItemIndex(items, tcgPlayerId) {
+  const id = String(tcgPlayerId || "").trim();
+  if (!id) return -1;
+  return items.findIndex((it) => it && String(it.tcgPlayerId || "") === id);
+}
+
+// Fields customers never see: what we paid, alert settings, how we priced,
+// plus private custom fields
+const PRIVATE_ITEM_KEYS = [
+  "lots",
+  "lowStockThreshold",
+  "pricingRule",
+  "maxPriceChangePercent",
+  "lockedPrice",
+  "priceLockedUntil",
+  ...itemFields.privateFieldNames(),
+];
+
+function publicItem(item) {
+  const out = { ...item };
+  for (const k of PRIVATE_ITEM_KEYS) delete out[k];
+  return out;
+}
+
+// Public view of items, with approved holds subtracted from quantity (what
+// customers can still buy)
+function publicStockItems(items) {
+  const reserved = holds.reservedQuantities(HOLDS_PATH);
+  return items.map((i) => {
+    const held = reserved.get(String(i.tcgPlayerId || "")) || 0;
+    return { ...publicItem(i), quantity: Math.max(0, (i.quantity ?? 0) - held) };
+  });
+}
+
+// Live storefront updates; refreshed after every write below
+const inventoryStream = createInventoryStream(() => publicStockItems(loadInventoryView(INVENTORY_PATH).items));
+
+// Discord restock alert (ANY increases)
+// One embed per restocked product, grouped by game (discordEmbeds.js); the
+// same restocks go into the public feeds (isNew = item created by this save).
+function announceRestocks(restocks) {
+  if (!restocks.length) return;
+  try {
+    restockFeed.recordRestocks(RESTOCK_FEED_PATH, restocks);
+  } catch (err) {
+    console.error("Failed to record restocks for the feeds:", err.message || err);
+  }
+  if (DISCORD_STOCK_WEBHOOK) sendDiscordPayloads(DISCORD_STOCK_WEBHOOK, restockMessages(restocks), "stock");
+}
+
+// Available stock per item (quantity minus approved holds), for stockAlerts.js
+function stockSnapshot(items) {
+  return stockAlerts.availableStock(items, holds.reservedQuantities(HOLDS_PATH));
+}
+
+// After any inventory (or hold) change: the live storefront stream, the
+// low-stock / sold-out alert for items that crossed their threshold, and the
+// events for admin-managed webhooks. before is the stockSnapshot taken before the write.
+function announceInventoryChanges(before, afterItems, source) {
+  inventoryStream.refresh();
+  try {
+    const after = stockSnapshot(afterItems);
+    if (DISCORD_LOW_STOCK_WEBHOOK) {
+      const drops = stockAlerts.stockDrops(before, after);
+      sendDiscordPayloads(DISCORD_LOW_STOCK_WEBHOOK, stockAlertMessages(drops), "low-stock");
+    }
+    webhookSubscriptions
+      .enqueueInventoryEvents(WEBHOOKS_PATH, NOTIFICATIONS_PATH, before, after, { source })
+      .then((queued) => queued && notificationWorker.kick())
+      .catch((err) => console.error("Failed to queue webhook events:", err.message || err));
+  } catch (err) {
+    console.error("Failed to queue inventory alerts:", err.message || err);
+  }
+}
+
+function summarizeRestocks(restocks) {
+  return restocks.map((r) => ({
+    name: r.item.name,
+    tcgPlayerId: r.item.tcgPlayerId,
+    delta: r.delta,
+    newQty: r.newQty,
+    oldQty: r.oldQty,
+  }));
+}
+
 // ---------- Routes ----------
 
 // Protect /admin.html explicitly BEFORE static middleware
-app.get("/admin.html", requireAdmin, (req, res) => {
+app.get("/admin.html", requireAdminPage, (req, res) => {
   res.sendFile(path.join(__dirname, "public", "admin.html"));
 });
 
+// ---------- Admin sessions ----------
+
+app.post("/api/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const result = checkAdminPassword(req, username, password);
+  if (result.retryAfterMs) return sendThrottled(res, result);
+  if (!result.user) return res.status(401).json({ error: "Invalid username or password" });
+
+  const { user } = result;
+  const { token, expiresAt } = adminAuth.createSession(user.username);
+  res.setHeader(
+    "Set-Cookie",
+    adminAuth.sessionCookie(token, { secure: req.secure, maxAgeMs: adminAuth.SESSION_TTL_MS })
+  );
+  res.json({ ok: true, username: user.username, expiresAt });
+});
+
+app.post("/api/logout", (req, res) => {
+  adminAuth.destroySession(adminAuth.getSessionToken(req));
+  res.setHeader("Set-Cookie", adminAuth.sessionCookie("", { secure: req.secure, maxAgeMs: 0 }));
+  res.json({ ok: true });
+});
+
+app.get("/api/me", requireAdmin, (req, res) => {
+  res.json({
+    username: req.adminUser.username,
+    role: req.adminUser.role,
+    permissions: adminAuth.permissionsFor(req.adminUser.role),
+  });
+});
+
+// ---------- Admin accounts (owners) ----------
+
+app.get("/api/users", requireAdmin, requirePermission("users"), (req, res) => {
+  res.json({ roles: adminAuth.ROLES, users: adminAuth.listUsers() });
+});
+
+app.post("/api/users", requireAdmin, requirePermission("users"), (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    res.status(201).json(adminAuth.createUser(username, password, role));
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+// { role } and/or { password }
+app.patch("/api/users/:username", requireAdmin, requirePermission("users"), (req, res) => {
+  const { role, password } = req.body || {};
+  const isSelf = req.params.username.toLowerCase() === req.adminUser.username;
+  if (role !== undefined && isSelf && role !== req.adminUser.role) {
+    return res.status(400).json({ error: "You can't change your own role" });
+  }
+
+  try {
+    let user = null;
+    if (role !== undefined) user = adminAuth.setRole(req.params.username, role);
+    if (password !== undefined) user = adminAuth.setPassword(req.params.username, password);
+    if (!user) return res.status(400).json({ error: "Nothing to update" });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+app.delete("/api/users/:username", requireAdmin, requirePermission("users"), (req, res) => {
+  if (req.params.username.toLowerCase() === req.adminUser.username) {
+    return res.status(400).json({ error: "You can't remove your own account" });
+  }
+  try {
+    adminAuth.removeUser(req.params.username);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message || String(err) });
+  }
+});
+
 // Static frontend
 app.use(express.static(path.join(__dirname, "public")));
 
-// Public inventory (only qty > 0)
+// Public in-stock inventory. Optional filters/sort/paging (see inventoryQuery.js).
+// Without limit/offset the response is the plain array main.js and
+// pullInventory.js expect; with them it's { total, offset, limit, items }.
+// X-Total-Count always carries the number of matches.
 app.get("/api/inventory", (req, res) => {
-  const inv = loadInventoryItems(INVENTORY_PATH);
+  const parsed = parseInventoryQuery(req.query);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { filters } = parsed;
+
+  const inStock = publicStockItems(loadInventoryView(INVENTORY_PATH).items).filter((i) => i.quantity > 0);
+  const { total, items } = queryInventory(inStock, filters);
 
-  const filtered = inv.filter((i) => (i.quantity ?? 0) > 0);
+  res.setHeader("X-Total-Count", String(total));
+  if (!filters.paged) return res.json(items);
+  res.json({ total, offset: filters.offset, limit: filters.limit, items });
+});
 
-  filtered.sort((a, b) => {
-    const setA = (a.setName || "").toLowerCase();
-    const setB = (b.setName || "").toLowerCase();
-    if (setA < setB) return -1;
-    if (setA > setB) return 1;
+// Public live updates (Server-Sent Events) – see inventoryStream.js
+app.get("/api/inventory/stream", (req, res) => {
+  inventoryStream.handle(req, res);
+});
 
-    const nameA = (a.name || "").toLowerCase();
-    const nameB = (b.name || "").toLowerCase();
-    if (nameA < nameB) return -1;
-    if (nameA > nameB) return 1;
-    return 0;
-  });
+// Public price history for one product (points oldest first; ?days= limits the range)
+app.get("/api/inventory/:tcgPlayerId/history", (req, res) => {
+  const id = String(req.params.tcgPlayerId || "").trim();
+  const points = readPriceHistory(priceHistoryPathFor(INVENTORY_PATH), id, { days: req.query.days });
+  const item = findInventoryItem(INVENTORY_PATH, id);
 
-  res.json(filtered);
+  if (!item && points.length === 0) return res.status(404).json({ error: "Item not found" });
+  res.json({ tcgPlayerId: id, name: item ? item.name : null, points });
 });
 
-// Admin raw inventory
+// ---------- Feeds ----------
+
+// Atom (.xml) and JSON Feed (.json) of recent restocks / new arrivals
+const FEEDS = {
+  restocks: { title: "Restocks", newOnly: false },
+  new: { title: "New arrivals", newOnly: true },
+};
+
+function feedBaseUrl(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+app.get("/feeds/:feed.:format(xml|json)", (req, res) => {
+  const feed = FEEDS[req.params.feed];
+  if (!feed) return res.status(404).json({ error: "Feed not found" });
+
+  const events = restockFeed.readFeedEvents(RESTOCK_FEED_PATH, { newOnly: feed.newOnly });
+  const opts = { baseUrl: feedBaseUrl(req), feedPath: req.path, title: feed.title };
+
+  res.setHeader("Cache-Control", PUBLIC_BASE_URL ? "public, max-age=300" : "no-store");
+  if (req.params.format === "json") {
+    res.type("application/feed+json").send(JSON.stringify(restockFeed.jsonFeed(events, opts), null, 2));
+  } else {
+    res.type("application/atom+xml").send(restockFeed.atomFeed(events, opts));
+  }
+});
+
+// Admin raw inventory (ETag = version to send back with If-Match on save)
 app.get("/api/raw-inventory", requireAdmin, (req, res) => {
-  const inv = loadInventoryItems(INVENTORY_PATH);
-  res.json(inv);
+  const { meta, items } = readInventoryFile(INVENTORY_PATH);
+  setVersionHeader(res, inventoryVersion(meta));
+  res.json(items);
 });
 
 // Admin save inventory + Discord restock alert
@@ -105,7 +571,34 @@ app.post("/api/inventory", requireAdmin, (req, res) => {
     return res.status(400).json({ error: "Expected an array of items" });
   }
 
-  const oldInventory = loadInventoryItems(INVENTORY_PATH);
+  const fieldErrors = payload.filter(Boolean).flatMap((row) => itemFields.validateCustomFields(row));
+  if (fieldErrors.length > 0) {
+    return res.status(400).json({ error: Array.from(new Set(fieldErrors)).join(" ") });
+  }
+
+  const { meta, items: oldInventory } = readInventoryFile(INVENTORY_PATH);
+  const currentVersion = inventoryVersion(meta);
+
+  let rows = payload.filter(Boolean).map(parseSaveRow);
+
+  // Stale save: merge in what changed on the server since the client loaded,
+  // and refuse if both sides changed the same thing.
+  const baseVersion = getIfMatchVersion(req);
+  if (baseVersion && baseVersion !== currentVersion) {
+    const baseItems = loadInventoryAtVersion(INVENTORY_PATH, baseVersion);
+    const result = reconcileSave({ baseItems, currentItems: oldInventory, rows, fields: CONFLICT_FIELDS });
+
+    if (result.conflicts.length > 0) {
+      setVersionHeader(res, currentVersion);
+      return res.status(409).json({
+        error: "Inventory changed since you loaded it",
+        currentVersion,
+        conflicts: result.conflicts,
+        items: result.rows,
+      });
+    }
+    rows = result.rows.map(parseSaveRow);
+  }
 
   // Index old inventory
   const existingById = new Map();
@@ -118,34 +611,21 @@ app.post("/api/inventory", requireAdmin, (req, res) => {
   }
 
   const nextInventory = [];
-  const restocks = []; // { item, delta, newQty, oldQty }
-
-  for (const row of payload) {
-    if (!row) continue;
-
-    const nameRaw = row.name || "";
-    const idRaw = row.tcgPlayerId || "";
-    const qtyRaw = row.quantity;
-    const gameRaw = (row.game || "").trim().toLowerCase();
-
-    const name = typeof nameRaw === "string" ? nameRaw.trim() : String(nameRaw || "").trim();
-    const tcgId = typeof idRaw === "string" ? idRaw.trim() : String(idRaw || "").trim();
-
-    let quantity = 0;
-    if (qtyRaw === "" || qtyRaw === null || qtyRaw === undefined) {
-      quantity = 0;
-    } else {
-      const n = Number(qtyRaw);
-      quantity = Number.isFinite(n) ? Math.max(0, Math.trunc(n)) : 0;
-    }
-
-    // Normalize game text a bit
-    let game = null;
-    if (gameRaw === "pokemon" || gameRaw === "pokémon" || gameRaw === "poke") game = "pokemon";
-    else if (gameRaw === "magic" || gameRaw === "mtg" || gameRaw === "magic: the gathering") game = "mtg";
-    else if (gameRaw === "other" || gameRaw === "misc") game = "other";
-    else if (gameRaw) game = gameRaw;
+  const restocks = []; // { item, delta, newQty, oldQty, isNew? }
 
+  for (const row of rows) {
+    const {
+      name,
+      tcgPlayerId: tcgId,
+      quantity,
+      game,
+      pricingPercent,
+      lowStockThreshold,
+      maxPriceChangePercent,
+      lockedPrice,
+      priceLockedUntil,
+      ...custom
+    } = row;
     // Skip rows that are effectively empty
     if (!name && !tcgId) continue;
 
@@ -160,12 +640,17 @@ app.post("/api/inventory", requireAdmin, (req, res) => {
 
       const updated = {
         ...existing,
+        ...custom,
         name: name || existing.name,
         tcgPlayerId: tcgId || existing.tcgPlayerId,
         quantity: newQty,
         game: game !== null ? game : existing.game || null,
-        // NOTE: leave other fields intact (pricingPercent, prices, urls, etc.)
+        // NOTE: leave other fields intact (prices, urls, etc.)
       };
+      if (pricingPercent !== undefined) updated.pricingPercent = pricingPercent;
+      if (lowStockThreshold !== undefined) updated.lowStockThreshold = lowStockThreshold;
+      if (maxPriceChangePercent !== undefined) updated.maxPriceChangePercent = maxPriceChangePercent;
+      if (lockedPrice !== undefined) Object.assign(updated, { lockedPrice, priceLockedUntil });
 
       nextInventory.push(updated);
 
@@ -174,22 +659,22 @@ app.post("/api/inventory", requireAdmin, (req, res) => {
         restocks.push({ item: updated, delta, newQty, oldQty });
       }
     } else {
-      const created = {
-        name: name || "Unnamed product",
-        tcgPlayerId: tcgId || null,
+      const created = buildNewItem(tcgId, {
+        ...custom,
+        name,
         quantity,
-        game: game || null,
-        marketPrice: null,
-        yourPrice: null,
-        lastUpdated: null,
-        tcgPlayerUrl: tcgId ? `https://www.tcgplayer.com/product/${tcgId}` : null,
-        imageUrl: tcgId ? `https://product-images.tcgplayer.com/fit-in/437x437/${tcgId}.jpg` : null,
-      };
+        game,
+        pricingPercent,
+        lowStockThreshold,
+        maxPriceChangePercent,
+        lockedPrice,
+        priceLockedUntil,
+      });
 
       nextInventory.push(created);
 
       if (quantity > 0) {
-        restocks.push({ item: created, delta: quantity, newQty: quantity, oldQty: 0 });
+        restocks.push({ item: created, delta: quantity, newQty: quantity, oldQty: 0, isNew: true });
       }
     }
   }
@@ -197,42 +682,670 @@ app.post("/api/inventory", requireAdmin, (req, res) => {
   // Enforce schema + normalize
   const normalizedNext = normalizeItems(nextInventory);
 
+  if (rejectForbiddenChanges(req, res, oldInventory, normalizedNext)) return;
+
+  let saved;
+  try {
+    saved = saveInventoryItems(INVENTORY_PATH, normalizedNext, auditFrom(req));
+  } catch (err) {
+    console.error("Failed to save inventory:", err.message || err);
+    return res.status(500).json({ error: "Failed to save inventory" });
+  }
+
+  announceRestocks(restocks);
+  announceInventoryChanges(stockSnapshot(oldInventory), normalizedNext, "admin");
+
+  const version = inventoryVersion(saved);
+  setVersionHeader(res, version);
+  res.json({
+    ok: true,
+    version,
+    totalItems: normalizedNext.length,
+    restocks: summarizeRestocks(restocks),
+  });
+});
+
+// ---------- Per-item admin routes ----------
+
+// Custom field definitions (itemFields.json) for the admin table
+app.get("/api/item-fields", requireAdmin, (req, res) => {
+  res.json({ fields: itemFields.describeItemFields() });
+});
+
+// Admin single item (any quantity)
+app.get("/api/inventory/:tcgPlayerId", requireAdmin, (req, res) => {
+  const { meta, items: inv } = readInventoryFile(INVENTORY_PATH);
+  const idx = findItemIndex(inv, req.params.tcgPlayerId);
+  if (idx < 0) return res.status(404).json({ error: "Item not found" });
+  setVersionHeader(res, inventoryVersion(meta));
+  res.json(inv[idx]);
+});
+
+// If-Match on a per-item write: only refuse when this item changed since then.
+// submitted is the request body (null for a delete).
+// Sends the 409 and returns true when the write must not go ahead.
+function rejectStaleItemWrite(req, res, meta, inv, tcgPlayerId, submitted = null) {
+  const baseVersion = getIfMatchVersion(req);
+  const currentVersion = inventoryVersion(meta);
+  if (!baseVersion || baseVersion === currentVersion) return false;
+
+  const conflict = findItemConflict({
+    baseItems: loadInventoryAtVersion(INVENTORY_PATH, baseVersion),
+    currentItems: inv,
+    tcgPlayerId,
+    submitted,
+    fields: CONFLICT_FIELDS,
+  });
+  if (!conflict) return false;
+
+  setVersionHeader(res, currentVersion);
+  res.status(409).json({
+    error: "Item changed since you loaded it",
+    currentVersion,
+    conflicts: [conflict],
+  });
+  return true;
+}
+
+// Shared write path for the per-item routes: build the next item from the
+// existing one (or null), save, and fire the restock / low-stock alerts.
+function writeSingleItem(req, res, buildNext, { expectExisting, createdStatus = 200 } = {}) {
+  const tcgId = String(req.params.tcgPlayerId || "").trim();
+  const body = req.body;
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return res.status(400).json({ error: "Expected an item object" });
+  }
+  if (body.tcgPlayerId !== undefined && String(body.tcgPlayerId).trim() !== tcgId) {
+    return res.status(400).json({ error: "tcgPlayerId in body does not match URL" });
+  }
+  const fieldErrors = itemFields.validateCustomFields(body);
+  if (fieldErrors.length > 0) return res.status(400).json({ error: fieldErrors.join(" ") });
+
+  const { meta, items: inv } = readInventoryFile(INVENTORY_PATH);
+  if (rejectStaleItemWrite(req, res, meta, inv, tcgId, body)) return;
+
+  const idx = findItemIndex(inv, tcgId);
+  const existing = idx >= 0 ? inv[idx] : null;
+
+  if (expectExisting === true && !existing) return res.status(404).json({ error: "Item not found" });
+  if (expectExisting === false && existing) return res.status(409).json({ error: "Item already exists" });
+
+  const next = normalizeItem({ ...buildNext(existing, body), tcgPlayerId: tcgId });
+  if (rejectForbiddenChanges(req, res, existing ? [existing] : [], [next])) return;
+
+  const stockBefore = stockSnapshot(inv);
+  if (idx >= 0) inv[idx] = next;
+  else inv.push(next);
+
+  let saved;
   try {
-    saveInventoryItems(INVENTORY_PATH, normalizedNext);
+    saved = saveInventoryItems(INVENTORY_PATH, inv, auditFrom(req));
   } catch (err) {
     console.error("Failed to save inventory:", err.message || err);
     return res.status(500).json({ error: "Failed to save inventory" });
   }
 
-  // Discord restock alert (ANY increases)
-  if (restocks.length > 0 && DISCORD_STOCK_WEBHOOK) {
-    // Keep it readable and consistent
-    const header = `📦 Stock updated (${restocks.length} item${restocks.length === 1 ? "" : "s"}):\n\n`;
-    const lines = restocks.map(({ item, delta, newQty }) => {
-      const base = item.name || "Unnamed product";
-      const idPart = item.tcgPlayerId ? ` [${item.tcgPlayerId}]` : "";
-      return `• ${base}${idPart} +${delta} (now ${newQty})`;
+  const oldQty = existing ? Number(existing.quantity || 0) : 0;
+  const delta = next.quantity - oldQty;
+  const restocks = delta > 0 ? [{ item: next, delta, newQty: next.quantity, oldQty, isNew: !existing }] : [];
+  announceRestocks(restocks);
+  announceInventoryChanges(stockBefore, inv, "admin");
+
+  const version = inventoryVersion(saved);
+  setVersionHeader(res, version);
+  res.status(existing ? 200 : createdStatus).json({
+    ok: true,
+    version,
+    item: next,
+    restocks: summarizeRestocks(restocks),
+  });
+}
+
+// Create one item
+app.post("/api/inventory/:tcgPlayerId", requireAdmin, (req, res) => {
+  writeSingleItem(req, res, (existing, body) => buildNewItem(req.params.tcgPlayerId.trim(), body), {
+    expectExisting: false,
+    createdStatus: 201,
+  });
+});
+
+// Replace one item (creates it if missing)
+app.put("/api/inventory/:tcgPlayerId", requireAdmin, (req, res) => {
+  writeSingleItem(req, res, (existing, body) => buildNewItem(req.params.tcgPlayerId.trim(), body), {
+    createdStatus: 201,
+  });
+});
+
+// Update some fields of one item
+app.patch("/api/inventory/:tcgPlayerId", requireAdmin, (req, res) => {
+  writeSingleItem(
+    req,
+    res,
+    (existing, body) => {
+      const merged = { ...existing, ...body };
+      if (body.quantity !== undefined) merged.quantity = parseQuantityInput(body.quantity);
+      if (body.game !== undefined) merged.game = parseGameInput(body.game);
+      // A price typed in by hand no longer comes from a pricing rule (a price
+      // lock still wins – inventoryStore puts the locked price back)
+      if (body.yourPrice !== undefined && Number(body.yourPrice) !== existing.yourPrice) {
+        merged.pricingRule = "Set by hand";
+      }
+      return merged;
+    },
+    { expectExisting: true }
+  );
+});
+
+// Remove one item
+app.delete("/api/inventory/:tcgPlayerId", requireAdmin, (req, res) => {
+  const { meta, items: inv } = readInventoryFile(INVENTORY_PATH);
+  if (rejectStaleItemWrite(req, res, meta, inv, req.params.tcgPlayerId)) return;
+
+  const idx = findItemIndex(inv, req.params.tcgPlayerId);
+  if (idx < 0) return res.status(404).json({ error: "Item not found" });
+
+  if (rejectForbiddenChanges(req, res, [inv[idx]], [])) return;
+
+  const stockBefore = stockSnapshot(inv);
+  const [removed] = inv.splice(idx, 1);
+
+  let saved;
+  try {
+    saved = saveInventoryItems(INVENTORY_PATH, inv, auditFrom(req));
+  } catch (err) {
+    console.error("Failed to save inventory:", err.message || err);
+    return res.status(500).json({ error: "Failed to save inventory" });
+  }
+  announceInventoryChanges(stockBefore, inv, "admin");
+
+  const version = inventoryVersion(saved);
+  setVersionHeader(res, version);
+  res.json({ ok: true, version, totalItems: inv.length, removed });
+});
+
+// ---------- Cost basis (admin) ----------
+
+// Add an acquisition lot: { quantity, unitCost, date?, source?, addToStock? }
+// addToStock also raises the item's quantity by the lot size.
+app.post("/api/inventory/:tcgPlayerId/lots", requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const lot = normalizeLot({ date: new Date().toISOString(), ...body });
+  if (!lot) return res.status(400).json({ error: "A lot needs a quantity of at least 1 and a unit cost of 0 or more" });
+
+  writeSingleItem(
+    req,
+    res,
+    (existing) => ({
+      ...existing,
+      lots: [...(existing.lots || []), lot],
+      quantity: body.addToStock ? (existing.quantity ?? 0) + lot.quantity : existing.quantity,
+    }),
+    { expectExisting: true }
+  );
+});
+
+// Remove a lot (by its position in item.lots), e.g. one entered by mistake
+app.delete("/api/inventory/:tcgPlayerId/lots/:index", requireAdmin, (req, res) => {
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0) return res.status(400).json({ error: "Invalid lot index" });
+
+  writeSingleItem(
+    req,
+    res,
+    (existing) => {
+      const lots = (existing.lots || []).slice();
+      lots.splice(index, 1);
+      return { ...existing, lots };
+    },
+    { expectExisting: true }
+  );
+});
+
+// Unrealized margin by game and set for items in stock with lots
+app.get("/api/margins", requireAdmin, requirePermission("pricing"), (req, res) => {
+  res.json(marginReport(loadInventoryItems(INVENTORY_PATH)));
+});
+
+// ---------- Pricing rules (admin) ----------
+
+// The rules (pricingRules.json) and what they'd give every item at its current
+// market price without its own pricingPercent or price lock, keyed by itemKey –
+// the admin page's Pricing % placeholders
+app.get("/api/pricing-rules", requireAdmin, (req, res) => {
+  const items = {};
+  for (const item of loadInventoryItems(INVENTORY_PATH)) {
+    const key = itemKey(item);
+    const pricing = pricingRules.priceItem({ ...item, pricingPercent: null, lockedPrice: null });
+    if (!key || !pricing) continue;
+    items[key] = { percent: pricing.percent, rule: pricing.rule, label: pricing.label, yourPrice: pricing.yourPrice };
+  }
+  res.json({ ...pricingRules.describePricingRules(), items });
+});
+
+// ---------- Price reviews (admin) ----------
+
+// Queue of held-back price moves, newest first. ?status=pending|approved|rejected|superseded
+app.get("/api/price-reviews", requireAdmin, (req, res) => {
+  const status = priceReviews.REVIEW_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+  res.json({
+    defaultMaxChangePercent: priceReviews.MAX_PRICE_CHANGE_PERCENT,
+    reviews: priceReviews.listPriceReviews(PRICE_REVIEWS_PATH, { status }),
+  });
+});
+
+// approve (apply the new market price, repriced by the current rules) or reject
+app.post("/api/price-reviews/:id/:action", requireAdmin, requirePermission("pricing"), (req, res) => {
+  const { id, action } = req.params;
+  const review = priceReviews.getPriceReview(PRICE_REVIEWS_PATH, id);
+  if (!review) return res.status(404).json({ error: "Price review not found" });
+
+  const approving = action === "approve" && review.status === "pending";
+  const inv = approving ? loadInventoryItems(INVENTORY_PATH) : null;
+  const idx = approving ? findItemIndex(inv, review.tcgPlayerId) : -1;
+  if (approving && idx < 0) {
+    return res.status(409).json({ error: "Item is no longer in inventory – reject the review instead" });
+  }
+
+  // Resolved first, so two admins can't both apply it; reopened if the save fails
+  let updated;
+  try {
+    updated = priceReviews.resolvePriceReview(PRICE_REVIEWS_PATH, id, action, req.adminUser.username);
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+
+  let version = null;
+  if (approving) {
+    const stockBefore = stockSnapshot(inv);
+    const item = { ...inv[idx] };
+    const pricing = pricingRules.priceItem(item, review.marketPrice);
+    Object.assign(item, {
+      marketPrice: review.marketPrice,
+      yourPrice: pricing.yourPrice,
+      pricingRule: pricing.label,
+      lastUpdated: new Date().toISOString(),
     });
+    inv[idx] = item;
 
-    let body = lines.join("\n");
-    if (body.length > 1800) body = body.slice(0, 1800) + "\n… (truncated)";
-    sendDiscordMessage(DISCORD_STOCK_WEBHOOK, header + body);
+    try {
+      version = inventoryVersion(saveInventoryItems(INVENTORY_PATH, inv, auditFrom(req, "priceReview")));
+    } catch (err) {
+      console.error("Failed to save inventory:", err.message || err);
+      try {
+        priceReviews.reopenPriceReview(PRICE_REVIEWS_PATH, id);
+      } catch (reopenErr) {
+        console.error("Failed to reopen price review:", reopenErr.message || reopenErr);
+      }
+      return res.status(500).json({ error: "Failed to save inventory" });
+    }
+    setVersionHeader(res, version);
+
+    try {
+      appendPricePoints(priceHistoryPathFor(INVENTORY_PATH), [item]);
+    } catch (err) {
+      console.error("Failed to record price history:", err.message || err);
+    }
+    announceInventoryChanges(stockBefore, inv, "priceReview");
   }
 
+  res.json({ ok: true, review: updated, version });
+});
+
+// ---------- Low stock (admin) ----------
+
+function summarizeStockEntry({ item, available, threshold }) {
+  return { tcgPlayerId: item.tcgPlayerId || null, name: item.name, available, threshold };
+}
+
+// Everything at or below its threshold right now (what the daily digest sends)
+app.get("/api/low-stock", requireAdmin, (req, res) => {
+  const report = stockAlerts.lowStockReport(stockSnapshot(loadInventoryItems(INVENTORY_PATH)));
   res.json({
-    ok: true,
-    totalItems: normalizedNext.length,
-    restocks: restocks.map((r) => ({
-      name: r.item.name,
-      tcgPlayerId: r.item.tcgPlayerId,
-      delta: r.delta,
-      newQty: r.newQty,
-      oldQty: r.oldQty,
-    })),
+    defaultThreshold: stockAlerts.LOW_STOCK_THRESHOLD,
+    lowStock: report.lowStock.map(summarizeStockEntry),
+    soldOut: report.soldOut.map(summarizeStockEntry),
   });
 });
 
+// ---------- Backups (admin) ----------
+
+app.get("/api/backups", requireAdmin, (req, res) => {
+  res.json(listInventoryBackups(INVENTORY_PATH));
+});
+
+// What changed from the backup to the current inventory
+app.get("/api/backups/:file/diff", requireAdmin, (req, res) => {
+  const backup = readInventoryBackup(INVENTORY_PATH, req.params.file);
+  if (!backup) return res.status(404).json({ error: "Backup not found" });
+
+  const current = loadInventoryItems(INVENTORY_PATH);
+  res.json({
+    file: req.params.file,
+    backupUpdatedAt: backup.meta.updatedAt,
+    ...diffInventoryItems(backup.items, current),
+  });
+});
+
+// Restore goes through writeInventoryFile, so the current file is backed up first.
+app.post("/api/backups/:file/restore", requireAdmin, requirePermission("restore"), (req, res) => {
+  const backup = readInventoryBackup(INVENTORY_PATH, req.params.file);
+  if (!backup) return res.status(404).json({ error: "Backup not found" });
+
+  const stockBefore = stockSnapshot(loadInventoryItems(INVENTORY_PATH));
+  let saved;
+  try {
+    saved = writeInventoryFile(INVENTORY_PATH, backup.items, auditFrom(req, "restore"));
+  } catch (err) {
+    console.error("Failed to restore backup:", err.message || err);
+    return res.status(500).json({ error: "Failed to restore backup" });
+  }
+  announceInventoryChanges(stockBefore, backup.items, "restore");
+
+  const version = inventoryVersion(saved);
+  setVersionHeader(res, version);
+  res.json({ ok: true, version, restoredFrom: req.params.file, totalItems: saved.totalItems });
+});
+
+// ---------- Audit log (admin) ----------
+
+// ?product=<id or name>&source=&from=&to=&limit=
+app.get("/api/audit", requireAdmin, (req, res) => {
+  try {
+    res.json(readAuditEntries(auditLogPathFor(INVENTORY_PATH), req.query));
+  } catch (err) {
+    console.error("Failed to read audit log:", err.message || err);
+    res.status(500).json({ error: "Failed to read audit log" });
+  }
+});
+
+// ---------- Outbound notifications (admin) ----------
+
+// Pending deliveries and dead letters (webhook URLs redacted)
+app.get("/api/notifications", requireAdmin, (req, res) => {
+  res.json(notificationQueue.listNotifications(NOTIFICATIONS_PATH));
+});
+
+// Put a dead letter back in the queue
+app.post("/api/notifications/:id/retry", requireAdmin, requirePermission("notifications"), async (req, res) => {
+  let entry;
+  try {
+    entry = await notificationQueue.retryNotification(NOTIFICATIONS_PATH, req.params.id);
+  } catch (err) {
+    console.error("Failed to retry notification:", err.message || err);
+    return res.status(500).json({ error: "Failed to update the notification queue" });
+  }
+  if (!entry) return res.status(404).json({ error: "Failed delivery not found" });
+  notificationWorker.kick();
+  res.json({ ok: true, notification: entry });
+});
+
+// Drop a pending or failed delivery
+app.delete("/api/notifications/:id", requireAdmin, requirePermission("notifications"), async (req, res) => {
+  let entry;
+  try {
+    entry = await notificationQueue.discardNotification(NOTIFICATIONS_PATH, req.params.id);
+  } catch (err) {
+    console.error("Failed to discard notification:", err.message || err);
+    return res.status(500).json({ error: "Failed to update the notification queue" });
+  }
+  if (!entry) return res.status(404).json({ error: "Notification not found" });
+  res.json({ ok: true, notification: entry });
+});
+
+// ---------- Inventory event webhooks (admin) ----------
+
+// Owners subscribe their own URLs to inventory events (restock, sold_out,
+// price_changed, item_created, item_deleted); deliveries are signed JSON
+// (webhookSubscriptions.js).
+
+app.get("/api/webhooks", requireAdmin, requirePermission("notifications"), (req, res) => {
+  res.json({ events: webhookSubscriptions.WEBHOOK_EVENTS, webhooks: webhookSubscriptions.listWebhooks(WEBHOOKS_PATH) });
+});
+
+// { url, events: [...], secret? } – the response has the signing secret
+// (generated when not given); it isn't shown again.
+app.post("/api/webhooks", requireAdmin, requirePermission("notifications"), (req, res) => {
+  try {
+    const created = webhookSubscriptions.createWebhook(WEBHOOKS_PATH, req.body || {}, req.adminUser.username);
+    res.status(201).json({ ok: true, ...created });
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+// { url?, events?, active?, rotateSecret? | secret? }
+app.patch("/api/webhooks/:id", requireAdmin, requirePermission("notifications"), (req, res) => {
+  let updated;
+  try {
+    updated = webhookSubscriptions.updateWebhook(WEBHOOKS_PATH, req.params.id, req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+  if (!updated) return res.status(404).json({ error: "Webhook not found" });
+  res.json({ ok: true, ...updated });
+});
+
+app.delete("/api/webhooks/:id", requireAdmin, requirePermission("notifications"), (req, res) => {
+  const removed = webhookSubscriptions.deleteWebhook(WEBHOOKS_PATH, req.params.id);
+  if (!removed) return res.status(404).json({ error: "Webhook not found" });
+  res.json({ ok: true, webhook: removed });
+});
+
+// ---------- Hold requests ----------
+
+// Storefront: { tcgPlayerId, customerName, contact, quantity }
+app.post("/api/holds", (req, res) => {
+  const body = req.body || {};
+  const tcgId = String(body.tcgPlayerId || "").trim();
+
+  const item = publicStockItems(loadInventoryItems(INVENTORY_PATH)).find(
+    (i) => String(i.tcgPlayerId || "") === tcgId
+  );
+  if (!tcgId || !item || item.quantity <= 0) return res.status(404).json({ error: "Item not available" });
+
+  const qty = Number(body.quantity);
+  if (Number.isInteger(qty) && qty > item.quantity) {
+    return res.status(400).json({ error: `Only ${item.quantity} available` });
+  }
+
+  const pendingFromIp = holds.listHolds(HOLDS_PATH, { status: "pending" }).filter((h) => h.ip === req.ip);
+  if (pendingFromIp.length >= MAX_PENDING_HOLDS_PER_IP) {
+    return res.status(429).json({ error: "Too many open hold requests – we'll get back to you soon." });
+  }
+
+  let hold;
+  try {
+    hold = holds.createHold(HOLDS_PATH, {
+      tcgPlayerId: tcgId,
+      productName: item.name,
+      customerName: body.customerName,
+      contact: body.contact,
+      quantity: body.quantity,
+      ip: req.ip,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+
+  sendDiscordMessage(
+    DISCORD_HOLDS_WEBHOOK,
+    `🛒 Hold request: ${hold.quantity}× ${hold.productName || hold.tcgPlayerId} for ${hold.customerName} (${hold.contact})`,
+    "holds"
+  );
+
+  res.status(201).json({ ok: true, id: hold.id, status: hold.status, quantity: hold.quantity, expiresAt: hold.expiresAt });
+});
+
+// Admin queue, newest first. ?status=pending|approved|picked_up|expired
+app.get("/api/holds", requireAdmin, (req, res) => {
+  const status = holds.HOLD_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+  res.json({ expiryDays: holds.HOLD_EXPIRY_DAYS, holds: holds.listHolds(HOLDS_PATH, { status }) });
+});
+
+// approve (soft-reserve), pickup (take it out of inventory), expire
+app.post("/api/holds/:id/:action", requireAdmin, requirePermission("quantity"), (req, res) => {
+  const { id, action } = req.params;
+  const hold = holds.getHold(HOLDS_PATH, id);
+  if (!hold) return res.status(404).json({ error: "Hold not found" });
+
+  // Approving reserves stock, so it can make an item low / sold out too
+  const inventoryBefore = loadInventoryItems(INVENTORY_PATH);
+  const stockBefore = stockSnapshot(inventoryBefore);
+
+  if (action === "approve" && hold.status === "pending") {
+    const item = publicStockItems(loadInventoryItems(INVENTORY_PATH)).find(
+      (i) => String(i.tcgPlayerId || "") === hold.tcgPlayerId
+    );
+    const available = item ? item.quantity : 0;
+    if (hold.quantity > available) {
+      return res.status(409).json({ error: `Only ${available} available to reserve` });
+    }
+  }
+
+  let version = null;
+  let inventoryAfter = inventoryBefore;
+  if (action === "pickup" && hold.status === "approved") {
+    const inv = inventoryBefore.slice();
+    const idx = findItemIndex(inv, hold.tcgPlayerId);
+    if (idx >= 0) {
+      inv[idx] = { ...inv[idx], quantity: Math.max(0, (inv[idx].quantity ?? 0) - hold.quantity) };
+      try {
+        version = inventoryVersion(saveInventoryItems(INVENTORY_PATH, inv, auditFrom(req, "hold")));
+        inventoryAfter = inv;
+      } catch (err) {
+        console.error("Failed to save inventory:", err.message || err);
+        return res.status(500).json({ error: "Failed to save inventory" });
+      }
+      setVersionHeader(res, version);
+    }
+  }
+
+  let updated;
+  try {
+    updated = holds.updateHoldStatus(HOLDS_PATH, id, action, req.adminUser.username);
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+
+  announceInventoryChanges(stockBefore, inventoryAfter, "hold");
+  res.json({ ok: true, version, hold: updated });
+});
+
+// ---------- Sales ledger (admin) ----------
+
+// { tcgPlayerId, quantity, unitPrice, channel } – records the sale with the
+// item's prices at that moment and takes the quantity out of inventory.
+app.post("/api/sales", requireAdmin, requirePermission("quantity"), (req, res) => {
+  const body = req.body || {};
+
+  let sale;
+  try {
+    sale = salesLedger.validateSale(body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+
+  const inv = loadInventoryItems(INVENTORY_PATH);
+  const idx = findItemIndex(inv, String(body.tcgPlayerId || "").trim());
+  if (idx < 0) return res.status(404).json({ error: "Item not found" });
+
+  const item = inv[idx];
+  const inStock = item.quantity ?? 0;
+  // Units on approved holds are promised to a customer (pickup takes them out)
+  const held = holds.reservedQuantities(HOLDS_PATH).get(String(item.tcgPlayerId || "")) || 0;
+  const available = Math.max(0, inStock - held);
+  if (sale.quantity > available) {
+    return res.status(409).json({
+      error: held ? `Only ${available} available (${held} on hold)` : `Only ${inStock} in stock`,
+    });
+  }
+
+  const stockBefore = stockSnapshot(inv);
+  inv[idx] = { ...item, quantity: inStock - sale.quantity };
+
+  // Ledger entry first; it's taken back if the inventory save fails
+  let entry;
+  let saved;
+  try {
+    ({ entry, saved } = salesLedger.recordSale(SALES_PATH, item, sale, req.adminUser.username, () =>
+      saveInventoryItems(INVENTORY_PATH, inv, auditFrom(req, "sale"))
+    ));
+  } catch (err) {
+    console.error("Failed to record sale:", err.message || err);
+    return res.status(500).json({ error: "Failed to record sale; stock was not changed" });
+  }
+  announceInventoryChanges(stockBefore, inv, "sale");
+
+  const version = inventoryVersion(saved);
+  setVersionHeader(res, version);
+  res.status(201).json({ ok: true, version, sale: entry, quantityLeft: inv[idx].quantity });
+});
+
+// ?from=&to=&channel=&limit=  (newest first)
+app.get("/api/sales", requireAdmin, (req, res) => {
+  try {
+    res.json({ channels: salesLedger.SALE_CHANNELS, ...salesLedger.readSales(SALES_PATH, req.query) });
+  } catch (err) {
+    console.error("Failed to read sales:", err.message || err);
+    res.status(500).json({ error: "Failed to read sales" });
+  }
+});
+
+// ?period=day|week|month&from=&to=&channel=
+app.get("/api/sales/summary", requireAdmin, (req, res) => {
+  try {
+    res.json(salesLedger.summarizeSales(SALES_PATH, req.query.period, req.query));
+  } catch (err) {
+    console.error("Failed to read sales:", err.message || err);
+    res.status(500).json({ error: "Failed to read sales" });
+  }
+});
+
+// ---------- Hold expiry ----------
+
+// Overdue holds expire here rather than whenever holds.json is read, so the
+// stock an approved hold gave back reaches the stream, alerts and webhooks.
+function expireOverdueHolds() {
+  const items = loadInventoryView(INVENTORY_PATH).items;
+  const stockBefore = stockSnapshot(items);
+  const expired = holds.expireOverdueHolds(HOLDS_PATH);
+  if (expired.length) announceInventoryChanges(stockBefore, items, "hold");
+}
+
+cron.schedule(HOLD_EXPIRY_CRON, () => {
+  try {
+    expireOverdueHolds();
+  } catch (err) {
+    console.error("Failed to expire holds:", err.message || err);
+  }
+});
+
+// ---------- Low-stock digest ----------
+
+function sendLowStockDigest() {
+  const report = stockAlerts.lowStockReport(stockSnapshot(loadInventoryItems(INVENTORY_PATH)));
+  if (!report.lowStock.length && !report.soldOut.length) return;
+  sendDiscordPayloads(DISCORD_LOW_STOCK_WEBHOOK, lowStockDigestMessages(report), "low-stock");
+}
+
+if (DISCORD_LOW_STOCK_WEBHOOK) {
+  cron.schedule(LOW_STOCK_DIGEST_CRON, () => {
+    try {
+      sendLowStockDigest();
+    } catch (err) {
+      console.error("Failed to send low-stock digest:", err.message || err);
+    }
+  });
+}
+
 // ---------- Start ----------
 app.listen(PORT, function () {
   console.log("Server running at http://localhost:" + PORT);
+  if (adminAuth.listUsers().length === 0) {
+    console.warn("No admin accounts yet – create one with: node manageAdmins.js create <username>");
+  }
+  if (process.env.ADMIN_PASSWORD) {
+    console.warn("ADMIN_PASSWORD is no longer used; admin logins come from manageAdmins.js accounts.");
+  }
 });
@@ -0,0 +1,294 @@
+// sqliteStorage.js
+// SQLite adapter for inventoryStorage.js (INVENTORY_STORAGE=sqlite).
+//
+// Tables:
+//   meta(key, value)                 – schemaVersion, updatedAt
+//   items(item_key, tcg_player_id, position, data)
+//                                    – one row per item, data = item JSON;
+//                                      indexed by tcg_player_id
+//   snapshots(name, created_at, updated_at, schema_version, total_items, items)
+//                                    – same role as backups/ for the JSON store
+//
+// write() runs in one transaction and only touches rows whose item (or
+// position) actually changed; unchanged rows are left alone. It returns the
+// old and new versions of the changed items, so the audit log doesn't need a
+// second read of the table.
+//
+// Snapshots copy every item, so a save only takes one when it touches at
+// least BULK_SAVE_ROWS rows (price runs, imports, restores, migrations) or
+// the newest snapshot is older than SNAPSHOT_INTERVAL_MS. A stale If-Match
+// whose version falls between two snapshots is reconciled without a base
+// (every difference counts as a conflict, see inventoryConflicts.js).
+//
+// Needs the optional better-sqlite3 dependency (npm install better-sqlite3).
+
+const fs = require("fs");
+const path = require("path");
+const { snapshotNameFor, preservedCopyPathFor } = require("./inventoryStorage");
+
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const BULK_SAVE_ROWS = 20;
+
+function openDatabase(dbPath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error("INVENTORY_STORAGE=sqlite needs better-sqlite3 – run: npm install better-sqlite3");
+  }
+
+  const dir = path.dirname(dbPath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS items (
+      item_key TEXT PRIMARY KEY,
+      tcg_player_id TEXT,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS items_tcg_player_id ON items (tcg_player_id);
+    CREATE TABLE IF NOT EXISTS snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      schema_version INTEGER,
+      total_items INTEGER NOT NULL,
+      items TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS snapshots_updated_at ON snapshots (updated_at);
+  `);
+  return db;
+}
+
+// Row identity: tcgPlayerId, else lowercased name (same idea as
+// inventoryStore.itemKey). Repeats get a #n suffix so every row stays unique.
+function rowKeys(items) {
+  const seen = new Map();
+  return items.map((item) => {
+    const id = item && item.tcgPlayerId ? String(item.tcgPlayerId).trim() : "";
+    const name = item && item.name ? String(item.name).trim().toLowerCase() : "";
+    const base = id ? `id:${id}` : `name:${name}`;
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return n ? `${base}#${n}` : base;
+  });
+}
+
+function createSqliteStorage(dbPath, { maxBackups }) {
+  const db = openDatabase(dbPath);
+
+  const stmt = {
+    getMeta: db.prepare("SELECT key, value FROM meta"),
+    setMeta: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ),
+    allItems: db.prepare("SELECT item_key, position, data FROM items ORDER BY position"),
+    itemById: db.prepare("SELECT data FROM items WHERE tcg_player_id = ? ORDER BY position LIMIT 1"),
+    upsertItem: db.prepare(`
+      INSERT INTO items (item_key, tcg_player_id, position, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(item_key) DO UPDATE SET
+        tcg_player_id = excluded.tcg_player_id, position = excluded.position, data = excluded.data
+    `),
+    deleteItem: db.prepare("DELETE FROM items WHERE item_key = ?"),
+    clearItems: db.prepare("DELETE FROM items"),
+    insertSnapshot: db.prepare(`
+      INSERT INTO snapshots (name, created_at, updated_at, schema_version, total_items, items)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    pruneSnapshots: db.prepare(
+      "DELETE FROM snapshots WHERE id NOT IN (SELECT id FROM snapshots ORDER BY created_at DESC, id DESC LIMIT ?)"
+    ),
+    listSnapshots: db.prepare(
+      "SELECT name, created_at, updated_at, schema_version, total_items FROM snapshots ORDER BY created_at DESC, id DESC"
+    ),
+    snapshotByName: db.prepare("SELECT updated_at, schema_version, items FROM snapshots WHERE name = ?"),
+    snapshotNameTaken: db.prepare("SELECT 1 FROM snapshots WHERE name = ?"),
+    latestSnapshot: db.prepare("SELECT created_at FROM snapshots ORDER BY created_at DESC, id DESC LIMIT 1"),
+    snapshotByVersion: db.prepare(
+      "SELECT updated_at, schema_version, items FROM snapshots WHERE updated_at = ? ORDER BY id DESC LIMIT 1"
+    ),
+    clearSnapshots: db.prepare("DELETE FROM snapshots"),
+  };
+
+  function readMeta() {
+    const meta = { schemaVersion: 0, updatedAt: null };
+    for (const { key, value } of stmt.getMeta.all()) {
+      if (key === "schemaVersion") meta.schemaVersion = Number(value) || 0;
+      if (key === "updatedAt") meta.updatedAt = value || null;
+    }
+    return meta;
+  }
+
+  function readItems() {
+    return stmt.allItems.all().map((r) => JSON.parse(r.data));
+  }
+
+  function snapshotFromRow(row) {
+    return {
+      meta: { schemaVersion: Number(row.schema_version) || 0, updatedAt: row.updated_at || null },
+      items: JSON.parse(row.items),
+    };
+  }
+
+  function addSnapshot(name, createdAt, meta, items) {
+    stmt.insertSnapshot.run(
+      name,
+      createdAt,
+      meta.updatedAt,
+      meta.schemaVersion,
+      items.length,
+      JSON.stringify(items)
+    );
+  }
+
+  // Row-level replace: the rows to upsert (changed or moved) and delete (gone),
+  // plus the old and new items of the rows whose data changed.
+  function planItems(items) {
+    const existing = new Map(stmt.allItems.all().map((r) => [r.item_key, r]));
+    const keys = rowKeys(items);
+    const plan = { upserts: [], deletes: [], before: [], after: [] };
+
+    items.forEach((item, position) => {
+      const key = keys[position];
+      const data = JSON.stringify(item);
+      const prev = existing.get(key);
+      existing.delete(key);
+      if (prev && prev.position === position && prev.data === data) return;
+
+      const id = item && item.tcgPlayerId ? String(item.tcgPlayerId).trim() : null;
+      plan.upserts.push([key, id, position, data]);
+      if (prev && prev.data === data) return; // only moved
+      if (prev) plan.before.push(JSON.parse(prev.data));
+      plan.after.push(item);
+    });
+
+    for (const [key, row] of existing) {
+      plan.deletes.push(key);
+      plan.before.push(JSON.parse(row.data));
+    }
+    return plan;
+  }
+
+  function applyPlan(plan) {
+    for (const args of plan.upserts) stmt.upsertItem.run(...args);
+    for (const key of plan.deletes) stmt.deleteItem.run(key);
+  }
+
+  function storeItems(items) {
+    applyPlan(planItems(items));
+  }
+
+  function snapshotDue(plan) {
+    if (plan.after.length + plan.deletes.length >= BULK_SAVE_ROWS) return true;
+    const latest = stmt.latestSnapshot.get();
+    return !latest || Date.now() - Date.parse(latest.created_at) >= SNAPSHOT_INTERVAL_MS;
+  }
+
+  function storeMeta(payload) {
+    stmt.setMeta.run("schemaVersion", String(payload.schemaVersion));
+    stmt.setMeta.run("updatedAt", payload.updatedAt);
+  }
+
+  // A name another process already used gets a new one; snapshots are never
+  // replaced (a stale If-Match looks its base version up in them).
+  function unusedSnapshotName() {
+    let name = snapshotNameFor();
+    while (stmt.snapshotNameTaken.get(name)) name = snapshotNameFor();
+    return name;
+  }
+
+  const writeTx = db.transaction((payload) => {
+    const meta = readMeta();
+    const plan = planItems(payload.items);
+    if (meta.updatedAt && snapshotDue(plan)) {
+      addSnapshot(unusedSnapshotName(), new Date().toISOString(), meta, readItems());
+      stmt.pruneSnapshots.run(maxBackups);
+    }
+    applyPlan(plan);
+    storeMeta(payload);
+    return { before: plan.before, after: plan.after };
+  });
+
+  // importToSqlite.js: replace everything with the given current state + snapshots
+  const importTx = db.transaction(({ current, snapshots }) => {
+    stmt.clearSnapshots.run();
+    stmt.clearItems.run();
+    for (const s of snapshots) addSnapshot(s.name, s.createdAt, s.meta, s.items);
+    stmt.pruneSnapshots.run(maxBackups);
+    storeItems(current.items);
+    storeMeta({ schemaVersion: current.meta.schemaVersion, updatedAt: current.meta.updatedAt });
+  });
+
+  return {
+    kind: "sqlite",
+    dbPath,
+
+    read() {
+      // One read transaction so meta and items match
+      return db.transaction(() => ({ meta: readMeta(), items: readItems() }))();
+    },
+
+    write(payload) {
+      // immediate: take the write lock before picking the snapshot name
+      return writeTx.immediate(payload);
+    },
+
+    version() {
+      const meta = readMeta();
+      return meta.updatedAt ? `${meta.schemaVersion}:${meta.updatedAt}` : null;
+    },
+
+    findItem(tcgPlayerId) {
+      const row = stmt.itemById.get(String(tcgPlayerId || "").trim());
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    listSnapshots() {
+      return stmt.listSnapshots.all().map((r) => ({
+        name: r.name,
+        createdAt: r.created_at,
+        meta: { schemaVersion: Number(r.schema_version) || 0, updatedAt: r.updated_at || null },
+        totalItems: r.total_items,
+      }));
+    },
+
+    readSnapshot(name) {
+      const row = stmt.snapshotByName.get(String(name || ""));
+      return row ? snapshotFromRow(row) : null;
+    },
+
+    findSnapshotByVersion(version) {
+      const row = stmt.snapshotByVersion.get(String(version || ""));
+      return row ? snapshotFromRow(row) : null;
+    },
+
+    isEmpty() {
+      return !readMeta().updatedAt && stmt.allItems.all().length === 0;
+    },
+
+    importAll(data) {
+      importTx(data);
+    },
+
+    preserveCopy(label) {
+      if (this.isEmpty()) return null;
+      const dest = preservedCopyPathFor(dbPath, label, ".sqlite");
+      if (!fs.existsSync(path.dirname(dest))) fs.mkdirSync(path.dirname(dest), { recursive: true });
+      // Consistent single-file copy, WAL contents included
+      db.prepare("VACUUM INTO ?").run(dest);
+      return dest;
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
@@ -0,0 +1,87 @@
+// stockAlerts.js
+// Low-stock and sold-out detection for the DISCORD_LOW_STOCK_WEBHOOK alerts.
+//
+// Works on what customers can actually buy: quantity minus approved holds,
+// the same number the public /api/inventory shows. An item is
+//   low      – 1 ≤ available ≤ its threshold
+//   sold out – available = 0 (it drops off the storefront)
+// The threshold is item.lowStockThreshold when set, else LOW_STOCK_THRESHOLD
+// (env, default 2; 0 turns low-stock alerts off but keeps sold-out ones).
+//
+// server.js takes a snapshot before each write and alerts on items that
+// crossed into low / sold out with it; the daily digest lists everything
+// currently at or below its threshold.
+
+const { itemKey } = require("./inventoryStore");
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 2;
+
+function parseThreshold(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.trunc(n) : null;
+}
+
+const LOW_STOCK_THRESHOLD = parseThreshold(process.env.LOW_STOCK_THRESHOLD) ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+function thresholdFor(item) {
+  return parseThreshold(item && item.lowStockThreshold) ?? LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * itemKey → { item, available, threshold }.
+ * reserved: tcgPlayerId → quantity held by approved holds (holds.reservedQuantities)
+ */
+function availableStock(items, reserved = new Map()) {
+  const out = new Map();
+  for (const item of items || []) {
+    const key = itemKey(item);
+    if (!key || out.has(key)) continue;
+    const held = reserved.get(String(item.tcgPlayerId || "")) || 0;
+    out.set(key, {
+      item,
+      available: Math.max(0, (item.quantity ?? 0) - held),
+      threshold: thresholdFor(item),
+    });
+  }
+  return out;
+}
+
+/**
+ * Items that crossed a line between two availableStock snapshots:
+ *   { lowStock: [...], soldOut: [...] } (entries as in availableStock)
+ * New and deleted items don't count – only stock going down on an item we had.
+ */
+function stockDrops(before, after) {
+  const lowStock = [];
+  const soldOut = [];
+
+  for (const [key, now] of after) {
+    const prev = before.get(key);
+    if (!prev || now.available >= prev.available) continue;
+
+    if (now.available === 0) soldOut.push(now);
+    else if (now.available <= now.threshold && prev.available > now.threshold) lowStock.push(now);
+  }
+
+  return { lowStock, soldOut };
+}
+
+// Everything currently at or below its threshold (for the daily digest)
+function lowStockReport(snapshot) {
+  const lowStock = [];
+  const soldOut = [];
+  for (const entry of snapshot.values()) {
+    if (entry.available === 0) soldOut.push(entry);
+    else if (entry.available <= entry.threshold) lowStock.push(entry);
+  }
+  return { lowStock, soldOut };
+}
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  thresholdFor,
+  availableStock,
+  stockDrops,
+  lowStockReport,
+};
@@ -0,0 +1,114 @@
+// inventoryConflicts.test.js
+// Three-way merge of stale admin saves (reconcileSave / findItemConflict).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { reconcileSave, findItemConflict } = require("../inventoryConflicts");
+
+const base = [
+  { tcgPlayerId: "1", name: "Surging Sparks ETB", quantity: 5, game: "pokemon", pricingPercent: null },
+  { tcgPlayerId: "2", name: "MH3 Collector Booster", quantity: 2, game: "mtg", pricingPercent: null },
+];
+
+function byId(rows) {
+  return Object.fromEntries(rows.map((r) => [r.tcgPlayerId, r]));
+}
+
+test("server-only changes are merged into the save", () => {
+  const current = [{ ...base[0], pricingPercent: 85 }, base[1]];
+  const rows = [
+    { tcgPlayerId: "1", name: "Surging Sparks ETB", quantity: 3, game: "pokemon" },
+    { tcgPlayerId: "2", name: "MH3 Collector Booster", quantity: 2, game: "mtg" },
+  ];
+
+  const { conflicts, rows: merged } = reconcileSave({ baseItems: base, currentItems: current, rows });
+  assert.deepEqual(conflicts, []);
+  assert.equal(byId(merged)["1"].quantity, 3);
+  assert.equal(byId(merged)["1"].pricingPercent, 85);
+});
+
+test("the same field changed on both sides is a conflict", () => {
+  const current = [{ ...base[0], quantity: 4 }, base[1]];
+  const rows = [{ ...base[0], quantity: 1 }, base[1]];
+
+  const { conflicts } = reconcileSave({ baseItems: base, currentItems: current, rows });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].kind, "changed");
+  assert.deepEqual(conflicts[0].fields, [{ field: "quantity", base: 5, theirs: 4, yours: 1 }]);
+});
+
+test("both sides making the same change is not a conflict", () => {
+  const current = [{ ...base[0], quantity: 4 }, base[1]];
+  const rows = [{ ...base[0], quantity: 4 }, base[1]];
+
+  assert.deepEqual(reconcileSave({ baseItems: base, currentItems: current, rows }).conflicts, []);
+});
+
+test("items added on the server are kept, removed ones stay removed", () => {
+  const added = { tcgPlayerId: "3", name: "Prismatic Evolutions ETB", quantity: 7, game: "pokemon" };
+  const current = [base[0], added];
+  const rows = [base[0], base[1]];
+
+  const { conflicts, rows: merged } = reconcileSave({ baseItems: base, currentItems: current, rows });
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(Object.keys(byId(merged)).sort(), ["1", "3"]);
+});
+
+test("editing an item the server removed is a conflict", () => {
+  const rows = [base[0], { ...base[1], quantity: 9 }];
+
+  const { conflicts } = reconcileSave({ baseItems: base, currentItems: [base[0]], rows });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].kind, "removedOnServer");
+  assert.equal(conflicts[0].tcgPlayerId, "2");
+});
+
+test("removing an item the server changed is a conflict", () => {
+  const current = [base[0], { ...base[1], quantity: 1 }];
+
+  const { conflicts } = reconcileSave({ baseItems: base, currentItems: current, rows: [base[0]] });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].kind, "removedByYou");
+});
+
+test("an empty name or game in a row keeps what is there", () => {
+  const rows = [{ ...base[0], name: "", game: null }, base[1]];
+
+  const { conflicts, rows: merged } = reconcileSave({ baseItems: base, currentItems: base, rows });
+  assert.deepEqual(conflicts, []);
+  assert.equal(byId(merged)["1"].quantity, 5);
+});
+
+test("without a base snapshot every difference is a conflict", () => {
+  const rows = [{ ...base[0], quantity: 6 }, base[1]];
+
+  const { conflicts } = reconcileSave({ baseItems: null, currentItems: base, rows });
+  assert.equal(conflicts.length, 1);
+  assert.deepEqual(conflicts[0].fields, [{ field: "quantity", base: null, theirs: 5, yours: 6 }]);
+});
+
+test("without a base snapshot items only on the server are reported", () => {
+  const { conflicts } = reconcileSave({ baseItems: null, currentItems: base, rows: [base[0]] });
+  assert.deepEqual(
+    conflicts.map((c) => [c.kind, c.tcgPlayerId]),
+    [["addedOnServer", "2"]]
+  );
+});
+
+test("findItemConflict flags a stale write to an item changed since", () => {
+  const current = [{ ...base[0], quantity: 2 }, base[1]];
+
+  const conflict = findItemConflict({ baseItems: base, currentItems: current, tcgPlayerId: "1" });
+  assert.equal(conflict.kind, "changed");
+  assert.deepEqual(conflict.fields.map((f) => f.field), ["quantity"]);
+
+  assert.equal(findItemConflict({ baseItems: base, currentItems: current, tcgPlayerId: "2" }), null);
+});
+
+test("findItemConflict without a base only lets through a write that changes nothing", () => {
+  const args = { baseItems: null, currentItems: base, tcgPlayerId: "1" };
+
+  assert.equal(findItemConflict({ ...args, submitted: { quantity: 5 } }), null);
+  assert.equal(findItemConflict({ ...args, submitted: { quantity: 4 } }).kind, "changed");
+  assert.equal(findItemConflict({ ...args, submitted: null }).kind, "changed");
+});
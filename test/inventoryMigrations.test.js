@@ -0,0 +1,90 @@
+// inventoryMigrations.test.js
+// Schema migrations on raw items, and the one-time upgrade of a live store.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.INVENTORY_STORAGE = "json";
+
+const { LATEST_VERSION, pendingMigrations, migrateInventory } = require("../inventoryMigrations");
+const { SCHEMA_VERSION, readInventoryFile } = require("../inventoryStore");
+
+const v0Items = [
+  { tcgPlayerId: "1", name: "Surging Sparks ETB", quantity: 2, marketPrice: 60, yourPrice: 54 },
+  { tcgPlayerId: "2", name: "151 Booster Bundle", quantity: 1, marketPrice: 40, yourPrice: 34, pricingPercent: 85 },
+  { tcgPlayerId: "3", name: "Obsidian Flames ETB", quantity: 0 },
+  { tcgPlayerId: "4", name: "MH3 Play Booster Box", yourPrice: 200, pricingRule: "MTG boxes", lots: "3 @ 180" },
+  { tcgPlayerId: "5", name: "Charizard UPC", yourPrice: 120, priceLockedUntil: "2030-01-01T00:00:00.000Z" },
+];
+
+test("the store's schema version is the latest migration", () => {
+  assert.equal(SCHEMA_VERSION, LATEST_VERSION);
+});
+
+test("pendingMigrations lists what is left to run", () => {
+  assert.deepEqual(pendingMigrations(0).map((m) => m.version), [1, 2, 3]);
+  assert.deepEqual(pendingMigrations(2).map((m) => m.version), [3]);
+  assert.deepEqual(pendingMigrations(LATEST_VERSION), []);
+  assert.deepEqual(pendingMigrations(0, 2).map((m) => m.version), [1, 2]);
+});
+
+test("v0 → v3 labels existing prices with the pricing that set them", () => {
+  const result = migrateInventory({ meta: { schemaVersion: 0, updatedAt: null }, items: v0Items });
+  const byId = Object.fromEntries(result.items.map((i) => [i.tcgPlayerId, i]));
+
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.toVersion, 3);
+  assert.equal(result.meta.schemaVersion, 3);
+  assert.deepEqual(result.steps.map((s) => s.version), [1, 2, 3]);
+
+  assert.equal(byId["1"].pricingRule, "Default (90%)");
+  assert.equal(byId["2"].pricingRule, "Item override (85%)");
+  assert.equal("pricingRule" in byId["3"], false);
+  assert.equal(byId["4"].pricingRule, "MTG boxes");
+});
+
+test("v3 drops fields that aren't in their new shape yet", () => {
+  const { items, steps } = migrateInventory({ meta: { schemaVersion: 2 }, items: v0Items });
+  const byId = Object.fromEntries(items.map((i) => [i.tcgPlayerId, i]));
+
+  assert.equal("lots" in byId["4"], false);
+  assert.equal("priceLockedUntil" in byId["5"], false);
+
+  const [v3] = steps;
+  assert.equal(v3.changedItems, 4);
+  assert.equal(v3.fieldsAdded.pricingRule, 3);
+  assert.equal(v3.fieldsRemoved.lots, 1);
+  assert.equal(v3.fieldsRemoved.priceLockedUntil, 1);
+});
+
+test("the input is left alone and current data runs nothing", () => {
+  const before = JSON.stringify(v0Items);
+  migrateInventory({ meta: { schemaVersion: 0 }, items: v0Items });
+  assert.equal(JSON.stringify(v0Items), before);
+
+  const current = migrateInventory({ meta: { schemaVersion: LATEST_VERSION }, items: v0Items });
+  assert.deepEqual(current.steps, []);
+  assert.deepEqual(current.items, v0Items);
+});
+
+test("reading an old live store upgrades it once and keeps a pre-migration copy", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-migrate-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "inventory.json");
+  fs.writeFileSync(file, JSON.stringify(v0Items.slice(0, 2)));
+
+  t.mock.method(console, "log", () => {});
+  const { meta, items } = readInventoryFile(file);
+  assert.equal(meta.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(items.map((i) => i.pricingRule), ["Default (90%)", "Item override (85%)"]);
+
+  const onDisk = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(onDisk.schemaVersion, SCHEMA_VERSION);
+  assert.equal(onDisk.items.length, 2);
+
+  const preserved = fs.readdirSync(dir, { recursive: true }).filter((f) => String(f).includes("v0-to-v3"));
+  assert.equal(preserved.length, 1);
+});
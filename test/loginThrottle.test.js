@@ -0,0 +1,87 @@
+// loginThrottle.test.js
+// Backoff and lockouts for failed admin logins, per account and per IP.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "login-throttle-"));
+const statePath = path.join(tmpDir, "loginAttempts.json");
+// Read once at require time
+process.env.LOGIN_THROTTLE_PATH = statePath;
+process.env.LOGIN_MAX_FAILURES = "3";
+process.env.LOGIN_MAX_FAILURES_PER_IP = "5";
+process.env.LOGIN_LOCKOUT_MINUTES = "15";
+
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require("../loginThrottle");
+
+const MINUTE = 60 * 1000;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test("each failure backs off exponentially", () => {
+  recordLoginFailure("10.0.0.1", "ash");
+  const first = checkLoginAllowed("10.0.0.1", "ash");
+  assert.equal(first.allowed, false);
+  assert.equal(first.lockedOut, false);
+  assert.ok(first.retryAfterMs > 0 && first.retryAfterMs <= 1000);
+
+  recordLoginFailure("10.0.0.1", "ash");
+  const second = checkLoginAllowed("10.0.0.1", "ash");
+  assert.ok(second.retryAfterMs > 1000 && second.retryAfterMs <= 2000);
+});
+
+test("too many failures lock the account out, whatever the case or IP", () => {
+  assert.deepEqual(recordLoginFailure("10.0.0.2", "misty"), []);
+  assert.deepEqual(recordLoginFailure("10.0.0.3", "Misty"), []);
+  const lockouts = recordLoginFailure("10.0.0.4", "MISTY");
+
+  assert.equal(lockouts.length, 1);
+  assert.equal(lockouts[0].kind, "account");
+  assert.equal(lockouts[0].key, "misty");
+  assert.equal(lockouts[0].failures, 3);
+
+  const check = checkLoginAllowed("10.0.0.9", "misty");
+  assert.equal(check.allowed, false);
+  assert.equal(check.lockedOut, true);
+  assert.ok(check.retryAfterMs > 14 * MINUTE && check.retryAfterMs <= 15 * MINUTE);
+});
+
+test("repeat lockouts double in length", () => {
+  for (let i = 0; i < 3; i++) recordLoginFailure("10.0.1.1", "brock");
+  recordLoginFailure("10.0.1.2", "brock");
+  recordLoginFailure("10.0.1.3", "brock");
+  const [again] = recordLoginFailure("10.0.1.4", "brock");
+
+  assert.equal(again.key, "brock");
+  const lockedForMs = Date.parse(again.until) - Date.now();
+  assert.ok(lockedForMs > 29 * MINUTE && lockedForMs <= 30 * MINUTE);
+});
+
+test("too many failures from one IP lock the IP out for every account", () => {
+  const users = ["gary", "oak", "jessie", "james", "meowth"];
+  const lockouts = users.flatMap((u) => recordLoginFailure("10.0.2.1", u));
+
+  assert.deepEqual(
+    lockouts.map((l) => [l.kind, l.key]),
+    [["ip", "10.0.2.1"]]
+  );
+  assert.equal(checkLoginAllowed("10.0.2.1", "someone-else").lockedOut, true);
+  assert.equal(checkLoginAllowed("10.0.2.2", "someone-else").allowed, true);
+});
+
+test("a good login clears the account's failures but not the IP's", () => {
+  recordLoginFailure("10.0.3.1", "dawn");
+  recordLoginSuccess("Dawn");
+
+  assert.equal(checkLoginAllowed("10.0.3.2", "dawn").allowed, true);
+  assert.equal(checkLoginAllowed("10.0.3.1", "dawn").allowed, false);
+});
+
+test("state is kept on disk across reads", () => {
+  const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  assert.ok(saved.account.misty.lockedUntil);
+  assert.equal(saved.account.dawn, undefined);
+});
@@ -0,0 +1,163 @@
+// pricingRules.test.js
+// Rounding strategies and how priceItem picks lock / item override / rule / default.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-rules-"));
+const rulesPath = path.join(tmpDir, "pricingRules.json");
+fs.writeFileSync(
+  rulesPath,
+  JSON.stringify({
+    defaultPercent: 90,
+    rounding: "ends-99",
+    minMarginPercent: 20,
+    rules: [
+      {
+        name: "MTG collector boxes",
+        match: { game: "mtg", namePattern: "collector booster (box|display)" },
+        percent: 95,
+      },
+      { name: "Under $20", match: { maxMarket: 20 }, percent: 100, rounding: "none" },
+    ],
+  })
+);
+// Read once per process, so it has to be set before the first require
+process.env.PRICING_RULES_PATH = rulesPath;
+
+const { applyRounding, priceItem, loadPricingRules } = require("../pricingRules");
+const { PRICE_LOCK_LABEL } = require("../inventoryStore");
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeRules(name, config) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+  return file;
+}
+
+// ---------- applyRounding ----------
+
+test("none only rounds to cents", () => {
+  assert.equal(applyRounding(12.344, "none"), 12.34);
+  assert.equal(applyRounding(12.346, "none"), 12.35);
+});
+
+test("ends-99 snaps to the nearest .99", () => {
+  assert.equal(applyRounding(12.34, "ends-99"), 11.99);
+  assert.equal(applyRounding(12.6, "ends-99"), 12.99);
+  assert.equal(applyRounding(12.99, "ends-99"), 12.99);
+});
+
+test("nearest-0.50 rounds halves up", () => {
+  assert.equal(applyRounding(12.74, "nearest-0.50"), 12.5);
+  assert.equal(applyRounding(12.75, "nearest-0.50"), 13);
+});
+
+test("nearest-1 and nearest-5 snap to whole steps", () => {
+  assert.equal(applyRounding(12.49, "nearest-1"), 12);
+  assert.equal(applyRounding(12.5, "nearest-1"), 13);
+  assert.equal(applyRounding(22.5, "nearest-5"), 25);
+  assert.equal(applyRounding(22.49, "nearest-5"), 20);
+});
+
+test("rounding never goes down to zero", () => {
+  assert.equal(applyRounding(0.2, "ends-99"), 0.99);
+  assert.equal(applyRounding(0.2, "nearest-1"), 1);
+  assert.equal(applyRounding(2, "nearest-5"), 5);
+});
+
+test("up never goes below the price, and leaves exact steps alone", () => {
+  assert.equal(applyRounding(10.01, "nearest-1", { up: true }), 11);
+  assert.equal(applyRounding(10, "nearest-1", { up: true }), 10);
+  assert.equal(applyRounding(10, "ends-99", { up: true }), 10.99);
+  assert.equal(applyRounding(9.99, "ends-99", { up: true }), 9.99);
+  assert.equal(applyRounding(20.01, "nearest-5", { up: true }), 25);
+});
+
+// ---------- priceItem ----------
+
+test("items no rule matches get the default percent", () => {
+  const priced = priceItem({ name: "Surging Sparks Booster Box", game: "pokemon" }, 100);
+  assert.equal(priced.yourPrice, 89.99);
+  assert.equal(priced.source, "default");
+  assert.equal(priced.label, "Default (90%)");
+});
+
+test("the first matching rule prices the item, with its own rounding", () => {
+  const box = priceItem({ name: "MH3 Collector Booster Box", game: "mtg" }, 200);
+  assert.equal(box.yourPrice, 189.99);
+  assert.equal(box.rule, "MTG collector boxes");
+  assert.equal(box.label, "MTG collector boxes");
+
+  const cheap = priceItem({ name: "Pikachu Blister", game: "pokemon" }, 15.5);
+  assert.equal(cheap.yourPrice, 15.5);
+  assert.equal(cheap.rule, "Under $20");
+  assert.equal(cheap.rounding, "none");
+});
+
+test("an item's pricingPercent wins over the rules", () => {
+  const priced = priceItem({ name: "MH3 Collector Booster Box", game: "mtg", pricingPercent: 80 }, 200);
+  assert.equal(priced.yourPrice, 159.99);
+  assert.equal(priced.source, "item");
+  assert.equal(priced.label, "Item override (80%)");
+});
+
+test("the minimum margin lifts the price over the lot cost, rounded up", () => {
+  const item = { name: "Paldea Evolved ETB", game: "pokemon", lots: [{ quantity: 2, unitCost: 85 }] };
+  const priced = priceItem(item, 100);
+  assert.equal(priced.minPrice, 102);
+  assert.equal(priced.yourPrice, 102.99);
+  assert.equal(priced.marginApplied, true);
+  assert.equal(priced.label, "Default (90%) + min margin");
+});
+
+test("an active price lock beats everything, an expired one doesn't", () => {
+  const locked = priceItem({ name: "Charizard UPC", lockedPrice: 150, pricingPercent: 80 }, 100);
+  assert.equal(locked.yourPrice, 150);
+  assert.equal(locked.source, "lock");
+  assert.equal(locked.label, PRICE_LOCK_LABEL);
+
+  const expired = { name: "Charizard UPC", lockedPrice: 150, priceLockedUntil: "2000-01-01T00:00:00.000Z" };
+  assert.equal(priceItem(expired, 100).source, "default");
+});
+
+test("no market price, no price", () => {
+  assert.equal(priceItem({ name: "Unknown" }), null);
+  assert.equal(priceItem({ name: "Unknown" }, 0), null);
+});
+
+// ---------- loadPricingRules ----------
+
+test("a missing file falls back to the flat 90%", () => {
+  const config = loadPricingRules(path.join(tmpDir, "missing.json"));
+  assert.deepEqual(config, { defaultPercent: 90, rounding: "none", minMarginPercent: null, rules: [] });
+});
+
+test("broken configs are rejected", () => {
+  assert.throws(() => loadPricingRules(writeRules("json.json", "{ nope")), /not valid JSON/);
+  assert.throws(() => loadPricingRules(writeRules("round.json", { rounding: "ends-95" })), /rounding must be one of/);
+  assert.throws(
+    () => loadPricingRules(writeRules("pct.json", { rules: [{ name: "Too much", percent: 500 }] })),
+    /percent must be a number from 1 to 200/
+  );
+  assert.throws(
+    () =>
+      loadPricingRules(
+        writeRules("dupe.json", {
+          rules: [
+            { name: "Boxes", percent: 90 },
+            { name: "boxes", percent: 95 },
+          ],
+        })
+      ),
+    /defined twice/
+  );
+  assert.throws(
+    () => loadPricingRules(writeRules("range.json", { rules: [{ name: "R", match: { minMarket: 50, maxMarket: 20 } }] })),
+    /minMarket must be below maxMarket/
+  );
+});
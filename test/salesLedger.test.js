@@ -0,0 +1,98 @@
+// salesLedger.test.js
+// Recording sales against the stock write, and the revenue summaries.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { validateSale, recordSale, readSales, summarizeSales } = require("../salesLedger");
+
+function tempLedger(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sales-ledger-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "sales.jsonl");
+}
+
+const item = { tcgPlayerId: "1", name: "Surging Sparks ETB", yourPrice: 55, marketPrice: 60 };
+
+test("validateSale rejects what the admin UI shouldn't send", () => {
+  assert.deepEqual(validateSale({ quantity: "2", unitPrice: "49.999", channel: " Discord " }), {
+    quantity: 2,
+    unitPrice: 50,
+    channel: "discord",
+  });
+  assert.throws(() => validateSale({ quantity: 1.5, unitPrice: 10, channel: "online" }), /whole number/);
+  assert.throws(() => validateSale({ quantity: 1, unitPrice: "", channel: "online" }), /Sale price/);
+  assert.throws(() => validateSale({ quantity: 1, unitPrice: 10, channel: "ebay" }), /Channel must be one of/);
+});
+
+test("recordSale keeps the entry when the stock write succeeds", (t) => {
+  const ledger = tempLedger(t);
+  const sale = validateSale({ quantity: 2, unitPrice: 50, channel: "in-person" });
+
+  const { entry, saved } = recordSale(ledger, item, sale, "boss", () => "saved");
+  assert.equal(saved, "saved");
+  assert.equal(entry.total, 100);
+  assert.equal(entry.yourPrice, 55);
+  assert.deepEqual(readSales(ledger).sales.map((s) => s.id), [entry.id]);
+});
+
+test("recordSale takes the entry back when the stock write fails", (t) => {
+  const ledger = tempLedger(t);
+  const sale = validateSale({ quantity: 1, unitPrice: 50, channel: "online" });
+  recordSale(ledger, item, sale, "boss", () => {});
+  const before = fs.readFileSync(ledger, "utf8");
+
+  assert.throws(
+    () =>
+      recordSale(ledger, item, sale, "boss", () => {
+        throw new Error("disk full");
+      }),
+    /disk full/
+  );
+  assert.equal(fs.readFileSync(ledger, "utf8"), before);
+});
+
+test("summaries bucket by UTC day, week and month, newest first", (t) => {
+  const ledger = tempLedger(t);
+  const sales = [
+    { at: "2026-03-02T10:00:00.000Z", quantity: 1, total: 50, channel: "online", yourPrice: 55, marketPrice: 60 },
+    { at: "2026-03-04T23:30:00.000Z", quantity: 2, total: 120, channel: "discord", yourPrice: 55, marketPrice: 60 },
+    { at: "2026-03-09T09:00:00.000Z", quantity: 1, total: 30, channel: "online", yourPrice: null, marketPrice: 40 },
+  ];
+  fs.writeFileSync(ledger, sales.map((s) => JSON.stringify(s)).join("\n") + "\n");
+
+  const byDay = summarizeSales(ledger, "day");
+  assert.deepEqual(byDay.rows.map((r) => r.period), ["2026-03-09", "2026-03-04", "2026-03-02"]);
+
+  const byWeek = summarizeSales(ledger, "week");
+  assert.deepEqual(
+    byWeek.rows.map((r) => [r.period, r.units, r.revenue]),
+    [
+      ["2026-03-09", 1, 30],
+      ["2026-03-02", 3, 170],
+    ]
+  );
+
+  const { totals } = summarizeSales(ledger, "month");
+  assert.equal(totals.revenue, 200);
+  // The sale without a list price stays out of the comparison
+  assert.equal(totals.listValue, 165);
+  assert.equal(totals.vsList, 5);
+  assert.equal(totals.vsMarket, -10);
+});
+
+test("summaries filter by inclusive dates and channel", (t) => {
+  const ledger = tempLedger(t);
+  const sales = [
+    { at: "2026-03-01T00:00:00.000Z", quantity: 1, total: 10, channel: "online", yourPrice: null, marketPrice: null },
+    { at: "2026-03-02T23:59:59.000Z", quantity: 1, total: 20, channel: "online", yourPrice: null, marketPrice: null },
+    { at: "2026-03-02T12:00:00.000Z", quantity: 1, total: 40, channel: "discord", yourPrice: null, marketPrice: null },
+  ];
+  fs.writeFileSync(ledger, sales.map((s) => JSON.stringify(s)).join("\n") + "\n");
+
+  assert.equal(summarizeSales(ledger, "day", { from: "2026-03-02", to: "2026-03-02" }).totals.revenue, 60);
+  assert.equal(summarizeSales(ledger, "day", { channel: "online" }).totals.revenue, 30);
+});
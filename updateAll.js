@@ -1,5 +1,10 @@
 // updateAll.js - pull from Render → update prices → commit & push
+//
+// The pull signs in to the server as an admin, so .env needs
+//   INVENTORY_SYNC_USER / INVENTORY_SYNC_PASSWORD  (an account from manageAdmins.js)
+//   INVENTORY_SYNC_URL                             (optional, default: the Render deploy)
 
+require("dotenv").config();
 const { execSync } = require("child_process");
 
 function run(cmd) {
@@ -8,6 +13,14 @@ function run(cmd) {
 }
 
 function main() {
+  if (!process.env.INVENTORY_SYNC_USER || !process.env.INVENTORY_SYNC_PASSWORD) {
+    console.error(
+      "❌ updateAll needs INVENTORY_SYNC_USER and INVENTORY_SYNC_PASSWORD in .env – an admin account\n" +
+        "   (node manageAdmins.js create <username> on the server) that pullInventory.js signs in with."
+    );
+    process.exit(1);
+  }
+
   try {
     // 1) Pull latest inventory from Render
     run("node pullInventory.js");
@@ -2,9 +2,22 @@
 // - Uses POST /v1/cards with an ARRAY of lookup objects (required by JustTCG)
 // - Only updates items you actually own (quantity > 0)
 // - Skips items updated in the last 24 hours (unless --force)
-// - Pricing:
-//    * Default = 90%
-//    * Per-item override: item.pricingPercent (e.g., 85 means 85%)
+// - Pricing: ordered rules from pricingRules.json (pricingRules.js) – percent of
+//   market by game / set / name / price tier, rounding and a minimum margin over
+//   cost. A per-item pricingPercent (e.g., 85 means 85%) still wins. The label
+//   of what priced each item is saved on it as pricingRule.
+// - Items with an active price lock (lockedPrice) keep it as yourPrice; their
+//   marketPrice is still refreshed so the spread shows in the admin panel.
+//
+// - Every priced item also gets a point in priceHistory.json (priceHistory.js)
+// - The Discord summary (one embed per product, grouped by game – discordEmbeds.js)
+//   goes through the notification queue (notificationQueue.js); the script waits
+//   up to a minute for it to be delivered before exiting
+// - price_changed events go to the admin-managed webhooks (webhookSubscriptions.js)
+//   through the same queue
+// - Market price moves over the threshold (PRICE_MAX_CHANGE_PERCENT, --max-change=<pct>
+//   for one run, or the item's maxPriceChangePercent) aren't applied – they wait in
+//   priceReviews.json for an admin (priceReviews.js)
 //
 // Auth: uses X-Api-Key header.
 // Body: array: [{ tcgplayerId: "..." }, ...]
@@ -12,7 +25,22 @@
 require("dotenv").config();
 const path = require("path");
 
-const { loadInventoryItems, saveInventoryItems } = require("./inventoryStore");
+const { loadInventoryItems, saveInventoryItems, isPriceLocked } = require("./inventoryStore");
+const { priceHistoryPathFor, appendPricePoints } = require("./priceHistory");
+const { notificationQueuePathFor, enqueueNotification, flushNotifications } = require("./notificationQueue");
+const { priceUpdateMessages } = require("./discordEmbeds");
+const { availableStock } = require("./stockAlerts");
+const { holdsPathFor, reservedQuantities } = require("./holds");
+const { webhooksPathFor, enqueueInventoryEvents } = require("./webhookSubscriptions");
+const { getPricingRules, priceItem } = require("./pricingRules");
+const {
+  priceReviewsPathFor,
+  runThresholdFromArgs,
+  thresholdFor,
+  checkPriceChange,
+  queuePriceReviews,
+  supersedePriceReviews,
+} = require("./priceReviews");
 
 if (typeof fetch !== "function") {
   console.error("Node 18+ required (fetch built-in).");
@@ -25,13 +53,19 @@ const INVENTORY_PATH = path.join(__dirname, "inventory.json");
 const TCG_IMAGE_BASE = "https://product-images.tcgplayer.com/fit-in/437x437/";
 
 const DISCORD_PRICE_WEBHOOK = process.env.DISCORD_PRICE_WEBHOOK;
+const NOTIFICATIONS_PATH = notificationQueuePathFor(INVENTORY_PATH);
+const WEBHOOKS_PATH = webhooksPathFor(INVENTORY_PATH);
+const PRICE_REVIEWS_PATH = priceReviewsPathFor(INVENTORY_PATH);
+// How long to keep retrying queued alerts before exiting
+const NOTIFY_FLUSH_MS = 60 * 1000;
 
 if (!API_KEY) {
   console.error("Missing JUSTTCG_API_KEY in .env");
   process.exit(1);
 }
 
-const DEFAULT_PRICING_PERCENT = 90;
+// Checked before any API calls: a broken pricingRules.json stops the run here
+getPricingRules();
 
 const BATCH_SIZE = 20;
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
@@ -39,17 +73,16 @@ const MAX_BATCH_CALLS_PER_MIN = 10;
 
 let batchCallTimestamps = [];
 
-function sendDiscordMessage(webhookUrl, content) {
-  if (!webhookUrl || !content) return;
-  fetch(webhookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ content }),
-  })
-    .then((res) => {
-      if (!res.ok) console.error("Discord webhook failed with status", res.status);
-    })
-    .catch((err) => console.error("Discord webhook error:", err.message || err));
+// Queued first (notifications.json), so a failed send is retried on the next
+// run or by the server instead of being lost when this script exits.
+async function sendDiscordPayloads(webhookUrl, payloads, kind) {
+  try {
+    for (const payload of payloads) {
+      await enqueueNotification(NOTIFICATIONS_PATH, { kind, url: webhookUrl, payload });
+    }
+  } catch (err) {
+    console.error("Failed to queue Discord message:", err.message || err);
+  }
 }
 
 async function rateLimitedBatchFetch(bodyArray) {
@@ -92,17 +125,19 @@ function chunkArray(arr, size) {
   return out;
 }
 
-function getPricingPercentForItem(item) {
-  const v = item && item.pricingPercent;
-  if (v === null || v === undefined || v === "") return DEFAULT_PRICING_PERCENT;
-  const n = Number(v);
-  if (!Number.isFinite(n)) return DEFAULT_PRICING_PERCENT;
-  // clamp 1–200
-  return Math.max(1, Math.min(200, Math.round(n * 100) / 100));
+// Sets marketPrice, yourPrice and pricingRule from the rules (or the item's
+// price lock); returns the pricingRules.priceItem result.
+function applyPrice(item, marketPrice) {
+  const pricing = priceItem(item, marketPrice);
+  item.marketPrice = marketPrice;
+  item.yourPrice = pricing.yourPrice;
+  item.pricingRule = pricing.label;
+  return pricing;
 }
 
 async function main() {
   const force = process.argv.includes("--force");
+  const runThreshold = runThresholdFromArgs(process.argv);
   const inventory = loadInventoryItems(INVENTORY_PATH);
   const now = Date.now();
 
@@ -123,6 +158,7 @@ async function main() {
       force ? "" : " & >24h old"
     })`
   );
+  console.log(`Price guard: market moves over ${thresholdFor(null, runThreshold)}% go to review (item limits apply)`);
 
   if (candidates.length === 0) {
     console.log("Nothing to update.");
@@ -145,7 +181,8 @@ async function main() {
 
   let updated = 0;
   let apiCalls = 0;
-  const priceUpdateLines = [];
+  const pricedIds = new Set();
+  const flagged = []; // moves held back for review (priceReviews.js)
 
   for (let b = 0; b < batches.length; b++) {
     console.log(`\n[Batch ${b + 1}/${batches.length}] fetching ${batches[b].length} items...`);
@@ -183,14 +220,24 @@ async function main() {
       if (!variant || variant.price == null) continue;
 
       const price = Number(variant.price);
-      if (!Number.isFinite(price) || price <= 0 || price > 10000) continue;
+      if (!Number.isFinite(price) || price < 0.01 || price > 10000) continue;
 
+      const marketPrice = Math.round(price * 100) / 100;
       for (const item of itemsForId) {
-        const pricingPercent = getPricingPercentForItem(item);
-        const multiplier = pricingPercent / 100;
+        // A locked price ignores the market, so its market price just follows along
+        const anomaly = isPriceLocked(item) ? null : checkPriceChange(item, marketPrice, runThreshold);
+        if (anomaly) {
+          const proposed = priceItem(item, marketPrice);
+          flagged.push({ item, marketPrice, yourPrice: proposed.yourPrice, pricingRule: proposed.label, ...anomaly });
+          console.log(
+            `  ⚠ ${item.name}: market $${item.marketPrice.toFixed(2)} → $${marketPrice.toFixed(2)} (${
+              anomaly.changePercent > 0 ? "+" : ""
+            }${anomaly.changePercent}%, limit ${anomaly.threshold}%) – held for review`
+          );
+          continue;
+        }
 
-        item.marketPrice = Math.round(price * 100) / 100;
-        item.yourPrice = Math.round(price * multiplier * 100) / 100;
+        const pricing = applyPrice(item, marketPrice);
         item.setName = card.set_name || item.setName || null;
         item.lastUpdated = new Date().toISOString();
 
@@ -199,30 +246,86 @@ async function main() {
         }
 
         updated++;
-        const line = `• ${item.name} → $${item.yourPrice.toFixed(2)} (${pricingPercent}% of $${item.marketPrice.toFixed(
-          2
-        )}) qty:${item.quantity ?? 0}`;
+        pricedIds.add(id);
+        const basis = pricing.percent === null ? "market" : `${pricing.percent}% of`;
+        const line = `• ${item.name} → $${item.yourPrice.toFixed(2)} (${basis} $${item.marketPrice.toFixed(2)}, ${
+          pricing.label
+        }) qty:${item.quantity ?? 0}`;
         console.log("  " + line);
-        priceUpdateLines.push(line);
       }
     }
   }
 
-  saveInventoryItems(INVENTORY_PATH, inventory);
+  // Re-read right before saving: the API calls above can take a while and an
+  // admin may have saved in the meantime. Only our price fields are applied
+  // onto the latest file so their edits aren't overwritten.
+  const pricedById = new Map();
+  for (const item of inventory) {
+    if (item && item.tcgPlayerId && pricedIds.has(String(item.tcgPlayerId))) {
+      pricedById.set(String(item.tcgPlayerId), item);
+    }
+  }
+
+  const latest = loadInventoryItems(INVENTORY_PATH);
+  // Copy of what was there before, for the webhook events (latest is changed in place)
+  const reserved = reservedQuantities(holdsPathFor(INVENTORY_PATH));
+  const stockBefore = availableStock(
+    latest.map((item) => ({ ...item })),
+    reserved
+  );
+  const historyPoints = [];
+  const pricingByItem = new Map();
+  for (const item of latest) {
+    const priced = item && item.tcgPlayerId ? pricedById.get(String(item.tcgPlayerId)) : null;
+    if (!priced) continue;
+
+    // Priced again from the latest item: its override, lots or name may have changed
+    pricingByItem.set(item, applyPrice(item, priced.marketPrice));
+    item.setName = priced.setName || item.setName || null;
+    item.lastUpdated = priced.lastUpdated;
+    if (!item.imageUrl && priced.imageUrl) item.imageUrl = priced.imageUrl;
+    historyPoints.push(item);
+  }
+
+  saveInventoryItems(INVENTORY_PATH, latest, { source: "updatePrices" });
+
+  try {
+    appendPricePoints(priceHistoryPathFor(INVENTORY_PATH), historyPoints);
+  } catch (err) {
+    console.error("Failed to record price history:", err.message || err);
+  }
+
+  try {
+    supersedePriceReviews(PRICE_REVIEWS_PATH, pricedIds);
+    queuePriceReviews(PRICE_REVIEWS_PATH, flagged);
+  } catch (err) {
+    console.error("Failed to update price reviews:", err.message || err);
+  }
 
   console.log(`\nDone.`);
   console.log(`Updated items: ${updated}`);
+  if (flagged.length) console.log(`Held for review: ${flagged.length} (approve or reject them in the admin panel)`);
   console.log(`Batch API calls made: ${apiCalls}`);
 
-  if (updated > 0 && DISCORD_PRICE_WEBHOOK) {
-    let header = `📈 Price update completed.\nUpdated items: ${updated}\n\n`;
-    let body = priceUpdateLines.join("\n");
-    if (body.length > 1800) body = body.slice(0, 1800) + "\n… (truncated)";
-    sendDiscordMessage(DISCORD_PRICE_WEBHOOK, header + body);
+  // Embeds show what was actually saved (the latest items, repriced)
+  if (historyPoints.length > 0 && DISCORD_PRICE_WEBHOOK) {
+    const updates = historyPoints.map((item) => ({ item, pricing: pricingByItem.get(item) }));
+    await sendDiscordPayloads(DISCORD_PRICE_WEBHOOK, priceUpdateMessages(updates), "prices");
+  }
+
+  try {
+    await enqueueInventoryEvents(WEBHOOKS_PATH, NOTIFICATIONS_PATH, stockBefore, availableStock(latest, reserved), {
+      source: "updatePrices",
+    });
+  } catch (err) {
+    console.error("Failed to queue webhook events:", err.message || err);
   }
 }
 
-main().catch((err) => {
-  console.error("Fatal:", err);
-  process.exit(1);
-});
+main()
+  // Delivers this run's alert plus anything an earlier run left queued
+  .then(() => flushNotifications(NOTIFICATIONS_PATH, { timeoutMs: NOTIFY_FLUSH_MS }))
+  .catch((err) => {
+    console.error("Fatal:", err);
+    process.exit(1);
+  });
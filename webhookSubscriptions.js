@@ -0,0 +1,267 @@
+// webhookSubscriptions.js
+// Admin-managed outbound webhooks for inventory events (our own spreadsheets,
+// scripts, ...), next to the Discord alerts configured in .env.
+//
+// webhooks.json (next to inventory.json):
+//   { webhooks: [{ id, url, events: [...], secret, active, createdAt, createdBy, updatedAt }] }
+//
+// Events: restock, sold_out, price_changed, item_created, item_deleted.
+// Each event is one POST through the notification queue (retries, dead letters)
+// with a stable JSON body:
+//   { id, type, createdAt, source,
+//     item:     { tcgPlayerId, name, setName, game, quantity, available,
+//                 yourPrice, marketPrice, tcgPlayerUrl, imageUrl },
+//     previous: same fields before the change (null for item_created) }
+// Missing values are null, never left out. Headers:
+//   X-Inventory-Event: <type>
+//   X-Inventory-Delivery: <event id>
+//   X-Inventory-Signature: sha256=<hex HMAC-SHA256 of the raw body with the secret>
+
+const crypto = require("crypto");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { itemKey } = require("./inventoryStore");
+const { stockDrops } = require("./stockAlerts");
+const { enqueueNotification } = require("./notificationQueue");
+
+const WEBHOOKS_FILE = "webhooks.json";
+const WEBHOOK_EVENTS = ["restock", "sold_out", "price_changed", "item_created", "item_deleted"];
+const MAX_URL_LENGTH = 500;
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 200;
+
+// Item fields every event carries, in this order
+const EVENT_ITEM_FIELDS = [
+  "tcgPlayerId",
+  "name",
+  "setName",
+  "game",
+  "quantity",
+  "available",
+  "yourPrice",
+  "marketPrice",
+  "tcgPlayerUrl",
+  "imageUrl",
+];
+
+function webhooksPathFor(inventoryPath) {
+  return path.join(path.dirname(inventoryPath), WEBHOOKS_FILE);
+}
+
+function loadWebhooks(webhooksPath) {
+  const data = readJsonFile(webhooksPath, { webhooks: [] });
+  return data && Array.isArray(data.webhooks) ? data.webhooks : [];
+}
+
+function saveWebhooks(webhooksPath, webhooks) {
+  writeJsonFile(webhooksPath, { webhooks });
+}
+
+// Admin view: the secret is only ever shown when it's set
+function describeWebhook(w) {
+  const { secret, ...rest } = w;
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function listWebhooks(webhooksPath) {
+  return loadWebhooks(webhooksPath).map(describeWebhook);
+}
+
+function cleanUrl(v) {
+  const s = String(v || "").trim();
+  if (!s) throw new Error("URL is required.");
+  if (s.length > MAX_URL_LENGTH) throw new Error(`URL must be at most ${MAX_URL_LENGTH} characters.`);
+  let u;
+  try {
+    u = new URL(s);
+  } catch {
+    throw new Error("URL is not valid.");
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") throw new Error("URL must start with http:// or https://.");
+  return u.toString();
+}
+
+function cleanEvents(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(",");
+  const events = Array.from(new Set(list.map((e) => String(e).trim()).filter(Boolean)));
+  if (!events.length) throw new Error("Pick at least one event.");
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`Unknown event(s): ${unknown.join(", ")}. Use: ${WEBHOOK_EVENTS.join(", ")}.`);
+  return WEBHOOK_EVENTS.filter((e) => events.includes(e));
+}
+
+// Blank → a new random secret
+function cleanSecret(v) {
+  const s = String(v || "").trim();
+  if (!s) return crypto.randomBytes(24).toString("hex");
+  if (s.length < MIN_SECRET_LENGTH || s.length > MAX_SECRET_LENGTH) {
+    throw new Error(`Secret must be ${MIN_SECRET_LENGTH}–${MAX_SECRET_LENGTH} characters.`);
+  }
+  return s;
+}
+
+/**
+ * Adds a subscription. Returns { webhook, secret } – the secret is generated
+ * when none is given and is only handed out here (and on rotation).
+ */
+function createWebhook(webhooksPath, { url, events, secret, active }, actor) {
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomBytes(8).toString("hex"),
+    url: cleanUrl(url),
+    events: cleanEvents(events),
+    secret: cleanSecret(secret),
+    active: active === undefined ? true : Boolean(active),
+    createdAt: now,
+    createdBy: actor || null,
+    updatedAt: now,
+  };
+
+  const webhooks = loadWebhooks(webhooksPath);
+  webhooks.push(webhook);
+  saveWebhooks(webhooksPath, webhooks);
+  return { webhook: describeWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * Changes url / events / active; rotateSecret: true (or a new secret) replaces
+ * the signing secret. Returns { webhook, secret? } or null when not found.
+ */
+function updateWebhook(webhooksPath, id, changes) {
+  const webhooks = loadWebhooks(webhooksPath);
+  const webhook = webhooks.find((w) => w.id === id);
+  if (!webhook) return null;
+
+  if (changes.url !== undefined) webhook.url = cleanUrl(changes.url);
+  if (changes.events !== undefined) webhook.events = cleanEvents(changes.events);
+  if (changes.active !== undefined) webhook.active = Boolean(changes.active);
+
+  let secret;
+  if (changes.rotateSecret || changes.secret) {
+    secret = cleanSecret(changes.secret);
+    webhook.secret = secret;
+  }
+
+  webhook.updatedAt = new Date().toISOString();
+  saveWebhooks(webhooksPath, webhooks);
+  return secret ? { webhook: describeWebhook(webhook), secret } : { webhook: describeWebhook(webhook) };
+}
+
+function deleteWebhook(webhooksPath, id) {
+  const webhooks = loadWebhooks(webhooksPath);
+  const idx = webhooks.findIndex((w) => w.id === id);
+  if (idx < 0) return null;
+  const [removed] = webhooks.splice(idx, 1);
+  saveWebhooks(webhooksPath, webhooks);
+  return describeWebhook(removed);
+}
+
+// ---------- Events ----------
+
+function eventItem({ item, available }) {
+  const src = { ...item, available };
+  const out = {};
+  for (const f of EVENT_ITEM_FIELDS) out[f] = src[f] === undefined ? null : src[f];
+  return out;
+}
+
+function samePrice(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Events between two inventory states, each a stockAlerts.availableStock() map
+ * (so restock and sold_out follow what customers can buy, holds included: an
+ * approved hold expiring is a restock).
+ * Returns [{ type, item, previous }] in inventory order.
+ */
+function inventoryEvents(beforeStock, afterStock) {
+  const soldOut = new Set(stockDrops(beforeStock, afterStock).soldOut.map((e) => itemKey(e.item)));
+
+  const events = [];
+  const seen = new Set();
+
+  for (const [key, now] of afterStock) {
+    seen.add(key);
+    const prev = beforeStock.get(key);
+    const item = eventItem(now);
+
+    if (!prev) {
+      events.push({ type: "item_created", item, previous: null });
+      continue;
+    }
+
+    const previous = eventItem(prev);
+    if (now.available > prev.available) events.push({ type: "restock", item, previous });
+    if (soldOut.has(key)) events.push({ type: "sold_out", item, previous });
+    if (!samePrice(now.item.yourPrice, prev.item.yourPrice) || !samePrice(now.item.marketPrice, prev.item.marketPrice)) {
+      events.push({ type: "price_changed", item, previous });
+    }
+  }
+
+  for (const [key, prev] of beforeStock) {
+    if (seen.has(key)) continue;
+    events.push({ type: "item_deleted", item: eventItem(prev), previous: eventItem(prev) });
+  }
+
+  return events;
+}
+
+function signBody(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Queues every event for each active webhook subscribed to its type.
+ * source says where the change came from ("admin", "sale", "updatePrices", ...).
+ * Resolves to how many deliveries were queued.
+ */
+async function enqueueInventoryEvents(webhooksPath, queuePath, beforeStock, afterStock, { source } = {}) {
+  const webhooks = loadWebhooks(webhooksPath).filter((w) => w.active);
+  if (!webhooks.length) return 0;
+
+  const events = inventoryEvents(beforeStock, afterStock);
+  const createdAt = new Date().toISOString();
+  let queued = 0;
+
+  for (const e of events) {
+    const payload = {
+      id: `evt_${crypto.randomBytes(10).toString("hex")}`,
+      type: e.type,
+      createdAt,
+      source: source || null,
+      item: e.item,
+      previous: e.previous,
+    };
+    // The queue sends JSON.stringify(payload), so this is the exact body signed
+    const body = JSON.stringify(payload);
+
+    for (const w of webhooks) {
+      if (!w.events.includes(e.type)) continue;
+      await enqueueNotification(queuePath, {
+        kind: `webhook:${e.type}`,
+        url: w.url,
+        payload,
+        headers: {
+          "X-Inventory-Event": e.type,
+          "X-Inventory-Delivery": payload.id,
+          "X-Inventory-Signature": signBody(w.secret, body),
+        },
+      });
+      queued++;
+    }
+  }
+  return queued;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  webhooksPathFor,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  inventoryEvents,
+  signBody,
+  enqueueInventoryEvents,
+};